@@ -0,0 +1,245 @@
+// 3rd party dependencies
+const semver = require('semver')
+
+module.exports = build
+
+const LOCKFILE_VERSION = 3
+
+// Fields of a package manifest that npm copies into its lockfile entries
+const ENTRY_FIELDS = [
+  'dependencies', 'optionalDependencies', 'peerDependencies',
+  'peerDependenciesMeta', 'bin', 'engines', 'os', 'cpu', 'license'
+]
+const ROOT_FIELDS = [
+  'dependencies', 'devDependencies', 'optionalDependencies',
+  'peerDependencies'
+]
+
+// Build the content of a package-lock.json (lockfileVersion 3) for the
+// given root package.json content, laying out node_modules the way npm
+// does: each package as close to the root as it can go without conflict.
+// The resolver supplies what the tracker knows:
+// * pick(name, spec) -> { name, version, record } for the best match of
+//   the spec, or null; name can differ from the given one for an alias
+// * manifest(name, version, record) -> Promise of an object with the
+//   dependency fields of the package
+// * resolved(record) -> the value for the 'resolved' field
+// Rejects with code 'EUNRESOLVED' if there is no match for a dependency
+// that is not optional; err.unresolved lists these as
+// { name, spec, requiredBy } where requiredBy is the location of the
+// dependent ('' for the root).
+function build(rootPkg, resolver) {
+  const nodes = new Map() // location -> node
+  const rootNode = { location: '', edges: {} }
+  const queue = []
+  const unresolved = []
+
+  enqueueDeps(queue, rootNode, rootPkg, true)
+
+  function nextEdge() {
+    if (!queue.length) return Promise.resolve(null)
+    const edge = queue.shift()
+    const from = edge.from
+    const foundLoc = findFrom(nodes, from.location, edge.name)
+    if (foundLoc &&
+        nodeSatisfies(nodes.get(foundLoc), edge.name, edge.spec, resolver)) {
+      from.edges[edge.name] = Object.assign({ location: foundLoc }, edge.flags)
+      return nextEdge()
+    }
+    const picked = resolver.pick(edge.name, edge.spec)
+    if (!picked) {
+      if (!edge.flags.optional) {
+        unresolved.push({
+          name: edge.name, spec: edge.spec, requiredBy: from.location
+        })
+      }
+      return nextEdge()
+    }
+    const location = placement(nodes, from.location, edge.name, foundLoc)
+    const node = {
+      location: location, name: picked.name, version: picked.version,
+      record: picked.record, edges: {}
+    }
+    nodes.set(location, node)
+    from.edges[edge.name] = Object.assign({ location: location }, edge.flags)
+    return resolver.manifest(picked.name, picked.version, picked.record)
+    .then(manifest => {
+      node.manifest = manifest || {}
+      enqueueDeps(queue, node, node.manifest, false)
+      return nextEdge()
+    })
+  }
+
+  return nextEdge().then(() => {
+    if (unresolved.length) {
+      const err = new Error('No match in tracker for some dependencies')
+      err.code = 'EUNRESOLVED'
+      err.unresolved = unresolved
+      throw err
+    }
+    return makeLockfile(rootPkg, rootNode, nodes, resolver)
+  })
+}
+
+function enqueueDeps(queue, node, pkg, isRoot) {
+  function addAll(deps, flags) {
+    for (let name in deps || {})
+      queue.push({ from: node, name: name, spec: deps[name], flags: flags })
+  }
+  const optDeps = pkg.optionalDependencies || {}
+  const deps = Object.assign({}, pkg.dependencies)
+  // npm lists optional dependencies in dependencies as well
+  for (let name in optDeps) delete deps[name]
+  addAll(deps, {})
+  addAll(optDeps, { optional: true })
+  if (isRoot) {
+    addAll(pkg.devDependencies, { dev: true })
+    return
+  }
+  // npm 7 and later install peer dependencies
+  const peerMeta = pkg.peerDependenciesMeta || {}
+  for (let name in pkg.peerDependencies || {}) {
+    const flags = {}
+    if (peerMeta[name] && peerMeta[name].optional) flags.optional = true
+    queue.push({
+      from: node, name: name, spec: pkg.peerDependencies[name], flags: flags
+    })
+  }
+}
+
+// Where the dependent at the given location would find the named package,
+// by node's lookup through node_modules directories; null if nowhere
+function findFrom(nodes, fromLoc, name) {
+  let dir = fromLoc
+  for (;;) {
+    const candidate = childLocation(dir, name)
+    if (nodes.has(candidate)) return candidate
+    if (dir === '') return null
+    dir = parentOf(dir)
+  }
+}
+
+// Whether the package already placed can serve for name@spec, even if it's
+// not the best match the tracker has
+function nodeSatisfies(node, name, spec, resolver) {
+  const picked = resolver.pick(name, spec)
+  if (picked && picked.name === node.name && picked.version === node.version)
+    return true
+  const range = semver.validRange(spec, true)
+  return range && node.name === name ?
+    semver.satisfies(node.version, range, true) : false
+}
+
+// The shallowest location for a new package that is visible from the
+// dependent, and that neither collides with a package of the same name
+// nor hides one from the packages under it that already depend on it.
+// conflictLoc is where the dependent found a package that did not fit.
+function placement(nodes, fromLoc, name, conflictLoc) {
+  const dirs = [] // from the dependent up to the root
+  for (let dir = fromLoc; ; dir = parentOf(dir)) {
+    dirs.push(dir)
+    if (dir === '') break
+  }
+  let limit = dirs.length
+  if (conflictLoc) limit = dirs.indexOf(parentOf(conflictLoc))
+  for (let i = limit - 1; i >= 0; --i) {
+    if (!wouldShadow(nodes, dirs[i], name)) return childLocation(dirs[i], name)
+  }
+  return childLocation(fromLoc, name)
+}
+
+function wouldShadow(nodes, dir, name) {
+  const prefix = dir ? dir + '/' : ''
+  const newLoc = childLocation(dir, name)
+  for (let node of nodes.values()) {
+    if (!node.location.startsWith(prefix)) continue
+    const edge = node.edges[name]
+    if (edge && edge.location !== newLoc && !edge.location.startsWith(prefix))
+      return true
+  }
+  return false
+}
+
+function childLocation(dir, name) {
+  return (dir ? dir + '/' : '') + 'node_modules/' + name
+}
+
+function parentOf(location) {
+  const idx = location.lastIndexOf('/node_modules/')
+  return idx === -1 ? '' : location.slice(0, idx)
+}
+
+function makeLockfile(rootPkg, rootNode, nodes, resolver) {
+  const rootEntry = {}
+  if (rootPkg.name) rootEntry.name = rootPkg.name
+  if (rootPkg.version) rootEntry.version = rootPkg.version
+  for (let i = 0; i < ROOT_FIELDS.length; ++i) {
+    const field = ROOT_FIELDS[i]
+    if (rootPkg[field]) rootEntry[field] = rootPkg[field]
+  }
+  const lock = {}
+  if (rootPkg.name) lock.name = rootPkg.name
+  if (rootPkg.version) lock.version = rootPkg.version
+  lock.lockfileVersion = LOCKFILE_VERSION
+  lock.requires = true
+  lock.packages = { '': rootEntry }
+
+  const flags = reachFlags(rootNode, nodes)
+  const locations = Array.from(nodes.keys()).sort()
+  for (let i = 0; i < locations.length; ++i) {
+    const node = nodes.get(locations[i])
+    const entry = {}
+    if (node.name !== nameFromLocation(node.location)) entry.name = node.name
+    entry.version = node.version
+    entry.resolved = resolver.resolved(node.record)
+    if (node.record.integrity) entry.integrity = node.record.integrity
+    Object.assign(entry, flags.get(node.location))
+    for (let f = 0; f < ENTRY_FIELDS.length; ++f) {
+      const field = ENTRY_FIELDS[f]
+      if (node.manifest[field]) entry[field] = node.manifest[field]
+    }
+    lock.packages[node.location] = entry
+  }
+  return lock
+}
+
+// npm marks packages that are not needed for a production install:
+// dev (only needed by dev dependencies), optional (only needed by optional
+// dependencies), devOptional (needed by either, but not otherwise), or
+// both dev and optional (only needed by optional dev dependencies)
+function reachFlags(rootNode, nodes) {
+  const reached = new Map() // location -> Set of 'dev,optional' states
+  const pending = [ { node: rootNode, dev: false, optional: false } ]
+  while (pending.length) {
+    const curr = pending.shift()
+    for (let name in curr.node.edges) {
+      const edge = curr.node.edges[name]
+      const dev = curr.dev || !!edge.dev
+      const optional = curr.optional || !!edge.optional
+      const state = `${dev},${optional}`
+      if (!reached.has(edge.location)) reached.set(edge.location, new Set())
+      const states = reached.get(edge.location)
+      if (states.has(state)) continue
+      states.add(state)
+      pending.push({ node: nodes.get(edge.location), dev: dev, optional: optional })
+    }
+  }
+  const result = new Map()
+  for (let location of nodes.keys()) {
+    const states = reached.get(location) || new Set()
+    let flags = {}
+    if (states.has('false,false')) flags = {}
+    else if (states.has('false,true') && states.has('true,false'))
+      flags = { devOptional: true }
+    else if (states.has('false,true')) flags = { optional: true }
+    else if (states.has('true,false')) flags = { dev: true }
+    else flags = { dev: true, optional: true }
+    result.set(location, flags)
+  }
+  return result
+}
+
+function nameFromLocation(location) {
+  const idx = location.lastIndexOf('node_modules/')
+  return location.slice(idx + 13)
+}
@@ -0,0 +1,317 @@
+// built-ins
+const path = require('path')
+const promisify = require('util').promisify
+
+// 3rd party dependencies
+const fs = require('graceful-fs')
+const tar = require('tar')
+
+const integrity = require('./integrity')
+
+const closeAsync = promisify(fs.close)
+const copyFileAsync = promisify(fs.copyFile)
+const linkAsync = promisify(fs.link)
+const lstatAsync = promisify(fs.lstat)
+const mkdirAsync = promisify(fs.mkdir)
+const openAsync = promisify(fs.open)
+const readAsync = promisify(fs.read)
+const readdirAsync = promisify(fs.readdir)
+const readFileAsync = promisify(fs.readFile)
+const rmdirAsync = promisify(fs.rmdir)
+const unlinkAsync = promisify(fs.unlink)
+const writeAsync = promisify(fs.write)
+const writeFileAsync = promisify(fs.writeFile)
+
+// A bundle is a plain tar archive of files, with no directory structure.
+// The manifest lists every other file in it, with size and SHA-512 SRI:
+//   { bundleVersion, files: { <name>: { size, integrity } } }
+// A bundle may be split into volumes: <bundle>.001, <bundle>.002, ...
+const MANIFEST_NAME = 'bundle-manifest.json'
+const BUNDLE_VERSION = 1
+const COPY_CHUNK_SIZE = 1024 * 1024
+
+module.exports = {
+  MANIFEST_NAME: MANIFEST_NAME,
+  pack: pack,
+  removeDir: removeDir,
+  unpack: unpack
+}
+
+function bundleError(msg, filePath) {
+  const err = new Error(msg)
+  err.code = 'EBUNDLE'
+  if (filePath) err.path = filePath
+  return err
+}
+
+// Write a bundle of the given items, each either { name, path } for a file
+// to include, or { name, content } for a file to make from a string.
+// If volumeSize is given, the bundle is split into volumes of at most that
+// many bytes. Resolves to the list of paths written.
+function pack(outFile, items, volumeSize) {
+  const stageDir = `${outFile}.${process.pid}.d`
+  const manifest = { bundleVersion: BUNDLE_VERSION, files: {} }
+
+  function nextItem(i) {
+    if (i >= items.length) return Promise.resolve(null)
+    const item = items[i]
+    const stagePath = path.join(stageDir, item.name)
+    const staging = 'content' in item ?
+      writeFileAsync(stagePath, item.content) : stageFile(item.path, stagePath)
+    const entry = manifest.files[item.name] = {}
+    return staging
+    .then(() => lstatAsync(stagePath))
+    .then(stats => {
+      entry.size = stats.size
+      return integrity.calculate(stagePath, 'sha512')
+    })
+    .then(sri => {
+      entry.integrity = sri
+      return nextItem(i+1)
+    })
+  }
+
+  return removeVolumes(outFile)
+  .then(() => mkdirAsync(stageDir))
+  .then(() => nextItem(0)
+    .then(() => writeFileAsync(
+      path.join(stageDir, MANIFEST_NAME), JSON.stringify(manifest)
+    ))
+    .then(() => tar.c(
+      { file: outFile, cwd: stageDir, portable: true },
+      [ MANIFEST_NAME ].concat(items.map(item => item.name))
+    ))
+    .then(
+      () => removeDir(stageDir),
+      err => removeDir(stageDir).catch(() => {}).then(() => { throw err })
+    )
+  )
+  .then(() => volumeSize ? splitFile(outFile, volumeSize) : [ outFile ])
+}
+
+// A hard link costs nothing, where it can be made
+function stageFile(srcPath, stagePath) {
+  return linkAsync(srcPath, stagePath).catch(err => {
+    if (err.code === 'ENOENT') throw err
+    return copyFileAsync(srcPath, stagePath)
+  })
+}
+
+function volumePath(filePath, n) {
+  return `${filePath}.${String(n).padStart(3, '0')}`
+}
+
+// Remove the volumes of an earlier bundle of the same name, so that
+// unpack() won't take them for part of the new one
+function removeVolumes(filePath) {
+  function nextVolume(n) {
+    return unlinkAsync(volumePath(filePath, n)).then(
+      () => nextVolume(n+1),
+      err => {
+        if (err.code !== 'ENOENT') throw err
+      }
+    )
+  }
+  return nextVolume(1)
+}
+
+// Write length bytes of buf from offset, however many writes it takes
+function writeAll(fd, buf, offset, length) {
+  if (!length) return Promise.resolve(null)
+  return writeAsync(fd, buf, offset, length).then(result => {
+    const bytesWritten = result.bytesWritten
+    return writeAll(fd, buf, offset + bytesWritten, length - bytesWritten)
+  })
+}
+
+// Copy length bytes from the current position of srcFd to dstFd
+function copyBytes(srcFd, dstFd, length, buf) {
+  if (!length) return Promise.resolve(null)
+  return readAsync(srcFd, buf, 0, Math.min(buf.length, length), null)
+  .then(result => {
+    const bytesRead = result.bytesRead
+    if (!bytesRead) return null
+    return writeAll(dstFd, buf, 0, bytesRead)
+    .then(() => copyBytes(srcFd, dstFd, length - bytesRead, buf))
+  })
+}
+
+// Replace the file with volumes of at most volumeSize bytes each
+function splitFile(filePath, volumeSize) {
+  const buf = Buffer.alloc(Math.min(COPY_CHUNK_SIZE, volumeSize))
+  const volumes = []
+  let remaining
+
+  function nextVolume(srcFd, n) {
+    if (remaining <= 0) return Promise.resolve(null)
+    const volPath = volumePath(filePath, n)
+    const length = Math.min(volumeSize, remaining)
+    return openAsync(volPath, 'w').then(fd => {
+      volumes.push(volPath)
+      return copyBytes(srcFd, fd, length, buf).then(
+        () => closeAsync(fd),
+        err => closeAsync(fd).then(() => { throw err })
+      )
+    })
+    .then(() => {
+      remaining -= length
+      return nextVolume(srcFd, n+1)
+    })
+  }
+
+  return lstatAsync(filePath).then(stats => {
+    remaining = stats.size
+    return openAsync(filePath, 'r')
+  })
+  .then(srcFd => nextVolume(srcFd, 1).then(
+    () => closeAsync(srcFd),
+    err => closeAsync(srcFd).then(() => { throw err })
+  ))
+  .then(() => unlinkAsync(filePath))
+  .then(() => volumes)
+}
+
+// Concatenate the volumes of the bundle at bundlePath into outPath.
+// Rejects with the ENOENT error for bundlePath if there are no volumes.
+function joinVolumes(bundlePath, outPath, notFoundErr) {
+  const buf = Buffer.alloc(COPY_CHUNK_SIZE)
+  function nextVolume(dstFd, n) {
+    return openAsync(volumePath(bundlePath, n), 'r').catch(err => {
+      if (err.code !== 'ENOENT') throw err
+      if (n === 1) throw notFoundErr
+      return null
+    })
+    .then(srcFd => {
+      if (srcFd === null) return null
+      return copyBytes(srcFd, dstFd, Infinity, buf).then(
+        () => closeAsync(srcFd),
+        err => closeAsync(srcFd).then(() => { throw err })
+      )
+      .then(() => nextVolume(dstFd, n+1))
+    })
+  }
+  return openAsync(outPath, 'w').then(fd => nextVolume(fd, 1).then(
+    () => closeAsync(fd),
+    err => closeAsync(fd).then(() => { throw err })
+  ))
+}
+
+// Extract the bundle at bundlePath (or the volumes of it) into destDir,
+// which must not exist, and verify the content against the manifest.
+// Resolves to the names of the files, not including the manifest.
+// Rejects with code 'EBUNDLE' if the bundle is malformed, or 'EINTEGRITY'
+// if a file does not match the manifest; destDir is removed in that case.
+function unpack(bundlePath, destDir) {
+  const joinedPath = `${destDir}.joined`
+  let archivePath = bundlePath
+  let names
+
+  return lstatAsync(bundlePath).catch(err => {
+    if (err.code !== 'ENOENT') throw err
+    archivePath = joinedPath
+    return joinVolumes(bundlePath, joinedPath, err)
+  })
+  .then(() => mkdirAsync(destDir))
+  .then(() => listEntries(archivePath)
+    .then(entryNames => {
+      names = entryNames
+      return tar.x({ file: archivePath, cwd: destDir, strict: true })
+    })
+    .then(() => readManifest(destDir, names))
+    .then(manifest => verifyFiles(destDir, manifest))
+    .catch(err => removeDir(destDir).catch(() => {}).then(() => { throw err }))
+  )
+  .then(
+    () => archivePath === joinedPath && unlinkAsync(joinedPath),
+    err => {
+      const cleaning = archivePath === joinedPath ?
+        unlinkAsync(joinedPath).catch(() => {}) : Promise.resolve()
+      return cleaning.then(() => { throw err })
+    }
+  )
+  .then(() => names.filter(name => name !== MANIFEST_NAME))
+}
+
+// Resolves to the names of the entries of the archive, if they are all
+// plain files at the top level
+function listEntries(archivePath) {
+  const names = []
+  let badEntry = null
+  return tar.t({
+    file: archivePath,
+    strict: true,
+    onentry: entry => {
+      const name = entry.path
+      if (entry.type !== 'File' || !name || /[\/\\]/.test(name) ||
+          name === '.' || name === '..' || names.includes(name))
+        badEntry = badEntry || name
+      else names.push(name)
+    }
+  })
+  .catch(err => {
+    throw bundleError(`Not a readable bundle: ${err.message}`, archivePath)
+  })
+  .then(() => {
+    if (badEntry !== null)
+      throw bundleError(`Unexpected entry '${badEntry}' in bundle`, archivePath)
+    return names
+  })
+}
+
+function readManifest(dir, names) {
+  const manifestPath = path.join(dir, MANIFEST_NAME)
+  if (!names.includes(MANIFEST_NAME))
+    return Promise.reject(bundleError('Bundle has no manifest', manifestPath))
+  return readFileAsync(manifestPath, 'utf8').then(str => {
+    let manifest
+    try { manifest = JSON.parse(str) }
+    catch (err) { throw bundleError('Bundle manifest could not be parsed', manifestPath) }
+    if (!manifest || manifest.bundleVersion !== BUNDLE_VERSION ||
+        !manifest.files || typeof manifest.files !== 'object')
+      throw bundleError('Unrecognized bundle manifest', manifestPath)
+    const listed = Object.keys(manifest.files)
+    const present = names.filter(name => name !== MANIFEST_NAME)
+    const missing = listed.filter(name => !present.includes(name))
+    if (missing.length)
+      throw bundleError(`Files missing from bundle: ${missing.join(', ')}`)
+    const unlisted = present.filter(name => !listed.includes(name))
+    if (unlisted.length)
+      throw bundleError(`Files not in bundle manifest: ${unlisted.join(', ')}`)
+    return manifest
+  })
+}
+
+function verifyFiles(dir, manifest) {
+  const names = Object.keys(manifest.files)
+  function nextFile(i) {
+    if (i >= names.length) return Promise.resolve(null)
+    const filePath = path.join(dir, names[i])
+    const entry = manifest.files[names[i]]
+    return lstatAsync(filePath).then(stats => {
+      if (stats.size !== entry.size) {
+        const err = new Error('File size does not match bundle manifest')
+        err.code = 'EINTEGRITY'
+        err.path = filePath
+        throw err
+      }
+      return integrity.check(filePath, entry.integrity)
+    })
+    .then(() => nextFile(i+1))
+  }
+  return nextFile(0)
+}
+
+// Remove a directory of plain files
+function removeDir(dir) {
+  return readdirAsync(dir).then(names => {
+    function nextFile(i) {
+      if (i >= names.length) return Promise.resolve(null)
+      return unlinkAsync(path.join(dir, names[i])).then(() => nextFile(i+1))
+    }
+    return nextFile(0)
+  })
+  .then(() => rmdirAsync(dir))
+  .catch(err => {
+    if (err.code !== 'ENOENT') throw err
+  })
+}
@@ -0,0 +1,75 @@
+// For moving only what has changed from one tracker directory to another,
+// e.g. to a site that already has most of the packages from a previous
+// transfer. Works through the public interface of tracker instances, so the
+// target tracker can be made from a copy of the target's dltracker.json.
+
+module.exports = {
+  diff: diff,
+  exportDelta: exportDelta
+}
+
+function expectTracker(val, valName) {
+  if (val === undefined || val === null)
+    throw new SyntaxError(`${valName} tracker required`)
+  if (typeof val !== 'object' || typeof val.list !== 'function' ||
+      typeof val.getData !== 'function')
+    throw new TypeError(`${valName} must be a tracker instance`)
+}
+
+// The exact key of the record, as for tracker.remove(): the arguments for
+// getData() that look it up by the same keys as the tables are keyed by
+function recordQuery(data) {
+  switch (data.type) {
+    case 'semver':
+      return { type: 'semver', name: data.name, spec: data.version }
+    case 'tag':
+      return { type: 'tag', name: data.name, spec: data.spec }
+    case 'git':
+      return { type: 'git', name: data.repo, spec: data.spec || data.commit }
+  }
+  return { type: 'url', name: '', spec: data.spec }
+}
+
+function recordId(data) {
+  const query = recordQuery(data)
+  return [ query.type, query.name, query.spec ].join('\n')
+}
+
+// Whether the target lacks the record. A tag or git ref that refers to
+// something else in the target counts as missing.
+function isMissing(target, data) {
+  const query = recordQuery(data)
+  const found = target.getData(query.type, query.name, query.spec)
+  if (!found) return true
+  if (data.type === 'tag') return found.version !== data.version
+  if (data.type === 'git' && data.spec) return found.commit !== data.commit
+  return false
+}
+
+// Returns the records of the source that the target does not have,
+// in the form given by tracker.list()
+function diff(source, target) {
+  expectTracker(source, 'source')
+  expectTracker(target, 'target')
+  return source.list().filter(data => isMissing(target, data))
+}
+
+// Write a bundle, as by source.exportBundle(), of only the records that
+// diff() finds missing from the target. Resolves to the paths written.
+function exportDelta(source, target, outFile, opts) {
+  let ids
+  try {
+    if (opts !== undefined && opts !== null) {
+      if (typeof opts !== 'object')
+        throw new TypeError('options must be given as an object')
+    }
+    else opts = {}
+    ids = new Set(diff(source, target).map(recordId))
+  }
+  catch (err) { return Promise.reject(err) }
+
+  return source.exportBundle(outFile, {
+    filter: data => ids.has(recordId(data)),
+    volumeSize: opts.volumeSize
+  })
+}
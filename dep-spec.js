@@ -0,0 +1,64 @@
+// 3rd party dependencies
+const semver = require('semver')
+
+// Domains for the git host shorthands of package.json dependency specs
+const GIT_HOST_DOMAINS = {
+  github: 'github.com',
+  gitlab: 'gitlab.com',
+  bitbucket: 'bitbucket.org'
+}
+Object.freeze(GIT_HOST_DOMAINS)
+
+module.exports = {
+  gitHostDomains: GIT_HOST_DOMAINS,
+  toQuery: toQuery
+}
+
+const RE_HOSTED_GIT = /^(github|gitlab|bitbucket):([^#]+?)(?:\.git)?(?:#(.*))?$/
+// 'user/project' means a GitHub repository
+const RE_GITHUB_SHORT = /^([^@:\/\s#]+\/[^@:\/\s#]+?)(?:\.git)?(?:#(.*))?$/
+// URLs and scp-like addresses, e.g. git+ssh://git@github.com:user/project.git
+const RE_GIT_URL = /^git(?:\+[a-z]+)?:\/\/(?:[^@\/]+@)?([^:\/]+)(?::\d+)?[:\/]([^#]+?)(?:\.git)?(?:#(.*))?$/
+
+// Turn a dependency as given in a package.json (name and spec) into the
+// arguments for tracker.getData(), as { type, name, spec }.
+// Returns null for the kinds of spec that a tracker does not hold
+// (local directories and files).
+function toQuery(name, spec) {
+  if (typeof spec !== 'string') return null
+  spec = spec.trim()
+  if (spec.startsWith('npm:')) {
+    const aliased = spec.slice(4)
+    const idx = aliased.indexOf('@', 1)
+    if (idx === -1) return toQuery(aliased, '')
+    return toQuery(aliased.slice(0, idx), aliased.slice(idx + 1))
+  }
+  if (/^(file|link):/.test(spec)) return null
+  if (/^https?:\/\//.test(spec)) return { type: 'url', name: '', spec: spec }
+
+  let matches = RE_HOSTED_GIT.exec(spec)
+  if (matches) {
+    return {
+      type: 'git',
+      name: `${GIT_HOST_DOMAINS[matches[1]]}/${matches[2]}`,
+      spec: matches[3] || ''
+    }
+  }
+  matches = RE_GIT_URL.exec(spec)
+  if (matches) {
+    return {
+      type: 'git', name: `${matches[1]}/${matches[2]}`, spec: matches[3] || ''
+    }
+  }
+  matches = RE_GITHUB_SHORT.exec(spec)
+  if (matches && !semver.validRange(spec, true)) {
+    return { type: 'git', name: `github.com/${matches[1]}`, spec: matches[2] || '' }
+  }
+
+  // The tag table never has 'latest'; it means the highest version
+  if (spec === '' || spec === 'latest')
+    return { type: 'semver', name: name, spec: '*' }
+  if (semver.validRange(spec, true))
+    return { type: 'semver', name: name, spec: spec }
+  return { type: 'tag', name: name, spec: spec }
+}
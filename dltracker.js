@@ -1,4 +1,5 @@
 // built-ins
+const os = require('os')
 const path = require('path')
 const url = require('url')
 const promisify = require('util').promisify
@@ -8,10 +9,23 @@ const fs = require('graceful-fs')
 const semver = require('semver')
 const npf = require('@offliner/npm-package-filename')
 
+const buildLockfile = require('./build-lockfile')
+const bundle = require('./bundle')
+const depSpec = require('./dep-spec')
+const integrity = require('./integrity')
+const npmLockfile = require('./npm-lockfile')
+const packument = require('./packument')
+const pnpmLockfile = require('./pnpm-lockfile')
+const readPackage = require('./read-package')
 const reconstructMap = require('./reconstruct-map')
+const storageAdapters = require('./storage')
+const yarnLockfile = require('./yarn-lockfile')
 
 const lstatAsync = promisify(fs.lstat)
 const readFileAsync = promisify(fs.readFile)
+const renameAsync = promisify(fs.rename)
+const copyFileAsync = promisify(fs.copyFile)
+const mkdirAsync = promisify(fs.mkdir)
 const writeFileAsync = promisify(fs.writeFile)
 
 const dummyFunc = () => {}
@@ -37,8 +51,35 @@ const KEYFIELDS = new Set([ // internal
   'type', 'name', 'version', 'spec', 'repo', 'commit'
 ])
 
+const LOCKFILE_READERS = { // by file name; npm-lockfile for any other
+  'yarn.lock': yarnLockfile,
+  'pnpm-lock.yaml': pnpmLockfile
+}
+
+// Where a record came from: the registry URL, and the tool or user agent
+// that added it. The options of the same names give defaults for add().
+const PROVENANCE_FIELDS = [ 'source', 'addedBy' ]
+
+// What add() does when a tarball would take the directory over maxBytes
+const EVICTION_POLICIES = new Set([
+  'reject', 'least-recently-added', 'lowest-version'
+])
+
+// The tables and storage of each tracker instance, for merge() to read
+// those of another
+const trackerInternals = new WeakMap()
+
+// Node versions before 10 don't have it; for-await loops there are
+// transpiled to look for the registered symbol
+const ASYNC_ITERATOR = Symbol.asyncIterator || Symbol.for('Symbol.asyncIterator')
+
 const RE_HEX40 = /^[a-f0-9]{40}$/ // git commit hash pattern
 const MAPFILE_NAME = 'dltracker.json'
+const BACKUP_SUFFIX = '.bak'
+const LOCK_SUFFIX = '.lock'
+// Fields that distinguish one version of a record from another.
+// Differences in any other fields are not worth a conflict.
+const IDENTITY_FIELDS = [ 'filename', 'integrity', 'version', 'commit' ]
 const MAPFILE_DESC_FIELD = [
   'This file is an artifact of the command **npm download**.  ',
   'It enables **npm install --offline** to map package specs to ',
@@ -48,7 +89,7 @@ const MAPFILE_DESC_FIELD = [
   '**npm install --offline** and have verified a good installation.'
 ].join('')
 
-function auditOne(type, data, dir) {
+function auditOne(type, data, dir, storage) {
   let fileSpec = data.filename
   if (!fileSpec) {
     const err = new Error('No filename in data')
@@ -56,9 +97,9 @@ function auditOne(type, data, dir) {
     return Promise.reject(err)
   }
   const filePath = path.resolve(dir, fileSpec)
-  return lstatAsync(filePath).then(stats => {
+  return storage.stat(fileSpec).then(stats => {
     let err
-    if (!stats.isFile()) {
+    if (!stats.isFile) {
       err = new Error('Not a regular file')
       err.code = 'EFNOTREG'
       err.path = filePath
@@ -74,7 +115,78 @@ function auditOne(type, data, dir) {
       err.path = filePath
     }
     if (err) throw err
+    // Records from before integrity was tracked have none to verify
+    if (data.integrity) return storageAdapters.contentSource(storage, fileSpec)
+      .then(content => integrity.check(content, data.integrity))
+  })
+  .catch(err => {
+    if (!err.path) err.path = filePath
+    throw err
+  })
+}
+
+function parseMapFile(str) {
+  // Strip BOM, if any
+  if (str.charCodeAt(0) === 0xFEFF) str = str.slice(1)
+  return JSON.parse(str)
+}
+
+// Create each missing directory of relPath, under the existing directory base
+function makeDirs(base, relPath) {
+  const parts = relPath.split('/').filter(part => part)
+  function nextDir(i, currPath) {
+    if (i >= parts.length) return Promise.resolve(currPath)
+    const dirPath = path.join(currPath, parts[i])
+    return mkdirAsync(dirPath).catch(err => {
+      if (err.code !== 'EEXIST') throw err
+    })
+    .then(() => nextDir(i+1, dirPath))
+  }
+  return nextDir(0, base)
+}
+
+// The url table is keyed by URL without the protocol
+function urlKey(spec) {
+  const u = url.parse(spec)
+  return u.protocol ? u.host + u.path : spec
+}
+
+// Deep inspection: verify that the file is a package tarball, and if
+// name and version are given, that its package.json agrees with them.
+// Those are given for semver records, the tarballs of which come from the
+// npm registry, and so must have the npm layout.
+function inspectOne(data, dir, storage, name, version) {
+  const filePath = path.resolve(dir, data.filename)
+  return storageAdapters.contentSource(storage, data.filename)
+  .then(source => readPackage(source, { npmLayout: name !== undefined }))
+  .then(pkg => {
+    let err
+    if (name !== undefined && pkg.name !== name) {
+      err = new Error(`Tarball contains package '${pkg.name}'`)
+      err.code = 'EPKGNAME'
+    }
+    else if (version !== undefined && !isSameVersion(pkg.version, version)) {
+      err = new Error(`Tarball contains version '${pkg.version}'`)
+      err.code = 'EPKGVERSION'
+    }
+    if (err) throw err
   })
+  .catch(err => {
+    if (!err.path) err.path = filePath
+    throw err
+  })
+}
+
+function isSameVersion(v1, v2) {
+  if (typeof v1 !== 'string') return false
+  try { return semver.eq(v1, v2, true) }
+  catch (err) { return v1 === v2 }
+}
+
+// For sorting; versions that semver can't parse are compared as strings
+function compareVersions(v1, v2) {
+  try { return semver.compare(v1, v2, true) }
+  catch (err) { return v1 < v2 ? -1 : (v1 > v2 ? 1 : 0) }
 }
 
 // Argument validation
@@ -86,6 +198,28 @@ function expectNonemptyString(val, valName) {
     throw new TypeError('package ' + valName + ' must be given as a string')
 }
 
+// Common to all lookups by type, name, and spec
+function expectQueryArgs(type, name, spec) {
+  expectDLTType(type)
+  switch (type) {
+    case 'semver': case 'tag':
+      expectNonemptyString(name, 'name')
+      break
+    case 'git':
+      expectNonemptyString(name, 'git repo name')
+      break
+    case 'url':
+      // I'm on the fence about this. It's not used, so why should it matter?
+      if (name !== undefined && name !== null && name !== '')
+        throw new SyntaxError('name value must be empty for type url')
+      break
+  }
+  if (spec === undefined || spec === null)
+    throw new SyntaxError('package spec required')
+  if (typeof spec !== 'string')
+    throw new TypeError('package spec must be given as a string')
+}
+
 function expectDLTType(val) {
   if (val === undefined || val === null || val === '')
     throw new SyntaxError('package type required')
@@ -103,6 +237,16 @@ function expectPackageData(type, data) {
     throw new SyntaxError('package metadata must include a filename')
   if (typeof data.filename !== 'string')
     throw new TypeError('filename must be a string')
+  if ('integrity' in data) {
+    if (typeof data.integrity !== 'string')
+      throw new TypeError('integrity must be a string')
+    if (!integrity.parse(data.integrity))
+      throw new SyntaxError('integrity must be a valid SRI string')
+  }
+  for (let field of PROVENANCE_FIELDS) {
+    if (field in data && typeof data[field] !== 'string')
+      throw new TypeError(`${field} must be a string`)
+  }
 
   switch (type) {
     case 'tag':
@@ -197,6 +341,49 @@ function create(where, opts) {
             throw new TypeError(`logger '${prop}' property is not a function`)
         }
       }
+      if (opts.adoptUnmapped !== undefined && opts.adoptUnmapped !== null &&
+          typeof opts.adoptUnmapped !== 'boolean')
+        throw new TypeError('adoptUnmapped option value must be a boolean')
+      if (opts.readPackages !== undefined && opts.readPackages !== null &&
+          typeof opts.readPackages !== 'boolean')
+        throw new TypeError('readPackages option value must be a boolean')
+      if (opts.lockTimeout !== undefined && opts.lockTimeout !== null) {
+        if (typeof opts.lockTimeout !== 'number')
+          throw new TypeError('lockTimeout option value must be a number')
+        if (!(opts.lockTimeout >= 0))
+          throw new RangeError('lockTimeout option value must not be negative')
+      }
+      for (let field of PROVENANCE_FIELDS) {
+        if (opts[field] !== undefined && opts[field] !== null &&
+            typeof opts[field] !== 'string')
+          throw new TypeError(`${field} option value must be a string`)
+      }
+      if (opts.maxRefAge !== undefined && opts.maxRefAge !== null) {
+        if (typeof opts.maxRefAge !== 'number')
+          throw new TypeError('maxRefAge option value must be a number')
+        if (!(opts.maxRefAge > 0))
+          throw new RangeError('maxRefAge option value must be positive')
+      }
+      if (opts.maxBytes !== undefined && opts.maxBytes !== null) {
+        if (typeof opts.maxBytes !== 'number')
+          throw new TypeError('maxBytes option value must be a number')
+        if (!(opts.maxBytes > 0))
+          throw new RangeError('maxBytes option value must be positive')
+      }
+      if (opts.evictionPolicy !== undefined && opts.evictionPolicy !== null) {
+        if (typeof opts.evictionPolicy !== 'string')
+          throw new TypeError('evictionPolicy option value must be a string')
+        if (!EVICTION_POLICIES.has(opts.evictionPolicy))
+          throw new RangeError(`evictionPolicy "${opts.evictionPolicy}" unrecognized`)
+      }
+      if (opts.storage) {
+        if (typeof opts.storage !== 'object')
+          throw new TypeError('storage option value must be an object')
+        for (let method of storageAdapters.METHODS) {
+          if (typeof opts.storage[method] !== 'function')
+            throw new TypeError(`storage must have a '${method}' method`)
+        }
+      }
     }
     else opts = {}
   }
@@ -205,45 +392,69 @@ function create(where, opts) {
   const tables = { semver: {}, tag: {}, url: {}, git: {} }
   const oldInfo = {}
   const log = opts.log || dummyLog
+  // The tables as they were when last read from or written to the map file.
+  // Other processes may change the file meanwhile; this is what lets us tell
+  // our changes from theirs when we serialize.
+  let baseTables = { semver: {}, tag: {}, url: {}, git: {} }
 
   // where.toString() covers the (unlikely) case of (where instanceof String)
   const pkgDir = (where) ? path.resolve(where.toString()) : path.resolve()
+  // With other storage, the path is only used for messages, and by the
+  // methods that need files in the local filesystem
+  const storage = opts.storage || storageAdapters.fsAdapter(pkgDir)
+  const checkingDir = opts.storage ? Promise.resolve(null) :
+    lstatAsync(pkgDir).then(stats => {
+      if (!stats.isDirectory()) {
+        const errNotDir = new Error('Given path is not a directory')
+        errNotDir.path = pkgDir
+        errNotDir.code = 'ENOTDIR'
+        throw errNotDir
+      }
+    })
 
-  return lstatAsync(pkgDir).then(stats => {
-    if (!stats.isDirectory()) {
-      const errNotDir = new Error('Given path is not a directory')
-      errNotDir.path = pkgDir
-      errNotDir.code = 'ENOTDIR'
-      throw errNotDir
-    }
-
+  return checkingDir.then(() => {
     const publicSelf = {
       path: pkgDir,
       audit: auditAll,
+      auditClosure: auditClosure,
       add: add,
+      checkLockfile: checkLockfile,
       contains: contains,
+      createLockfile: createLockfile,
+      exportBundle: exportBundle,
+      exportPackuments: exportPackuments,
       getData: getData,
-      serialize: serialize
+      entries: entries,
+      getAll: getAll,
+      getPackument: getPackument,
+      importBundle: importBundle,
+      list: list,
+      merge: merge,
+      prune: prune,
+      readTarball: readTarball,
+      remove: remove,
+      serialize: serialize,
+      stats: getStats
     }
     Object.freeze(publicSelf)
+    trackerInternals.set(publicSelf, { tables: tables, storage: storage })
 
-    const mapFilepath = path.join(pkgDir, MAPFILE_NAME)
-    return readFileAsync(mapFilepath, 'utf8').then(str => {
+    return storage.read(MAPFILE_NAME, 'utf8').then(str => {
       let map
-      // Strip BOM, if any
-      if (str.charCodeAt(0) === 0xFEFF) str = str.slice(1)
-      try { map = JSON.parse(str) }
+      try {
+        map = parseMapFile(str)
+      }
       catch (parseErr) {
         log.error('DownloadTracker', 'Failed to parse map file')
-        throw parseErr
-      }
-      for (let p in map) {
-        if (DLT_TYPES.has(p)) tables[p] = map[p]
+        return readBackupMap().then(backupMap => {
+          if (!backupMap) throw parseErr
+          log.warn('DownloadTracker', 'Using the backup of the map file')
+          // Make sure serialize() will replace the damaged file
+          tables.dirty = true
+          return loadMap(backupMap)
+        })
       }
-      if (map.created)
-        oldInfo.created = map.created
-
-      return publicSelf
+      return loadMap(map)
     })
     .catch(err => {
       if (err.code !== 'ENOENT') {
@@ -251,14 +462,67 @@ function create(where, opts) {
         throw err
       }
       log.warn('DownloadTracker', 'Could not find a map file; trying to reconstruct...')
-      return reconstructMap(pkgDir, log).then(map => {
+      const reconstructOpts = { readPackages: opts.readPackages, storage: storage }
+      return reconstructMap(pkgDir, log, reconstructOpts).then(map => {
         Object.assign(tables, map)
         return publicSelf
       })
     })
+
+    function loadMap(map) {
+      for (let p in map) {
+        if (DLT_TYPES.has(p)) tables[p] = map[p]
+      }
+      if (map.created)
+        oldInfo.created = map.created
+      baseTables = copyTables(tables)
+
+      if (!opts.adoptUnmapped) return publicSelf
+      return adoptUnmapped().then(() => publicSelf)
+    }
   })
 
-  function auditAll(cb) {
+  // Give minimal records to the tarballs that are present but not mapped
+  function adoptUnmapped() {
+    return listTarballs().then(files => {
+      const referenced = referencedFilenames()
+      const unmapped = files.filter(f => !referenced.has(f))
+      if (!unmapped.length) return
+      const phantoms = reconstructMap.mapFiles(unmapped, log)
+      let count = 0
+      forEachRecordKey([ phantoms ], (type, name, key) => {
+        // Never displace a record that is already mapped
+        if (getRecord(tables, type, name, key)) return
+        setRecord(tables, type, name, key, getRecord(phantoms, type, name, key))
+        ++count
+      })
+      if (count) {
+        log.info('DownloadTracker', `Adopted ${count} unmapped tarball(s)`)
+        tables.dirty = true
+      }
+    })
+  }
+
+  // Resolves to the parsed backup map file, or null if it's unusable
+  function readBackupMap() {
+    return storage.read(MAPFILE_NAME + BACKUP_SUFFIX, 'utf8')
+    .then(str => parseMapFile(str))
+    .catch(err => {
+      log.warn('DownloadTracker', `Backup map file unusable: ${err.code || err.message}`)
+      return null
+    })
+  }
+
+  function auditAll(opts) {
+    try {
+      if (opts !== undefined && opts !== null) {
+        if (typeof opts !== 'object')
+          throw new TypeError('options must be given as an object')
+      }
+      else opts = {}
+    }
+    catch (err) { return Promise.reject(err) }
+
     let pkgs
     let pkgKeys
     let pkgKeyIndex = 0
@@ -272,7 +536,8 @@ function create(where, opts) {
       const name = pkgKeys[pkgKeyIndex]
       const ver = versionKeys[i]
       const data = versions[ver] 
-      return auditOne('semver', data, pkgDir)
+      return auditOne('semver', data, pkgDir, storage)
+      .then(() => opts.deep && inspectOne(data, pkgDir, storage, name, ver))
       .catch(err => {
         errors.push({
           data: preparedData('semver', name, ver),
@@ -294,17 +559,19 @@ function create(where, opts) {
     }
 
     function iterateTagPkgs() {
-      let err
       // pkgs is tables['tag'] here
       for (let n in pkgs) {
         const tags = pkgs[n]
         for (let tag in tags) {
+          let err
           const data = tags[tag]
           if ('version' in data) {
             if (!tables.semver[n] || !tables.semver[n][data.version]) {
               err = new Error("Orphaned npm registry tag reference")
               err.code = 'EORPHANREF'
             }
+            else if (isStaleRef(data))
+              err = staleRefError('Tag reference')
           }
           else {
             err = new Error('Version missing from tag record')
@@ -332,6 +599,10 @@ function create(where, opts) {
         if (!versions[data.commit]) {
           err = new Error("Orphaned git commit reference")
           err.code = 'EORPHANREF'
+        }
+        else if (isStaleRef(data))
+          err = staleRefError('Git ref')
+        if (err) {
           errors.push({
             data: preparedData('git', repo, commit),
             error: err
@@ -348,7 +619,8 @@ function create(where, opts) {
         })
         return nextCommit(i+1)
       }
-      return auditOne('git', data, pkgDir)
+      return auditOne('git', data, pkgDir, storage)
+      .then(() => opts.deep && inspectOne(data, pkgDir, storage))
       .catch(err => {
         errors.push({
           data: preparedData('git', repo, commit),
@@ -374,7 +646,8 @@ function create(where, opts) {
 
       const spec = pkgKeys[pkgKeyIndex]
       const data = pkgs[spec] 
-      return auditOne('url', data, pkgDir)
+      return auditOne('url', data, pkgDir, storage)
+      .then(() => opts.deep && inspectOne(data, pkgDir, storage))
       .catch(err => {
         errors.push({
           data: preparedData('url', null, spec),
@@ -387,6 +660,23 @@ function create(where, opts) {
       })
     }
 
+    // Tarballs that are in the directory but not in the tables
+    function listUntracked() {
+      return listTarballs().then(files => {
+        const referenced = referencedFilenames()
+        for (let i = 0; i < files.length; ++i) {
+          if (referenced.has(files[i])) continue
+          const err = new Error('Tarball is not tracked')
+          err.code = 'EUNTRACKED'
+          err.path = path.join(pkgDir, files[i])
+          errors.push({
+            data: { filename: files[i], parsed: npf.parse(files[i]) },
+            error: err
+          })
+        }
+      })
+    }
+
     pkgs = tables['semver']
     pkgKeys = Object.keys(pkgs)
     return iterateSemverPkgs()
@@ -405,9 +695,107 @@ function create(where, opts) {
       pkgKeyIndex = 0
       return iterateUrlPkgs()
     })
+    .then(() => listUntracked())
     .then(() => errors)
   }
 
+  // Check that the download set is closed under the dependencies recorded
+  // with the packages, starting from the given root specs: each either
+  // 'name@spec' as in a package.json, or { type, name, spec } as for
+  // getData(). Resolves to lists of unsatisfied dependencies:
+  //   { missing, optional, peer, unknown }
+  // where unknown lists the records that have no dependency fields.
+  function auditClosure(rootSpecs) {
+    let roots
+    try {
+      if (rootSpecs === undefined || rootSpecs === null)
+        throw new SyntaxError('root package specs required')
+      if (!(rootSpecs instanceof Array))
+        throw new TypeError('root package specs must be given as an array')
+      roots = rootSpecs.map(item => {
+        if (typeof item === 'string') {
+          const idx = item.indexOf('@', 1)
+          const query = idx === -1 ? depSpec.toQuery(item, '') :
+            depSpec.toQuery(item.slice(0, idx), item.slice(idx + 1))
+          if (!query)
+            throw new RangeError(`root spec '${item}' is not of a kind that is tracked`)
+          return query
+        }
+        if (!item || typeof item !== 'object')
+          throw new TypeError('root package spec must be a string or an object')
+        expectQueryArgs(item.type, item.name, item.spec)
+        return { type: item.type, name: item.name, spec: item.spec }
+      })
+    }
+    catch (err) { return Promise.reject(err) }
+
+    const result = { missing: [], optional: [], peer: [], unknown: [] }
+    const visited = new Set()
+    // Everything reachable by hard dependencies is visited before anything
+    // reachable only by way of an optional dependency
+    const hardQueue = roots.map(query => ({
+      query: query, name: query.name, spec: query.spec, requiredBy: null
+    }))
+    const optQueue = []
+
+    function enqueue(deps, kind, inOptional, requiredBy, skipNames) {
+      for (let name in deps || {}) {
+        if (skipNames && name in skipNames) continue
+        const query = depSpec.toQuery(name, deps[name])
+        if (!query) continue // local, not for the tracker
+        const item = {
+          query: query, name: name, spec: deps[name],
+          requiredBy: requiredBy, kind: kind
+        }
+        if (inOptional || kind === 'optional') optQueue.push(item)
+        else hardQueue.push(item)
+      }
+    }
+
+    while (hardQueue.length || optQueue.length) {
+      const inOptional = !hardQueue.length
+      const item = inOptional ? optQueue.shift() : hardQueue.shift()
+      const q = item.query
+      const data = preparedData(q.type, q.name, q.spec)
+      if (!data || !data.filename) {
+        const problem = {
+          name: item.name, spec: item.spec, requiredBy: item.requiredBy
+        }
+        if (item.kind === 'peer') result.peer.push(problem)
+        else if (inOptional) result.optional.push(problem)
+        else result.missing.push(problem)
+        continue
+      }
+      const ref = recordRef(data)
+      const refKey = [ ref.type, ref.name, ref.spec ].join(' ')
+      if (visited.has(refKey)) continue
+      visited.add(refKey)
+
+      if (!('dependencies' in data || 'optionalDependencies' in data ||
+            'peerDependencies' in data)) {
+        result.unknown.push(ref)
+        continue
+      }
+      const optDeps = data.optionalDependencies
+      enqueue(data.dependencies, 'hard', inOptional, ref, optDeps)
+      enqueue(optDeps, 'optional', inOptional, ref)
+      enqueue(data.peerDependencies, 'peer', inOptional, ref)
+    }
+    return Promise.resolve(result)
+  }
+
+  // The identity of a record that preparedData() returned, in the terms of
+  // getData() arguments
+  function recordRef(data) {
+    switch (data.type) {
+      case 'git':
+        return { type: 'git', name: data.repo, spec: data.commit }
+      case 'url':
+        return { type: 'url', name: '', spec: data.spec }
+    }
+    return { type: 'semver', name: data.name, spec: data.version }
+  }
+
   function add(type, data) {
     try {
       expectDLTType(type)
@@ -421,14 +809,28 @@ function create(where, opts) {
       type = 'semver'
 
     // First, need to verify existence of item in download directory.
-    return auditOne(type, data, pkgDir)
-    .then(() => {
+    // If integrity was given, this also verifies the file content against it;
+    // else we calculate it here.
+    return auditOne(type, data, pkgDir, storage)
+    .then(() => data.integrity ||
+      storageAdapters.contentSource(storage, data.filename)
+      .then(content => integrity.calculate(content))
+    )
+    .then(sri => enforceQuota(data.filename).then(() => sri))
+    .then(sri => {
       const map = tables[type]
+      const addedAt = (new Date()).toISOString()
       const copy = {}
+      for (let i = 0; i < PROVENANCE_FIELDS.length; ++i) {
+        const field = PROVENANCE_FIELDS[i]
+        if (opts[field]) copy[field] = opts[field]
+      }
       for (let prop in data) {
         if (KEYFIELDS.has(prop)) continue
         copy[prop] = data[prop]
       }
+      copy.integrity = sri
+      copy.addedAt = addedAt
 
       switch (type) {
         case 'semver':
@@ -444,7 +846,7 @@ function create(where, opts) {
             semverMap[data.name][data.version] = copy
           // Then refer to that from the tag table entry
           if (!map[data.name]) map[data.name] = {}
-          map[data.name][data.spec] = { version: data.version }
+          map[data.name][data.spec] = { version: data.version, addedAt: addedAt }
           break
         case 'git':
           // NOTE: no longer any support for adding legacy-type git records
@@ -452,15 +854,12 @@ function create(where, opts) {
           map[data.repo][data.commit] = copy
           if (data.refs) {
             for (let i = 0; i < data.refs.length; ++i) {
-              map[data.repo][data.refs[i]] = { commit: data.commit }
+              map[data.repo][data.refs[i]] = { commit: data.commit, addedAt: addedAt }
             }
           }
           break
         case 'url':
-          let spec = data.spec
-          const u = url.parse(spec)
-          if (u.protocol) spec = u.host + u.path
-          map[spec] = copy
+          map[urlKey(data.spec)] = copy
           break
         // no default currently necessary: it would never be visited
       }
@@ -475,31 +874,664 @@ function create(where, opts) {
     })
   }
 
-  function contains(type, name, spec) {
-    return getData(type, name, spec) ? true : false
+  // If the maxBytes option is set, make sure there is room under it for the
+  // named tarball along with all the referenced ones, by evicting records
+  // as the evictionPolicy option says. Nothing is evicted unless that
+  // makes enough room; else rejects with code 'EQUOTA'.
+  function enforceQuota(newFilename) {
+    if (!opts.maxBytes) return Promise.resolve()
+    const policy = opts.evictionPolicy || 'reject'
+    const sizes = new Map() // filename -> bytes
+    const refCounts = new Map() // filename -> number of records
+    let candidates
+
+    return quotaCandidates().then(list => {
+      candidates = list
+      const filenames = candidates.map(cand => cand.filename)
+      filenames.push(newFilename)
+      function nextFile(i) {
+        if (i >= filenames.length) return Promise.resolve(null)
+        const filename = filenames[i]
+        refCounts.set(filename, (refCounts.get(filename) || 0) + 1)
+        if (sizes.has(filename)) return nextFile(i+1)
+        return storage.stat(filename)
+        .then(stats => sizes.set(filename, stats.size))
+        .catch(err => {
+          if (err.code !== 'ENOENT') throw err
+          sizes.set(filename, 0)
+        })
+        .then(() => nextFile(i+1))
+      }
+      return nextFile(0)
+    })
+    .then(() => {
+      let total = 0
+      for (let size of sizes.values()) total += size
+      if (total <= opts.maxBytes) return
+      if (policy === 'reject') throw quotaError(newFilename)
+
+      sortCandidates(candidates, policy)
+      const evictions = []
+      for (let i = 0; i < candidates.length && total > opts.maxBytes; ++i) {
+        const cand = candidates[i]
+        if (cand.filename === newFilename) continue
+        evictions.push(cand)
+        // The space is only freed with the last record that refers to it
+        const remaining = refCounts.get(cand.filename) - 1
+        refCounts.set(cand.filename, remaining)
+        if (!remaining) total -= sizes.get(cand.filename)
+      }
+      if (total > opts.maxBytes) throw quotaError(newFilename)
+      return evict(evictions)
+    })
   }
 
-  // For type 'git', 'name' value can be the repo; if present,
-  // then 'spec' is the commit or tag
-  function getData(type, name, spec) {
-    expectDLTType(type)
+  // The records that have a tarball, as { type, name, key, filename, time },
+  // where time is when it was added, as far as can be told: the addedAt of
+  // the record if it has one, else the modification time of the file
+  function quotaCandidates() {
+    const list = []
+    for (let name in tables.semver) {
+      const versions = tables.semver[name]
+      for (let ver in versions) {
+        if (versions[ver].filename)
+          list.push(quotaCandidate('semver', name, ver, versions[ver]))
+      }
+    }
+    for (let repo in tables.git) {
+      const commits = tables.git[repo]
+      for (let id in commits) {
+        if (commits[id].filename)
+          list.push(quotaCandidate('git', repo, id, commits[id]))
+      }
+    }
+    for (let spec in tables.url) {
+      if (tables.url[spec].filename)
+        list.push(quotaCandidate('url', null, spec, tables.url[spec]))
+    }
+    function nextCandidate(i) {
+      if (i >= list.length) return Promise.resolve(list)
+      if (!isNaN(list[i].time)) return nextCandidate(i+1)
+      return storage.stat(list[i].filename)
+      .then(stats => { list[i].time = stats.mtime.getTime() })
+      .catch(err => {
+        if (err.code !== 'ENOENT') throw err
+        list[i].time = 0
+      })
+      .then(() => nextCandidate(i+1))
+    }
+    return nextCandidate(0)
+  }
+
+  function quotaCandidate(type, name, key, record) {
+    return {
+      type: type, name: name, key: key, filename: record.filename,
+      time: Date.parse(record.addedAt)
+    }
+  }
+
+  // Puts the candidates in the order of eviction.
+  // least-recently-added: oldest tarball first.
+  // lowest-version: the records with the most newer versions of the same
+  // package go first, so that the highest version of each package stays
+  // longest; git commits are ordered by age within their repo.
+  function sortCandidates(candidates, policy) {
+    const byAge = (a, b) => a.time - b.time
+    if (policy === 'least-recently-added') {
+      candidates.sort(byAge)
+      return
+    }
+    const groups = new Map()
+    for (let i = 0; i < candidates.length; ++i) {
+      const cand = candidates[i]
+      const groupKey = `${cand.type}:${cand.name}`
+      if (!groups.has(groupKey)) groups.set(groupKey, [])
+      groups.get(groupKey).push(cand)
+    }
+    for (let group of groups.values()) {
+      if (group[0].type === 'semver') group.sort((a, b) => compareVersions(a.key, b.key))
+      else group.sort(byAge)
+      for (let i = 0; i < group.length; ++i) group[i].newer = group.length - 1 - i
+    }
+    candidates.sort((a, b) => (b.newer - a.newer) || byAge(a, b))
+  }
+
+  function evict(evictions) {
+    function nextEviction(i) {
+      if (i >= evictions.length) return Promise.resolve(null)
+      const cand = evictions[i]
+      log.info('DownloadTracker.add',
+        `evicting ${cand.type} ${cand.name ? cand.name + ' ' : ''}${cand.key} for space`
+      )
+      const filename = dropRecord(cand.type, cand.name, cand.key)
+      tables.dirty = true
+      if (!filename || isFilenameReferenced(filename)) return nextEviction(i+1)
+      return storage.remove(filename)
+      .catch(err => {
+        if (err.code !== 'ENOENT') throw err
+      })
+      .then(() => nextEviction(i+1))
+    }
+    return nextEviction(0)
+  }
+
+  function quotaError(filename) {
+    const err = new Error(`Adding ${filename} would exceed the limit of ${opts.maxBytes} bytes`)
+    err.code = 'EQUOTA'
+    err.path = path.join(pkgDir, filename)
+    return err
+  }
+
+  // Unlike the queries, spec here must be the exact key of a record:
+  // a version, a tag, a commit hash or git ref, or a URL
+  function remove(type, name, spec, opts) {
+    try {
+      expectQueryArgs(type, name, spec)
+      if (opts !== undefined && opts !== null) {
+        if (typeof opts !== 'object')
+          throw new TypeError('options must be given as an object')
+      }
+      else opts = {}
+    }
+    catch (err) { return Promise.reject(err) }
+
+    log.verbose('DownloadTracker.remove',
+      [ 'type: ', type, ', name: ', name, ', spec: ', spec ].join('')
+    )
+    const filename = dropRecord(type, name, spec)
+    if (filename === undefined) return Promise.resolve(false)
+    tables.dirty = true
+
+    if (!opts.deleteFile || !filename || isFilenameReferenced(filename))
+      return Promise.resolve(true)
+    return storage.remove(filename)
+    .catch(err => {
+      if (err.code !== 'ENOENT') throw err
+    })
+    .then(() => true)
+  }
+
+  // Removes the identified record and everything that refers to it.
+  // Returns undefined if there is no such record; else the filename of the
+  // removed record, or null if it was only a reference (tag or git ref).
+  function dropRecord(type, name, spec) {
+    let versions, filename
     switch (type) {
-      case 'semver': case 'tag':
-        expectNonemptyString(name, 'name')
-        break
+      case 'semver':
+        versions = tables.semver[name]
+        if (!versions || !versions[spec]) return undefined
+        filename = versions[spec].filename || null
+        delete versions[spec]
+        if (!Object.keys(versions).length) delete tables.semver[name]
+        // Tags that pointed to the removed version are now orphans
+        const tags = tables.tag[name]
+        if (tags) {
+          for (let tag in tags)
+            if (tags[tag].version === spec) delete tags[tag]
+          if (!Object.keys(tags).length) delete tables.tag[name]
+        }
+        return filename
+      case 'tag':
+        versions = tables.tag[name]
+        if (!versions || !versions[spec]) return undefined
+        delete versions[spec]
+        if (!Object.keys(versions).length) delete tables.tag[name]
+        return null
       case 'git':
-        expectNonemptyString(name, 'git repo name')
-        break
+        versions = tables.git[name]
+        if (!versions || !versions[spec]) return undefined
+        if ('commit' in versions[spec]) filename = null // a ref alias
+        else {
+          filename = versions[spec].filename || null
+          // Refs that pointed to the removed commit are now orphans
+          for (let ref in versions)
+            if (versions[ref].commit === spec) delete versions[ref]
+        }
+        delete versions[spec]
+        if (!Object.keys(versions).length) delete tables.git[name]
+        return filename
       case 'url':
-        // I'm on the fence about this. It's not used, so why should it matter?
-        if (name !== undefined && name !== null && name !== '')
-          throw new SyntaxError('name value must be empty for type url')
-        break
+        const key = urlKey(spec)
+        if (!tables.url[key]) return undefined
+        filename = tables.url[key].filename || null
+        delete tables.url[key]
+        return filename
     }
-    if (spec === undefined || spec === null)
-      throw new SyntaxError('package spec required')
-    if (typeof spec !== 'string')
-      throw new TypeError('package spec must be given as a string')
+  }
+
+  function prune(opts) {
+    try {
+      if (opts !== undefined && opts !== null) {
+        if (typeof opts !== 'object')
+          throw new TypeError('options must be given as an object')
+      }
+      else opts = {}
+    }
+    catch (err) { return Promise.reject(err) }
+
+    const result = { dropped: [], unreferenced: [], deleted: [] }
+    // A record's file may be there without a tarball extension
+    return storage.list().then(files => {
+      const present = new Set(files)
+      const referenced = new Set()
+      const missing = []
+
+      for (let name in tables.semver) {
+        const versions = tables.semver[name]
+        for (let ver in versions) {
+          const filename = versions[ver].filename
+          if (!filename) continue
+          referenced.add(filename)
+          if (!present.has(filename)) missing.push([ 'semver', name, ver ])
+        }
+      }
+      for (let repo in tables.git) {
+        const commits = tables.git[repo]
+        for (let id in commits) {
+          const filename = commits[id].filename
+          if (!filename) continue
+          referenced.add(filename)
+          if (!present.has(filename)) missing.push([ 'git', repo, id ])
+        }
+      }
+      for (let spec in tables.url) {
+        const filename = tables.url[spec].filename
+        if (!filename) continue
+        referenced.add(filename)
+        if (!present.has(filename)) missing.push([ 'url', null, spec ])
+      }
+
+      for (let i = 0; i < missing.length; ++i) {
+        const type = missing[i][0], name = missing[i][1], spec = missing[i][2]
+        result.dropped.push(preparedData(type, name, spec))
+        if (!opts.dryRun) dropRecord(type, name, spec)
+      }
+      if (missing.length && !opts.dryRun) tables.dirty = true
+
+      result.unreferenced = files.filter(
+        f => npf.hasTarballExtension(f) && !referenced.has(f)
+      )
+      if (!opts.deleteFiles || opts.dryRun) return result
+
+      function iterateDeletions(i) {
+        if (i >= result.unreferenced.length) return Promise.resolve(result)
+        const filename = result.unreferenced[i]
+        return storage.remove(filename)
+        .then(() => result.deleted.push(filename))
+        .catch(err => {
+          log.warn('DownloadTracker.prune', `Failed to delete ${filename}: ${err.code}`)
+        })
+        .then(() => iterateDeletions(i+1))
+      }
+      return iterateDeletions(0)
+    })
+  }
+
+  // The tarballs in the download directory, whether tracked or not
+  function listTarballs() {
+    return storage.list()
+    .then(files => files.filter(f => npf.hasTarballExtension(f)))
+  }
+
+  function isFilenameReferenced(filename) {
+    return referencedFilenames().has(filename)
+  }
+
+  function referencedFilenames() {
+    const names = new Set()
+    for (let name in tables.semver) {
+      const versions = tables.semver[name]
+      for (let ver in versions)
+        if (versions[ver].filename) names.add(versions[ver].filename)
+    }
+    for (let repo in tables.git) {
+      const commits = tables.git[repo]
+      for (let id in commits)
+        if (commits[id].filename) names.add(commits[id].filename)
+    }
+    for (let spec in tables.url)
+      if (tables.url[spec].filename) names.add(tables.url[spec].filename)
+    return names
+  }
+
+  // Counts of what the tables hold, and the sizes of the tarballs.
+  // A package here is a name in the semver table, a git repo, or a URL.
+  // Resolves to {
+  //   records: { semver, tag, git, url }, gitRefs,
+  //   packages: { semver, git, url }, added, reconstructed,
+  //   totalBytes, packageBytes, largest, missingFiles
+  // }
+  function getStats(opts) {
+    try {
+      if (opts !== undefined && opts !== null) {
+        if (typeof opts !== 'object')
+          throw new TypeError('options must be given as an object')
+        if (opts.top !== undefined && opts.top !== null) {
+          if (typeof opts.top !== 'number')
+            throw new TypeError('top option value must be a number')
+          if (!(opts.top >= 0))
+            throw new RangeError('top option value must not be negative')
+        }
+      }
+      else opts = {}
+    }
+    catch (err) { return Promise.reject(err) }
+
+    const top = (typeof opts.top === 'number') ? opts.top : 10
+    const result = {
+      records: { semver: 0, tag: 0, git: 0, url: 0 },
+      gitRefs: 0,
+      packages: {
+        semver: Object.keys(tables.semver).length,
+        git: Object.keys(tables.git).length,
+        url: Object.keys(tables.url).length
+      },
+      added: 0,
+      reconstructed: 0,
+      totalBytes: 0,
+      packageBytes: {},
+      largest: [],
+      missingFiles: []
+    }
+    const pkgs = [] // { type, name, filenames }
+
+    function countRecord(record, pkg) {
+      // Records made by add() before integrity was tracked have none,
+      // so only the flag tells a reconstructed record
+      if (record.reconstructed) ++result.reconstructed
+      else ++result.added
+      if (record.filename) pkg.filenames.add(record.filename)
+    }
+
+    for (let name in tables.semver) {
+      const pkg = { type: 'semver', name: name, filenames: new Set() }
+      const versions = tables.semver[name]
+      for (let ver in versions) {
+        ++result.records.semver
+        countRecord(versions[ver], pkg)
+      }
+      pkgs.push(pkg)
+    }
+    for (let name in tables.tag)
+      result.records.tag += Object.keys(tables.tag[name]).length
+    for (let repo in tables.git) {
+      const pkg = { type: 'git', name: repo, filenames: new Set() }
+      const commits = tables.git[repo]
+      for (let id in commits) {
+        if ('commit' in commits[id]) { ++result.gitRefs; continue }
+        ++result.records.git
+        countRecord(commits[id], pkg)
+      }
+      pkgs.push(pkg)
+    }
+    for (let spec in tables.url) {
+      const pkg = { type: 'url', name: spec, filenames: new Set() }
+      ++result.records.url
+      countRecord(tables.url[spec], pkg)
+      pkgs.push(pkg)
+    }
+
+    const sizes = new Map() // filename -> bytes, or null if missing
+    function sizeOf(filename) {
+      if (sizes.has(filename)) return Promise.resolve(sizes.get(filename))
+      return storage.stat(filename).then(stats => {
+        sizes.set(filename, stats.size)
+        result.totalBytes += stats.size
+        return stats.size
+      })
+      .catch(err => {
+        if (err.code !== 'ENOENT') throw err
+        sizes.set(filename, null)
+        result.missingFiles.push(filename)
+        return null
+      })
+    }
+
+    function nextPackage(i) {
+      if (i >= pkgs.length) return Promise.resolve(null)
+      const pkg = pkgs[i]
+      const filenames = Array.from(pkg.filenames)
+      pkg.bytes = 0
+      function nextFile(f) {
+        if (f >= filenames.length) return Promise.resolve(null)
+        return sizeOf(filenames[f]).then(size => {
+          pkg.bytes += size || 0
+          return nextFile(f+1)
+        })
+      }
+      return nextFile(0).then(() => {
+        result.packageBytes[pkg.name] = pkg.bytes
+        return nextPackage(i+1)
+      })
+    }
+
+    return nextPackage(0).then(() => {
+      result.largest = pkgs
+        .filter(pkg => pkg.bytes > 0)
+        .sort((a, b) => b.bytes - a.bytes)
+        .slice(0, top)
+        .map(pkg => ({
+          type: pkg.type, name: pkg.name, files: pkg.filenames.size, bytes: pkg.bytes
+        }))
+      return result
+    })
+  }
+
+  // Resolve every package of a lockfile against the tables, to find what
+  // a download missed before anyone tries an offline install with it.
+  // The lockfile reader is chosen by file name: yarn.lock, pnpm-lock.yaml,
+  // else npm's.
+  // Resolves to { checked, missing, mismatched, skipped }, where the lists
+  // hold entries as given by the reader; a mismatched entry also has the
+  // integrity of the tracker's record as 'recorded'.
+  function checkLockfile(lockPath) {
+    try { expectNonemptyString(lockPath, 'lockfile path') }
+    catch (err) { return Promise.reject(err) }
+
+    const reader = LOCKFILE_READERS[path.basename(lockPath)] || npmLockfile
+    log.verbose('DownloadTracker.checkLockfile', 'checking', lockPath)
+    return reader.read(path.resolve(lockPath)).then(lock => {
+      const result = {
+        checked: lock.entries.length, missing: [], mismatched: [],
+        skipped: lock.skipped
+      }
+      for (let i = 0; i < lock.entries.length; ++i) {
+        const entry = lock.entries[i]
+        const data = preparedData(entry.type, entry.name, entry.spec)
+        if (!data || !data.filename) {
+          result.missing.push(entry)
+          continue
+        }
+        // A record without integrity can't be said to disagree
+        if (entry.integrity && data.integrity &&
+            integrity.compare(entry.integrity, data.integrity) === false)
+          result.mismatched.push(Object.assign({ recorded: data.integrity }, entry))
+      }
+      return result
+    })
+  }
+
+  // Make the content of a package-lock.json (lockfileVersion 3) for the
+  // project of the given package.json, pinning every dependency to the
+  // best match in the semver and tag tables, with 'resolved' pointing at
+  // the tarball in this directory by a 'file:' path relative to the project.
+  // The dependencies of each package are read from its tarball.
+  // If opts.write is set, the lockfile is also written next to the
+  // package.json.
+  function createLockfile(pkgJsonPath, opts) {
+    try {
+      expectNonemptyString(pkgJsonPath, 'package.json path')
+      if (opts !== undefined && opts !== null) {
+        if (typeof opts !== 'object')
+          throw new TypeError('options must be given as an object')
+      }
+      else opts = {}
+    }
+    catch (err) { return Promise.reject(err) }
+
+    // A 'file:' path is no use for tarballs that aren't in the filesystem
+    if (!storage.localPath) {
+      const err = new Error('Storage does not keep the tarballs in the local filesystem')
+      err.code = 'ENOTLOCAL'
+      return Promise.reject(err)
+    }
+
+    const projectDir = path.dirname(path.resolve(pkgJsonPath))
+    const resolver = {
+      pick: pickForLockfile,
+      manifest: (name, version, record) =>
+        storageAdapters.contentSource(storage, record.filename).then(readPackage),
+      resolved: record => 'file:' + path.relative(
+        projectDir, path.resolve(storage.localPath(record.filename))
+      ).split(path.sep).join('/')
+    }
+
+    log.verbose('DownloadTracker.createLockfile', 'for', pkgJsonPath)
+    return readFileAsync(pkgJsonPath, 'utf8').then(str => {
+      // Strip BOM, if any
+      if (str.charCodeAt(0) === 0xFEFF) str = str.slice(1)
+      let pkg
+      try { pkg = JSON.parse(str) }
+      catch (parseErr) {
+        const err = new Error('Failed to parse package.json')
+        err.code = 'EPKGJSON'
+        err.path = pkgJsonPath
+        err.cause = parseErr
+        throw err
+      }
+      return buildLockfile(pkg, resolver)
+    })
+    .then(lock => {
+      if (!opts.write) return lock
+      const lockPath = path.join(projectDir, 'package-lock.json')
+      return storageAdapters.writeFileAtomic(lockPath, JSON.stringify(lock, null, 2) + '\n')
+      .then(() => lock)
+    })
+  }
+
+  // The best match in the semver table for a dependency spec, which may be
+  // a semver range, a tag, or an alias ('npm:<name>@<spec>')
+  function pickForLockfile(name, spec) {
+    if (typeof spec !== 'string') return null
+    if (spec.startsWith('npm:')) {
+      const aliased = spec.slice(4)
+      const idx = aliased.indexOf('@', 1)
+      if (idx === -1) return pickForLockfile(aliased, '*')
+      return pickForLockfile(aliased.slice(0, idx), aliased.slice(idx + 1))
+    }
+    const versions = tables.semver[name]
+    if (!versions) return null
+    let version = null
+    if (spec === 'latest') spec = '*'
+    if (semver.validRange(spec, true))
+      version = getMaxSemverMatch(spec, versions)
+    else if (tables.tag[name] && tables.tag[name][spec])
+      version = tables.tag[name][spec].version
+    if (!version || !versions[version] || !versions[version].filename)
+      return null
+    return { name: name, version: version, record: versions[version] }
+  }
+
+  // All the records that match the given options, in the shape that
+  // getData() gives:
+  // * type: one of the table types
+  // * name: package name, or for type 'git', the repo
+  // * filter: a function that gets each record, and returns true to keep it
+  function list(opts) {
+    const refs = expectListOptions(opts)
+    const result = []
+    for (let i = 0; i < refs.length; ++i) {
+      const data = refData(refs[i])
+      if (data) result.push(data)
+    }
+    return result
+  }
+
+  // Async iterator over the same records as list(). Records are looked up
+  // as they are reached, so any removed in the meantime are skipped.
+  function entries(opts) {
+    const refs = expectListOptions(opts)
+    let i = 0
+    const iterator = {
+      next: () => {
+        while (i < refs.length) {
+          const data = refData(refs[i++])
+          if (data) return Promise.resolve({ value: data, done: false })
+        }
+        return Promise.resolve({ value: undefined, done: true })
+      }
+    }
+    iterator[ASYNC_ITERATOR] = () => iterator
+    return iterator
+  }
+
+  // Validates the options of list() and entries(), and returns the
+  // identities of the candidate records, with the filter function
+  function expectListOptions(opts) {
+    if (opts !== undefined && opts !== null) {
+      if (typeof opts !== 'object')
+        throw new TypeError('options must be given as an object')
+    }
+    else opts = {}
+    if (opts.type !== undefined && opts.type !== null) expectDLTType(opts.type)
+    if (opts.name !== undefined && opts.name !== null) {
+      expectNonemptyString(opts.name, 'name')
+      if (opts.type === 'url')
+        throw new SyntaxError('name value must be empty for type url')
+    }
+    if (opts.filter !== undefined && opts.filter !== null &&
+        typeof opts.filter !== 'function')
+      throw new TypeError('filter must be a function')
+
+    const refs = []
+    const types = opts.type ? [ opts.type ] : [ 'semver', 'tag', 'git', 'url' ]
+    for (let t = 0; t < types.length; ++t) {
+      const type = types[t]
+      if (type === 'url') {
+        if (opts.name) continue
+        for (let key in tables.url)
+          refs.push({ type: type, name: '', spec: key, filter: opts.filter })
+        continue
+      }
+      const names = opts.name ?
+        (tables[type][opts.name] ? [ opts.name ] : []) : Object.keys(tables[type])
+      for (let n = 0; n < names.length; ++n) {
+        for (let spec in tables[type][names[n]]) {
+          refs.push({
+            type: type, name: names[n], spec: spec, filter: opts.filter
+          })
+        }
+      }
+    }
+    return refs
+  }
+
+  // The getData() form of the record at an exact table position, or null
+  // if it's gone or rejected by the filter
+  function refData(ref) {
+    const table = ref.type === 'url' ? tables.url : tables[ref.type][ref.name]
+    if (!table || !table[ref.spec]) return null
+    // The version key is exact; no need to match it as a range
+    const data = ref.type === 'semver' ?
+      Object.assign(
+        { name: ref.name, version: ref.spec }, table[ref.spec], { type: 'semver' }
+      ) :
+      preparedData(ref.type, ref.name, ref.spec)
+    if (!data || ref.filter && !ref.filter(data)) return null
+    return data
+  }
+
+  // A stale tag or git ref is as good as absent: it's time to look again
+  // at what it refers to upstream
+  function contains(type, name, spec) {
+    const data = getData(type, name, spec)
+    return data && !data.stale ? true : false
+  }
+
+  // For type 'git', 'name' value can be the repo; if present,
+  // then 'spec' is the commit or tag
+  function getData(type, name, spec) {
+    expectQueryArgs(type, name, spec)
 
     if (type === 'tag' && (spec === '' || spec === 'latest')) {
       type = 'semver'
@@ -512,29 +1544,507 @@ function create(where, opts) {
     return preparedData(type, name, spec)
   }
 
+  // Every record that satisfies a semver range (type 'semver'), or a
+  // 'semver:' expression (type 'git'), lowest version first, in the form
+  // that getData() gives.
+  // Options includePrerelease and loose are as for the semver package.
+  function getAll(type, name, spec, opts) {
+    expectQueryArgs(type, name, spec)
+    if (type !== 'semver' && type !== 'git')
+      throw new RangeError(`getAll does not apply to package type "${type}"`)
+    if (opts !== undefined && opts !== null) {
+      if (typeof opts !== 'object')
+        throw new TypeError('options must be given as an object')
+    }
+    else opts = {}
+    let range = spec
+    if (type === 'git') {
+      if (spec.indexOf('semver:') !== 0)
+        throw new SyntaxError("git spec must be a 'semver:' expression")
+      range = spec.slice(7)
+    }
+
+    log.verbose('DownloadTracker.getAll',
+      [ 'type: ', type, ', name: ', name, ', spec: ', spec ].join('')
+    )
+    const versions = tables[type][name]
+    if (!versions) return []
+    const matches = getSemverMatches(range, versions, {
+      filter: type === 'git',
+      includePrerelease: opts.includePrerelease,
+      loose: opts.loose
+    }) || []
+    return matches.map(key => type === 'git' ?
+      preparedData('git', name, key) :
+      Object.assign({ name: name, version: key }, versions[key], { type: type })
+    )
+  }
+
+  // Write a bundle (see bundle.js) of a map file and the tarballs of the
+  // records that pass the filter, with the tags and git refs that refer to
+  // them, and any others that pass the filter. Resolves to the list of
+  // paths written.
+  function exportBundle(outFile, opts) {
+    try {
+      expectNonemptyString(outFile, 'bundle path')
+      if (opts !== undefined && opts !== null) {
+        if (typeof opts !== 'object')
+          throw new TypeError('options must be given as an object')
+        if (opts.filter !== undefined && opts.filter !== null &&
+            typeof opts.filter !== 'function')
+          throw new TypeError('filter must be a function')
+        if (opts.volumeSize !== undefined && opts.volumeSize !== null) {
+          if (typeof opts.volumeSize !== 'number')
+            throw new TypeError('volumeSize option value must be a number')
+          if (!(opts.volumeSize >= 1))
+            throw new RangeError('volumeSize option value must be at least 1')
+        }
+      }
+      else opts = {}
+    }
+    catch (err) { return Promise.reject(err) }
+
+    const subset = { semver: {}, tag: {}, url: {}, git: {} }
+    const filenames = new Set()
+    function include(type, name, key) {
+      if (!refData({ type: type, name: name, spec: key, filter: opts.filter }))
+        return
+      const record = getRecord(tables, type, name, key)
+      setRecord(subset, type, name, key, record)
+      if (record.filename) filenames.add(record.filename)
+    }
+    for (let name in tables.semver)
+      for (let ver in tables.semver[name]) include('semver', name, ver)
+    for (let repo in tables.git) {
+      for (let id in tables.git[repo])
+        if (!('commit' in tables.git[repo][id])) include('git', repo, id)
+    }
+    for (let spec in tables.url) include('url', null, spec)
+    // The references go where what they refer to goes, or where the
+    // filter says they go by themselves (e.g., a tag that has moved to a
+    // version that the destination already has)
+    function includeRef(type, name, key, target) {
+      if (getRecord(subset, type === 'tag' ? 'semver' : 'git', name, target) ||
+          opts.filter && refData({ type: type, name: name, spec: key, filter: opts.filter }))
+        setRecord(subset, type, name, key, getRecord(tables, type, name, key))
+    }
+    for (let name in tables.tag) {
+      const tags = tables.tag[name]
+      for (let tag in tags) includeRef('tag', name, tag, tags[tag].version)
+    }
+    for (let repo in tables.git) {
+      const refs = tables.git[repo]
+      for (let ref in refs)
+        if ('commit' in refs[ref]) includeRef('git', repo, ref, refs[ref].commit)
+    }
+
+    const map = {}
+    for (const tblName of DLT_TYPES) {
+      if (Object.keys(subset[tblName]).length) map[tblName] = subset[tblName]
+    }
+    map.created = (new Date()).toISOString()
+    map.description = MAPFILE_DESC_FIELD
+    map.version = 2
+
+    const items = [ { name: MAPFILE_NAME, content: JSON.stringify(map) } ]
+    const toRead = []
+    for (let filename of filenames) {
+      // A local file can be linked into the bundle, rather than copied
+      if (storage.localPath)
+        items.push({ name: filename, path: storage.localPath(filename) })
+      else toRead.push(filename)
+    }
+    function nextRead(i) {
+      if (i >= toRead.length) return Promise.resolve(null)
+      return storage.read(toRead[i]).then(content => {
+        items.push({ name: toRead[i], content: content })
+        return nextRead(i+1)
+      })
+    }
+    const outPath = path.resolve(outFile)
+    log.verbose('DownloadTracker.exportBundle', 'writing to', outPath)
+    return nextRead(0).then(() => bundle.pack(outPath, items, opts.volumeSize))
+  }
+
+  // Verify a bundle written by exportBundle() and merge its content into
+  // the tables as merge() does, moving in the tarballs of the records that
+  // are new here. Rejects with code 'EMAPCONFLICT' if any record of the
+  // bundle disagrees with the one here, or a tarball of the bundle would
+  // replace a different file; nothing is changed in that case.
+  function importBundle(bundlePath) {
+    try { expectNonemptyString(bundlePath, 'bundle path') }
+    catch (err) { return Promise.reject(err) }
+
+    // Within the tracker directory if it's local, so that the tarballs
+    // can be moved in by renaming
+    const stageName = `.bundle.${process.pid}.d`
+    const stageDir = storage.localPath ?
+      storage.localPath(stageName) : path.join(os.tmpdir(), stageName)
+
+    log.verbose('DownloadTracker.importBundle', 'reading', bundlePath)
+    return bundle.unpack(path.resolve(bundlePath), stageDir)
+    .then(names => {
+      const bundled = new Set(names)
+      if (!bundled.has(MAPFILE_NAME))
+        throw bundleMapError('Bundle has no map file')
+      return readFileAsync(path.join(stageDir, MAPFILE_NAME), 'utf8')
+      .then(str => {
+        let map
+        try { map = parseMapFile(str) }
+        catch (err) { throw bundleMapError('Bundle map file could not be parsed') }
+        const incoming = {}
+        for (const tblName of DLT_TYPES) incoming[tblName] = map[tblName] || {}
+        let missingFile = null
+        forEachRecordKey([ incoming ], (type, name, key) => {
+          const record = getRecord(incoming, type, name, key)
+          if (record.filename && !bundled.has(record.filename) &&
+              !getRecord(tables, type, name, key))
+            missingFile = missingFile || record.filename
+        })
+        if (missingFile)
+          throw bundleMapError(`Tarball ${missingFile} missing from bundle`)
+        return mergeTables(incoming, storageAdapters.fsAdapter(stageDir), {
+          transfer: 'move', onConflict: defaultResolution, strict: true
+        })
+      })
+      .then(
+        result => bundle.removeDir(stageDir).then(() => result),
+        err => bundle.removeDir(stageDir).catch(() => {}).then(() => { throw err })
+      )
+    })
+
+    function bundleMapError(msg) {
+      const err = new Error(msg)
+      err.code = 'EBUNDLE'
+      err.path = bundlePath
+      return err
+    }
+  }
+
+  // Merge the records of another tracker instance into this one, copying in
+  // the tarballs unless opts.copyFiles is false. opts.onConflict decides
+  // between the two records for the same key where they disagree.
+  function merge(other, opts) {
+    let otherInternals
+    try {
+      if (other === undefined || other === null)
+        throw new SyntaxError('tracker to merge from required')
+      otherInternals = trackerInternals.get(other)
+      if (!otherInternals)
+        throw new TypeError('must be given a tracker instance')
+      if (opts !== undefined && opts !== null) {
+        if (typeof opts !== 'object')
+          throw new TypeError('options must be given as an object')
+        if (opts.copyFiles !== undefined && opts.copyFiles !== null &&
+            typeof opts.copyFiles !== 'boolean')
+          throw new TypeError('copyFiles option value must be a boolean')
+        if (opts.onConflict !== undefined && opts.onConflict !== null &&
+            typeof opts.onConflict !== 'function')
+          throw new TypeError('onConflict must be a function')
+      }
+      else opts = {}
+    }
+    catch (err) { return Promise.reject(err) }
+
+    log.verbose('DownloadTracker.merge', 'merging from', other.path)
+    return mergeTables(copyTables(otherInternals.tables), otherInternals.storage, {
+      transfer: opts.copyFiles === false ? null : 'copy',
+      onConflict: opts.onConflict || defaultResolution
+    })
+  }
+
+  // Merge incoming tables into ours, bringing the tarballs of the records
+  // taken from the source storage by opts.transfer ('copy', 'move', or none).
+  // Everything is decided before anything is changed. In strict mode, a
+  // record that disagrees with ours, or a tarball that would replace a
+  // different file, is an EMAPCONFLICT; otherwise the first goes to
+  // opts.onConflict, and the second is skipped. Tags and git refs are
+  // always left to opts.onConflict.
+  // Resolves to { added, replaced, refs, skipped }.
+  function mergeTables(incoming, source, opts) {
+    const plan = { records: [], refs: [], conflicts: [], skipped: [] }
+    const disputes = []
+    forEachRecordKey([ incoming ], (type, name, key) => {
+      const theirs = getRecord(incoming, type, name, key)
+      const ours = getRecord(tables, type, name, key)
+      const item = { type: type, name: name, key: key, record: theirs }
+      if (type === 'tag' || type === 'git' && 'commit' in theirs) {
+        item.target = type === 'tag' ? theirs.version : theirs.commit
+        if (!ours) plan.refs.push(item)
+        else if (item.target !== (type === 'tag' ? ours.version : ours.commit))
+          disputes.push(item)
+        // Same target; an update of addedAt
+        else if (isNewerRef(theirs, ours)) plan.refs.push(item)
+      }
+      else if (!ours) plan.records.push(item)
+      else if (!isCompatibleRecord(ours, theirs)) {
+        if (opts.strict) plan.conflicts.push(itemRef(item))
+        else disputes.push(item)
+      }
+    })
+
+    function nextDispute(i) {
+      if (i >= disputes.length) return Promise.resolve(null)
+      const item = disputes[i]
+      const conflict = itemRef(item)
+      conflict.ours = Object.assign({}, getRecord(tables, item.type, item.name, item.key))
+      conflict.theirs = Object.assign({}, item.record)
+      return Promise.resolve(opts.onConflict(conflict)).then(choice => {
+        if (choice === 'theirs') {
+          if ('target' in item) plan.refs.push(item)
+          else {
+            item.replaces = getRecord(tables, item.type, item.name, item.key)
+            plan.records.push(item)
+          }
+        }
+        else if (choice !== 'ours')
+          throw new RangeError(`onConflict must give 'ours' or 'theirs', not '${choice}'`)
+        return nextDispute(i+1)
+      })
+    }
+
+    // What to do about the tarball of each record to be taken; it may
+    // already be here, which is only a problem if the content differs
+    const fileActions = new Map() // filename -> 'transfer', 'present', 'clash', or 'missing'
+    function nextRecord(i) {
+      if (i >= plan.records.length) return Promise.resolve(null)
+      const item = plan.records[i]
+      const filename = item.record.filename
+      if (!filename || fileActions.has(filename)) return nextRecord(i+1)
+      return source.stat(filename).then(
+        () => storage.stat(filename).then(
+          () => storageAdapters.contentSource(source, filename)
+            .then(content => integrity.calculate(content))
+            .then(sri => storageAdapters.contentSource(storage, filename)
+              .then(content => integrity.check(content, sri))
+            )
+            .then(() => 'present')
+            .catch(err => {
+              if (err.code !== 'EINTEGRITY') throw err
+              return item.replaces && item.replaces.filename === filename ?
+                'transfer' : 'clash'
+            }),
+          err => {
+            if (err.code !== 'ENOENT') throw err
+            return 'transfer'
+          }
+        ),
+        err => {
+          if (err.code !== 'ENOENT') throw err
+          return 'missing'
+        }
+      )
+      .then(action => {
+        fileActions.set(filename, action)
+        return nextRecord(i+1)
+      })
+    }
+
+    return nextDispute(0)
+    .then(() => opts.transfer ? nextRecord(0) : null)
+    .then(() => {
+      plan.records = plan.records.filter(item => {
+        const action = fileActions.get(item.record.filename)
+        if (action !== 'clash' && action !== 'missing') return true
+        if (opts.strict) plan.conflicts.push(itemRef(item))
+        else {
+          const skipped = itemRef(item)
+          skipped.reason = action === 'clash' ? 'filename' : 'missing'
+          plan.skipped.push(skipped)
+        }
+        return false
+      })
+      if (plan.conflicts.length) {
+        const desc = plan.conflicts.map(item =>
+          item.name ? `${item.type} ${item.name} ${item.spec}` : `${item.type} ${item.spec}`
+        ).join(', ')
+        const err = new Error(`Incoming records disagree with the tracker data: ${desc}`)
+        err.code = 'EMAPCONFLICT'
+        err.conflicts = plan.conflicts
+        throw err
+      }
+      // Don't make an orphan
+      plan.refs = plan.refs.filter(item => {
+        const targetType = item.type === 'tag' ? 'semver' : 'git'
+        return getRecord(tables, targetType, item.name, item.target) ||
+          plan.records.some(rec =>
+            rec.type === targetType && rec.name === item.name && rec.key === item.target
+          )
+      })
+
+      const transfers = []
+      for (let entry of fileActions) if (entry[1] === 'transfer') transfers.push(entry[0])
+      function transferFile(filename) {
+        // Between local files, without reading the content
+        if (source.localPath && storage.localPath) {
+          const fsTransfer = opts.transfer === 'move' ? renameAsync : copyFileAsync
+          return fsTransfer(source.localPath(filename), storage.localPath(filename))
+        }
+        return source.read(filename).then(content => storage.write(filename, content))
+      }
+      function nextTransfer(i) {
+        if (i >= transfers.length) return Promise.resolve(null)
+        return transferFile(transfers[i]).then(() => nextTransfer(i+1))
+      }
+      return nextTransfer(0)
+    })
+    .then(() => {
+      const items = plan.records.concat(plan.refs)
+      for (let i = 0; i < items.length; ++i) {
+        const item = items[i]
+        setRecord(tables, item.type, item.name, item.key, item.record)
+      }
+      if (items.length) tables.dirty = true
+      const recordData = item => refData({ type: item.type, name: item.name, spec: item.key })
+      return {
+        added: plan.records.filter(item => !item.replaces).map(recordData),
+        replaced: plan.records.filter(item => item.replaces).map(recordData),
+        refs: plan.refs.length,
+        skipped: plan.skipped
+      }
+    })
+  }
+
+  // A registry document for the named package, built from the semver and
+  // tag tables; the tarball URLs are made relative to baseUrl
+  function getPackument(name, baseUrl) {
+    expectNonemptyString(name, 'name')
+    expectNonemptyString(baseUrl, 'base URL')
+
+    const versions = tables.semver[name]
+    if (!versions) return null
+    return packument.build(name, versions, tables.tag[name], baseUrl)
+  }
+
+  // Resolves to { size, path } for a tarball that a record refers to, if
+  // the storage keeps it in the local filesystem, so that it can be
+  // streamed; else to { size, content }.
+  // Rejects with code 'ENOENT' if no record refers to the filename, or
+  // the tarball is missing.
+  function readTarball(filename) {
+    try {
+      expectNonemptyString(filename, 'filename')
+    }
+    catch (err) { return Promise.reject(err) }
+
+    if (!isFilenameReferenced(filename)) {
+      const err = new Error(`No record refers to '${filename}'`)
+      err.code = 'ENOENT'
+      err.path = filename
+      return Promise.reject(err)
+    }
+    return storage.stat(filename).then(stats =>
+      storageAdapters.contentSource(storage, filename).then(source =>
+        typeof source === 'string' ?
+          { size: stats.size, path: source } :
+          { size: source.length, content: source }
+      )
+    )
+  }
+
+  // Write a packument for every package in the semver table, as
+  // <outDir>/<name>/index.json; optionally also copy the tarballs to where
+  // the packuments say they are.
+  function exportPackuments(outDir, opts) {
+    try {
+      expectNonemptyString(outDir, 'output directory')
+      if (opts === undefined || opts === null)
+        throw new SyntaxError('options with baseUrl required')
+      if (typeof opts !== 'object')
+        throw new TypeError('options must be given as an object')
+      expectNonemptyString(opts.baseUrl, 'base URL')
+    }
+    catch (err) { return Promise.reject(err) }
+
+    const outPath = path.resolve(outDir)
+    const names = Object.keys(tables.semver)
+    const written = []
+
+    function copyTarballs(name, doc) {
+      const filenames = []
+      for (let ver in doc.versions)
+        filenames.push(tables.semver[name][ver].filename)
+      function nextFile(i, dirPath) {
+        if (i >= filenames.length) return Promise.resolve(null)
+        const outFilePath = path.join(dirPath, filenames[i])
+        const copying = storage.localPath ?
+          copyFileAsync(storage.localPath(filenames[i]), outFilePath) :
+          storage.read(filenames[i]).then(content => writeFileAsync(outFilePath, content))
+        return copying.then(() => nextFile(i+1, dirPath))
+      }
+      return makeDirs(outPath, name + '/-').then(dirPath => nextFile(0, dirPath))
+    }
+
+    function nextPackage(i) {
+      if (i >= names.length) return Promise.resolve(written)
+      const name = names[i]
+      const doc = getPackument(name, opts.baseUrl)
+      if (!doc) return nextPackage(i+1)
+      return makeDirs(outPath, name)
+      .then(dirPath => writeFileAsync(
+        path.join(dirPath, 'index.json'), JSON.stringify(doc)
+      ))
+      .then(() => opts.copyTarballs && copyTarballs(name, doc))
+      .then(() => {
+        written.push(name)
+        return nextPackage(i+1)
+      })
+    }
+
+    log.verbose('DownloadTracker.exportPackuments', 'writing to', outPath)
+    return mkdirAsync(outPath).catch(err => {
+      if (err.code !== 'EEXIST') throw err
+    })
+    .then(() => nextPackage(0))
+  }
+
   // This works whether spec is a semver range expression or a specific version
   function getMaxSemverMatch(spec, versions, opts) {
-    const range = semver.validRange(spec, {loose: true})
+    const matches = getSemverMatches(spec, versions, opts)
+    return matches && matches.length ? matches[matches.length - 1] : null
+  }
+
+  // All the keys of versions that satisfy spec, lowest version first.
+  // With opts.filter, keys that are not versions (e.g., git commits) are
+  // ignored, and the rest are cleaned of any prefix (e.g., 'v') to compare.
+  // opts.includePrerelease and opts.loose are as for the semver package.
+  // Returns null if spec is not a valid range.
+  function getSemverMatches(spec, versions, opts) {
+    opts = opts || {}
+    const semverOpts = {
+      loose: !!opts.loose, includePrerelease: !!opts.includePrerelease
+    }
+    const range = semver.validRange(spec, {
+      loose: true, includePrerelease: semverOpts.includePrerelease
+    })
     if (!range) {
       log.error('DownloadTracker preparedData', 'invalid semver spec:', spec)
       return null
     }
 
-    let resultVer = null
-    const vList = Object.keys(versions)
-
-    if (opts && opts.filter) {
-      const vMap = {}
-      const vListClean = vList.map(function(v){ return semver.clean(v) })
-        .filter(function(v, i){ if (v) vMap[v] = vList[i]; return !!v })
-      const ver = semver.maxSatisfying(vListClean, range)
-      if (ver) resultVer = vMap[ver]
-    }
-    else {
-      resultVer = semver.maxSatisfying(vList, range)
+    const matches = []
+    for (let key in versions) {
+      const ver = opts.filter ? semver.clean(key, semverOpts) :
+        semver.valid(key, semverOpts) && key
+      if (ver && semver.satisfies(ver, range, semverOpts))
+        matches.push({ key: key, ver: ver })
     }
+    matches.sort((a, b) => semver.compare(a.ver, b.ver, semverOpts))
+    return matches.map(item => item.key)
+  }
 
-    return resultVer
+  // Whether the given tag or git ref entry is older than the maxRefAge
+  // option allows. One with no addedAt can't be shown to be any younger.
+  function isStaleRef(entry) {
+    if (!opts.maxRefAge) return false
+    const addedTime = Date.parse(entry.addedAt)
+    return isNaN(addedTime) || Date.now() - addedTime > opts.maxRefAge
+  }
+
+  function staleRefError(desc) {
+    const err = new Error(`${desc} is older than the maxRefAge limit`)
+    err.code = 'ESTALEREF'
+    return err
   }
 
   function preparedData(type, name, spec) {
@@ -563,9 +2073,11 @@ function create(where, opts) {
             result = { repo: name, commit: fullRecords[0] }
           }
         }
+        let stale = false
         if (data && !result) {
           result = { repo: name }
           if (data.commit) { // fetched by tag or semver expr, maybe by '' or '*'
+            stale = isStaleRef(data)
             result.commit = data.commit
             data = versions[data.commit]
             if (spec && spec != '*') result.spec = spec
@@ -575,6 +2087,7 @@ function create(where, opts) {
         if (data) {
           Object.assign(result, data)
         }
+        if (result && stale) result.stale = true
         break
       case 'semver':
         versions = tables.semver[name]
@@ -591,19 +2104,21 @@ function create(where, opts) {
         if (versions) data = versions[spec]
         if (data) {
           ver = data.version
+          const stale = isStaleRef(data)
+          // The tag may have been added after the version, and moved since
+          const tagAddedAt = data.addedAt
           result = { name: name, spec: spec, version: ver }
           versions = tables.semver[name]
           if (versions) {
             data = versions[ver]
             Object.assign(result, data)
           }
+          if (tagAddedAt) result.tagAddedAt = tagAddedAt
+          if (stale) result.stale = true
         }
         break
       case 'url':
-        let spec2 = spec
-        const u = url.parse(spec2)
-        if (u.protocol) spec2 = u.host + u.path
-        data = tables.url[spec2]
+        data = tables.url[urlKey(spec)]
         if (data) {
           result = { spec: spec }
           Object.assign(result, data)
@@ -621,34 +2136,225 @@ function create(where, opts) {
       return Promise.resolve(false)
     }
 
-    const map = {}
-    // In each case, only want to use table if there's something in it
-    for (const tblName of DLT_TYPES) {
-      if (Object.keys(tables[tblName]).length)
-        map[tblName] = tables[tblName]
-    }
+    const filepath = path.join(pkgDir, MAPFILE_NAME)
+    // Other processes may be using the same directory. While we hold the lock,
+    // we get whatever they have written since we last looked, and merge it
+    // with our changes. Storage that can't be locked is left to the user.
+    const locking = storage.lock ?
+      storage.lock(MAPFILE_NAME + LOCK_SUFFIX, {
+        timeout: opts.lockTimeout === null ? undefined : opts.lockTimeout
+      }) :
+      Promise.resolve(() => Promise.resolve())
+    return locking.then(release => {
+      return readCurrentMap().then(current => {
+        const merged = mergeChanges(current.map)
 
-    const now = (new Date()).toLocaleString()
-    if (oldInfo.created) {
-      map.created = oldInfo.created
-      map.updated = now
-    }
-    else map.created = now
+        const map = {}
+        // In each case, only want to use table if there's something in it
+        for (const tblName of DLT_TYPES) {
+          if (Object.keys(merged[tblName]).length)
+            map[tblName] = merged[tblName]
+        }
 
-    map.description = MAPFILE_DESC_FIELD
-    map.version = 2
+        const now = (new Date()).toISOString()
+        const created = current.map.created || oldInfo.created
+        if (created) {
+          map.created = created
+          map.updated = now
+        }
+        else map.created = now
 
-    const filepath = path.join(pkgDir, MAPFILE_NAME)
-    log.verbose('DownloadTracker.serialize', 'writing to', filepath)
-    return writeFileAsync(filepath, JSON.stringify(map))
-    .then(() => {
-      log.verbose('DownloadTracker.serialize', 'Map file written successfully.')
-      delete tables.dirty
-      return true
+        map.description = MAPFILE_DESC_FIELD
+        map.version = 2
+
+        // Keep the last good copy, in case the new one gets damaged somehow
+        const backingUp = current.isPrimary ?
+          storage.write(MAPFILE_NAME + BACKUP_SUFFIX, current.str) : Promise.resolve()
+        return backingUp.then(() => {
+          log.verbose('DownloadTracker.serialize', 'writing to', filepath)
+          return storage.write(MAPFILE_NAME, JSON.stringify(map))
+        })
+        .then(() => {
+          log.verbose('DownloadTracker.serialize', 'Map file written successfully.')
+          for (const tblName of DLT_TYPES) tables[tblName] = merged[tblName]
+          baseTables = copyTables(merged)
+          delete tables.dirty
+          oldInfo.created = map.created
+          return true
+        })
+      })
+      .then(
+        result => release().then(() => result),
+        err => release().then(() => { throw err })
+      )
     })
     .catch(err => {
       log.warn('DownloadTracker.serialize', 'Failed to write map file')
       throw err
     })
   }
+
+  // Resolves to an object with the parsed content of the map file as it is
+  // now (field 'map'), and whether that came from the primary map file
+  // (field 'isPrimary'; the content as read is then in field 'str').
+  function readCurrentMap() {
+    return storage.read(MAPFILE_NAME, 'utf8').then(str => {
+      let map
+      try { map = parseMapFile(str) }
+      catch (parseErr) {
+        log.warn('DownloadTracker.serialize', 'Failed to parse current map file')
+        return readBackupMap().then(backupMap => ({
+          map: backupMap || {}, isPrimary: false
+        }))
+      }
+      return { map: map, isPrimary: true, str: str }
+    })
+    .catch(err => {
+      if (err.code !== 'ENOENT') throw err
+      return { map: {}, isPrimary: false }
+    })
+  }
+
+  // Applies the changes we have made since baseTables to a copy of the tables
+  // of the given map. Throws if another process has changed any of the same
+  // records in a different way.
+  function mergeChanges(diskMap) {
+    const merged = {}
+    for (const tblName of DLT_TYPES)
+      merged[tblName] = copyTables(diskMap)[tblName] || {}
+    const conflicts = []
+
+    forEachRecordKey([ baseTables, tables ], (type, name, key) => {
+      const ours = getRecord(tables, type, name, key)
+      const base = getRecord(baseTables, type, name, key)
+      if (isEqual(ours, base)) return
+      const theirs = getRecord(merged, type, name, key)
+      if (isEqual(theirs, base))
+        setRecord(merged, type, name, key, ours)
+      else if (isCompatibleRecord(theirs, ours))
+        setRecord(merged, type, name, key,
+          ours && Object.assign({}, theirs, ours)
+        )
+      else
+        conflicts.push(type === 'url' ? { type: type, spec: key }
+                                      : { type: type, name: name, spec: key })
+    })
+
+    if (conflicts.length) {
+      const desc = conflicts.map(item =>
+        item.name ? `${item.type} ${item.name} ${item.spec}` : `${item.type} ${item.spec}`
+      ).join(', ')
+      const err = new Error(`Map file was changed by another process: ${desc}`)
+      err.code = 'EMAPCONFLICT'
+      err.conflicts = conflicts
+      throw err
+    }
+    return merged
+  }
+}
+
+function copyTables(source) {
+  const result = {}
+  for (const tblName of DLT_TYPES) {
+    if (source[tblName])
+      result[tblName] = JSON.parse(JSON.stringify(source[tblName]))
+  }
+  return result
+}
+
+// Calls func with (type, name, key) once for every record key in any of the
+// given sets of tables. For type url, name is null.
+function forEachRecordKey(tableSets, func) {
+  const seen = new Set()
+  function visit(type, name, key) {
+    const id = [ type, name, key ].join('\n')
+    if (seen.has(id)) return
+    seen.add(id)
+    func(type, name, key)
+  }
+  for (let i = 0; i < tableSets.length; ++i) {
+    const tset = tableSets[i]
+    for (const type of DLT_TYPES) {
+      const table = tset[type] || {}
+      if (type === 'url') {
+        for (let key in table) visit(type, null, key)
+        continue
+      }
+      for (let name in table)
+        for (let key in table[name]) visit(type, name, key)
+    }
+  }
+}
+
+function getRecord(tset, type, name, key) {
+  const table = tset[type]
+  if (!table) return undefined
+  if (type === 'url') return table[key]
+  return table[name] ? table[name][key] : undefined
+}
+
+// A value of undefined means delete
+function setRecord(tset, type, name, key, value) {
+  let table = tset[type]
+  if (type !== 'url') {
+    if (!table[name]) {
+      if (value === undefined) return
+      table[name] = {}
+    }
+    table = table[name]
+  }
+  if (value === undefined) delete table[key]
+  else table[key] = value
+  if (type !== 'url' && !Object.keys(table).length)
+    delete tset[type][name]
+}
+
+// Two records for the same key are compatible unless they disagree on
+// any identity field that both of them have. (A record reconstructed from
+// a filename has nothing but the filename.)
+function isCompatibleRecord(a, b) {
+  if (!a || !b) return a === b
+  for (let i = 0; i < IDENTITY_FIELDS.length; ++i) {
+    const field = IDENTITY_FIELDS[i]
+    if (field in a && field in b && a[field] !== b[field]) return false
+  }
+  return true
+}
+
+// Whether a tag or git ref entry was added later than another for the same
+// key, and so is the one to keep
+function isNewerRef(a, b) {
+  const aTime = Date.parse(a.addedAt)
+  const bTime = Date.parse(b.addedAt)
+  if (isNaN(aTime)) return false
+  return isNaN(bTime) || aTime > bTime
+}
+
+// The way a record of a merge is identified in an EMAPCONFLICT error, and
+// to the onConflict callback
+function itemRef(item) {
+  return item.type === 'url' ? { type: item.type, spec: item.key }
+                             : { type: item.type, name: item.name, spec: item.key }
+}
+
+// Of two records that disagree, keep ours; but of two tags or git refs,
+// the one added later
+function defaultResolution(conflict) {
+  if (conflict.type === 'tag' || conflict.type === 'git' && 'commit' in conflict.theirs)
+    return isNewerRef(conflict.theirs, conflict.ours) ? 'theirs' : 'ours'
+  return 'ours'
+}
+
+// Deep equality of JSON-compatible values
+function isEqual(a, b) {
+  if (a === b) return true
+  if (!a || !b || typeof a !== 'object' || typeof b !== 'object') return false
+  if (Array.isArray(a) !== Array.isArray(b)) return false
+  const aKeys = Object.keys(a)
+  if (aKeys.length !== Object.keys(b).length) return false
+  for (let i = 0; i < aKeys.length; ++i) {
+    const key = aKeys[i]
+    if (!(key in b) || !isEqual(a[key], b[key])) return false
+  }
+  return true
 }
@@ -0,0 +1,98 @@
+// built-ins
+const crypto = require('crypto')
+
+// 3rd party dependencies
+const fs = require('graceful-fs')
+
+module.exports = {
+  calculate: calculate,
+  check: check,
+  compare: compare,
+  parse: parse
+}
+
+// Strongest first. sha512 is what the npm registry serves;
+// sha1 is the fallback, matching the legacy 'shasum' of package metadata.
+const ALGORITHMS = [ 'sha512', 'sha384', 'sha256', 'sha1' ]
+const SUPPORTED = ALGORITHMS.filter(alg => crypto.getHashes().includes(alg))
+const DEFAULT_ALGORITHM = SUPPORTED[0]
+
+const RE_SRI_ENTRY = /^([a-z0-9]+)-([A-Za-z0-9+\/]+={0,2})(?:\?.*)?$/
+
+// Break a SRI string into a hash of algorithm names to lists of digests.
+// Entries with unrecognized algorithms are ignored.
+// Returns null if nothing usable is found.
+function parse(sri) {
+  if (typeof sri !== 'string') return null
+  const result = {}
+  let found = false
+  const parts = sri.trim().split(/\s+/)
+  for (let i = 0; i < parts.length; ++i) {
+    const matches = RE_SRI_ENTRY.exec(parts[i])
+    if (!matches || !SUPPORTED.includes(matches[1])) continue
+    if (!result[matches[1]]) result[matches[1]] = []
+    result[matches[1]].push(matches[2])
+    found = true
+  }
+  return found ? result : null
+}
+
+// Resolves to a SRI string for the file at the given path, or for the
+// content of a Buffer, using the strongest available algorithm unless
+// another is named.
+function calculate(source, algorithm) {
+  const alg = algorithm || DEFAULT_ALGORITHM
+  if (!SUPPORTED.includes(alg))
+    return Promise.reject(new RangeError(`unsupported hash algorithm '${alg}'`))
+
+  if (Buffer.isBuffer(source)) {
+    const hash = crypto.createHash(alg).update(source)
+    return Promise.resolve(alg + '-' + hash.digest('base64'))
+  }
+  const filePath = source
+  return new Promise((resolve, reject) => {
+    const hash = crypto.createHash(alg)
+    fs.createReadStream(filePath)
+    .on('error', reject)
+    .on('data', chunk => hash.update(chunk))
+    .on('end', () => resolve(alg + '-' + hash.digest('base64')))
+  })
+}
+
+// Resolves to the SRI string of the file (or Buffer content) computed with
+// the strongest algorithm in the given SRI string, if the digests agree;
+// otherwise rejects with an EINTEGRITY error.
+function check(source, sri) {
+  const expected = parse(sri)
+  if (!expected) {
+    const err = new Error(`Unusable integrity value '${sri}'`)
+    err.code = 'EBADINTEGRITY'
+    if (!Buffer.isBuffer(source)) err.path = source
+    return Promise.reject(err)
+  }
+  const alg = SUPPORTED.find(name => name in expected)
+  return calculate(source, alg).then(actual => {
+    const digest = actual.slice(alg.length + 1)
+    if (!expected[alg].includes(digest)) {
+      const err = new Error('File content does not match recorded integrity')
+      err.code = 'EINTEGRITY'
+      if (!Buffer.isBuffer(source)) err.path = source
+      err.expected = sri
+      err.found = actual
+      throw err
+    }
+    return actual
+  })
+}
+
+// Whether two SRI strings describe the same content, going by the
+// strongest algorithm they have in common.
+// Returns null if they have no algorithm in common, or either is unusable.
+function compare(sri1, sri2) {
+  const parsed1 = parse(sri1)
+  const parsed2 = parse(sri2)
+  if (!parsed1 || !parsed2) return null
+  const alg = SUPPORTED.find(name => name in parsed1 && name in parsed2)
+  if (!alg) return null
+  return parsed1[alg].some(digest => parsed2[alg].includes(digest))
+}
@@ -0,0 +1,149 @@
+// Shared by the lockfile readers (npm-lockfile.js, yarn-lockfile.js,
+// pnpm-lockfile.js), which all produce results of the same shape:
+//   { lockfileVersion, entries, skipped }
+// where each entry is a tracker query
+//   { location, type, name, spec, integrity?, dev?, optional? }
+
+// built-ins
+const path = require('path')
+const url = require('url')
+const promisify = require('util').promisify
+
+// 3rd party dependencies
+const fs = require('graceful-fs')
+const semver = require('semver')
+
+const gitHostDomains = require('./dep-spec').gitHostDomains
+
+const readFileAsync = promisify(fs.readFile)
+
+module.exports = {
+  addEntry: addEntry,
+  addSkipped: addSkipped,
+  lockfileError: lockfileError,
+  newResult: newResult,
+  readLockfile: readLockfile,
+  toQuery: toQuery
+}
+
+const RE_GIT_SHORTHAND = /^(github|gitlab|bitbucket):([^#]+)#([a-f0-9]{40})$/
+// What yarn and pnpm record for github dependencies
+const RE_CODELOAD_URL =
+  /^https:\/\/codeload\.github\.com\/([^\/]+\/[^\/]+)\/tar\.gz\/([a-f0-9]{40})$/
+
+// Resolves to the result of parseText() on the content of the file at
+// lockPath. Errors thrown by parseText() with code 'ELOCKFILE' get the path.
+function readLockfile(lockPath, parseText) {
+  return readFileAsync(lockPath, 'utf8').then(str => {
+    // Strip BOM, if any
+    if (str.charCodeAt(0) === 0xFEFF) str = str.slice(1)
+    try { return parseText(str) }
+    catch (err) {
+      if (err.code === 'ELOCKFILE') err.path = lockPath
+      throw err
+    }
+  })
+}
+
+function newResult(lockfileVersion) {
+  return { lockfileVersion: lockfileVersion, entries: [], skipped: [] }
+}
+
+// Add the tracker query for a package to the result, or if there can be
+// none, add the package to the skipped list.
+// The item is the lockfile entry, from which integrity, dev, and optional
+// are taken.
+function addEntry(result, location, name, version, resolved, item) {
+  const query = toQuery(name, version, resolved)
+  if (!query) {
+    const source = resolved || version
+    addSkipped(result, location, name,
+      typeof source === 'string' && source.startsWith('file:') ? 'local' : 'unresolved'
+    )
+    return
+  }
+  const entry = Object.assign({ location: location }, query)
+  if (item.integrity) entry.integrity = item.integrity
+  if (item.dev) entry.dev = true
+  if (item.optional) entry.optional = true
+  result.entries.push(entry)
+}
+
+function addSkipped(result, location, name, reason) {
+  result.skipped.push({ location: location, name: name, reason: reason })
+}
+
+// Returns the arguments for tracker.getData() as { type, name, spec },
+// or null if the package is not of a kind that a tracker holds.
+// In an npm v1 lockfile, the version field may hold what is elsewhere
+// in the resolved field.
+function toQuery(name, version, resolved) {
+  const gitSource = [ resolved, version ].find(isGitSource)
+  if (gitSource) return gitQuery(gitSource)
+
+  const validVersion = typeof version === 'string' &&
+    semver.valid(version, true) ? version : null
+  const remote = [ resolved, version ].find(isRemoteUrl)
+  if (remote) {
+    if (validVersion && isRegistryTarball(remote, name, validVersion))
+      return { type: 'semver', name: name, spec: validVersion }
+    return { type: 'url', name: '', spec: remote }
+  }
+  // Registry packages may have no resolved field, e.g. when an npm
+  // lockfile was written with the --no-save-resolved option
+  if (validVersion && !resolved)
+    return { type: 'semver', name: name, spec: validVersion }
+  return null
+}
+
+function isGitSource(str) {
+  return typeof str === 'string' &&
+    (str.startsWith('git+') || str.startsWith('git://') ||
+     RE_GIT_SHORTHAND.test(str) || RE_CODELOAD_URL.test(str))
+}
+
+function isRemoteUrl(str) {
+  return typeof str === 'string' && /^https?:\/\//.test(str)
+}
+
+// The tracker keys git records by domain and path of the repository,
+// e.g. 'github.com/user/project'
+function gitQuery(source) {
+  let matches = RE_GIT_SHORTHAND.exec(source)
+  if (matches) {
+    return {
+      type: 'git',
+      name: `${gitHostDomains[matches[1]]}/${matches[2]}`,
+      spec: matches[3]
+    }
+  }
+  matches = RE_CODELOAD_URL.exec(source)
+  if (matches)
+    return { type: 'git', name: `github.com/${matches[1]}`, spec: matches[2] }
+
+  const u = url.parse(source.replace(/^git\+/, ''))
+  const repoPath = (u.pathname || '').replace(/^\/+/, '').replace(/\.git$/, '')
+  return {
+    type: 'git',
+    name: `${u.hostname}/${repoPath}`,
+    spec: (u.hash || '').slice(1)
+  }
+}
+
+// Whether the URL is laid out like the npm registry's tarball URLs:
+//   <registry>/<name>/-/<unscoped name>-<version>.tgz
+function isRegistryTarball(tarballUrl, name, version) {
+  let pathname = url.parse(tarballUrl).pathname || ''
+  try { pathname = decodeURIComponent(pathname) }
+  catch (err) { return false }
+  const filename = `${path.posix.basename(name)}-${version}.tgz`
+  return pathname.endsWith(`/${name}/-/${filename}`)
+}
+
+function lockfileError(msg, lockPath, cause) {
+  const err = new Error(msg)
+  err.code = 'ELOCKFILE'
+  if (lockPath) err.path = lockPath
+  if (cause) err.cause = cause
+  return err
+}
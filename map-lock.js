@@ -0,0 +1,115 @@
+// built-ins
+const promisify = require('util').promisify
+
+// 3rd party dependencies
+const fs = require('graceful-fs')
+
+const openAsync = promisify(fs.open)
+const writeFileAsync = promisify(fs.writeFile)
+const closeAsync = promisify(fs.close)
+const readFileAsync = promisify(fs.readFile)
+const statAsync = promisify(fs.stat)
+const unlinkAsync = promisify(fs.unlink)
+const utimesAsync = promisify(fs.utimes)
+
+module.exports = {
+  acquire: acquire
+}
+
+const DEFAULT_TIMEOUT = 15000 // ms to keep trying
+const DEFAULT_STALE = 10000   // ms after which a lock is presumed abandoned
+const RETRY_INTERVAL = 100
+
+// Advisory lock, cooperative between processes that use this module:
+// the lock is held for as long as the lock file exists. While it's held,
+// the modification time of the file is kept fresh, so that it doesn't
+// go stale however long the holder takes.
+// Resolves to a function that releases the lock, which returns a Promise.
+function acquire(lockPath, opts) {
+  opts = opts || {}
+  const timeout = opts.timeout !== undefined ? opts.timeout : DEFAULT_TIMEOUT
+  const stale = opts.stale !== undefined ? opts.stale : DEFAULT_STALE
+  const startTime = Date.now()
+  let refresher = null
+
+  function attempt() {
+    return openAsync(lockPath, 'wx').then(fd => {
+      const content = JSON.stringify({ pid: process.pid, time: Date.now() })
+      return writeFileAsync(fd, content)
+      .then(() => closeAsync(fd), err =>
+        // Don't leave the lock file to block others until it goes stale
+        closeAsync(fd).catch(() => {})
+        .then(() => unlinkAsync(lockPath).catch(() => {}))
+        .then(() => { throw err })
+      )
+      .then(() => {
+        refresher = setInterval(refresh, Math.max(stale / 2, RETRY_INTERVAL))
+        if (refresher.unref) refresher.unref()
+        return release
+      })
+    })
+    .catch(err => {
+      if (err.code !== 'EEXIST') throw err
+      return readLockState().then(state => {
+        if (Date.now() - state.mtime > stale) return takeOver(state)
+        return retryLater()
+      }, err => {
+        // Released between our attempt and the stat
+        if (err.code === 'ENOENT') return attempt()
+        throw err
+      })
+    })
+  }
+
+  // What tells one lock file from another that took its place
+  function readLockState() {
+    return statAsync(lockPath).then(stats =>
+      readFileAsync(lockPath, 'utf8').then(content => ({
+        ino: stats.ino, mtime: stats.mtime.getTime(), content: content
+      }))
+    )
+  }
+
+  // Whoever made the lock file probably crashed. But another process may
+  // have found it stale too, and already replaced it with a live one:
+  // only remove it if it's still the one found stale.
+  function takeOver(staleState) {
+    return readLockState().then(state => {
+      if (state.ino !== staleState.ino || state.mtime !== staleState.mtime ||
+          state.content !== staleState.content)
+        return retryLater()
+      return unlinkAsync(lockPath).catch(err => {
+        if (err.code !== 'ENOENT') throw err
+      })
+      .then(() => attempt())
+    }, err => {
+      if (err.code === 'ENOENT') return attempt()
+      throw err
+    })
+  }
+
+  function refresh() {
+    const now = new Date()
+    utimesAsync(lockPath, now, now).catch(() => {})
+  }
+
+  function retryLater() {
+    if (Date.now() - startTime >= timeout) {
+      const err = new Error('Timed out waiting for lock on map file')
+      err.code = 'ELOCKED'
+      err.path = lockPath
+      return Promise.reject(err)
+    }
+    return new Promise(resolve => setTimeout(resolve, RETRY_INTERVAL))
+    .then(() => attempt())
+  }
+
+  function release() {
+    clearInterval(refresher)
+    return unlinkAsync(lockPath).catch(err => {
+      if (err.code !== 'ENOENT') throw err
+    })
+  }
+
+  return attempt()
+}
@@ -0,0 +1,88 @@
+const common = require('./lockfile-common')
+
+module.exports = {
+  read: read,
+  parse: parse
+}
+
+const SUPPORTED_VERSIONS = [ 1, 2, 3 ]
+
+// Resolves to the result of parse() on the package-lock.json or
+// npm-shrinkwrap.json at the given path.
+// Rejects with code 'ELOCKFILE' if the file content is not usable.
+function read(lockPath) {
+  return common.readLockfile(lockPath, str => {
+    let lock
+    try { lock = JSON.parse(str) }
+    catch (parseErr) {
+      throw common.lockfileError('Failed to parse lockfile', null, parseErr)
+    }
+    return parse(lock)
+  })
+}
+
+// Turn the content of an npm lockfile (lockfileVersion 1, 2, or 3) into
+// a list of tracker queries, one per installed location:
+//   { location, type, name, spec, integrity?, dev?, optional? }
+// where type, name, and spec are suitable as arguments to tracker.getData().
+// Entries that no tracker would hold (links, local directories and files,
+// bundled dependencies) are listed separately, with a reason.
+function parse(lock) {
+  if (!lock || typeof lock !== 'object')
+    throw common.lockfileError('Lockfile content must be an object')
+  if (!SUPPORTED_VERSIONS.includes(lock.lockfileVersion))
+    throw common.lockfileError(`Unsupported lockfileVersion '${lock.lockfileVersion}'`)
+
+  const result = common.newResult(lock.lockfileVersion)
+  // Version 2 has both; 'packages' is the complete one
+  if (lock.lockfileVersion > 1 && lock.packages)
+    parsePackages(lock.packages, result)
+  else if (lock.dependencies)
+    parseDependencies(lock.dependencies, '', result)
+  return result
+}
+
+function parsePackages(packages, result) {
+  // The folders that links point to, such as those of workspaces
+  const linkTargets = new Set()
+  for (let location in packages) {
+    if (packages[location].link) linkTargets.add(packages[location].resolved)
+  }
+  for (let location in packages) {
+    if (location === '') continue // the root project
+    const item = packages[location]
+    const name = item.name || nameFromLocation(location)
+    // Anything not installed under node_modules is part of the project
+    if (!isInstalled(location) || linkTargets.has(location))
+      common.addSkipped(result, location, name, 'local')
+    else if (item.link)
+      common.addSkipped(result, location, name, 'link')
+    else if (item.inBundle)
+      common.addSkipped(result, location, name, 'bundled')
+    else
+      common.addEntry(result, location, name, item.version, item.resolved, item)
+  }
+}
+
+function parseDependencies(deps, parentLocation, result) {
+  for (let name in deps) {
+    const item = deps[name]
+    const location = `${parentLocation}node_modules/${name}`
+    if (item.bundled)
+      common.addSkipped(result, location, name, 'bundled')
+    else
+      common.addEntry(result, location, name, item.version, item.resolved, item)
+    if (item.dependencies)
+      parseDependencies(item.dependencies, location + '/', result)
+  }
+}
+
+function isInstalled(location) {
+  return location.startsWith('node_modules/') ||
+         location.includes('/node_modules/')
+}
+
+function nameFromLocation(location) {
+  const idx = location.lastIndexOf('node_modules/')
+  return idx === -1 ? location : location.slice(idx + 13)
+}
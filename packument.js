@@ -0,0 +1,71 @@
+// 3rd party dependencies
+const semver = require('semver')
+
+const integrity = require('./integrity')
+
+module.exports = {
+  build: build,
+  tarballPath: tarballPath
+}
+
+// Fields of a semver record that belong in a packument version document
+const VERSION_DOC_FIELDS = [
+  'dependencies', 'optionalDependencies', 'peerDependencies',
+  'bundleDependencies', 'engines', 'os', 'cpu', 'bin', 'deprecated'
+]
+
+// The path, relative to the registry root, where a tarball is to be found;
+// laid out like the npm registry's
+function tarballPath(name, filename) {
+  return `${name}/-/${encodeURIComponent(filename)}`
+}
+
+// Build a packument (the document a registry serves for a package name)
+// from the tracker tables for one package.
+// * versions: the semver table entry for the package
+// * tags: the tag table entry for the package, if any
+// * baseUrl: prefix for the dist.tarball URLs
+// Returns null if there are no versions with a tarball.
+function build(name, versions, tags, baseUrl) {
+  const result = { name: name, 'dist-tags': {}, versions: {} }
+  const base = baseUrl.replace(/\/+$/, '')
+  const verList = []
+
+  for (let ver in versions) {
+    const data = versions[ver]
+    if (!data.filename) continue
+    const doc = { name: name, version: ver }
+    for (let i = 0; i < VERSION_DOC_FIELDS.length; ++i) {
+      const field = VERSION_DOC_FIELDS[i]
+      if (field in data) doc[field] = data[field]
+    }
+    doc.dist = { tarball: `${base}/${tarballPath(name, data.filename)}` }
+    if (data.integrity) {
+      doc.dist.integrity = data.integrity
+      const parsed = integrity.parse(data.integrity)
+      // Older clients only know the hex sha1 digest
+      if (parsed && parsed.sha1)
+        doc.dist.shasum = Buffer.from(parsed.sha1[0], 'base64').toString('hex')
+    }
+    result.versions[ver] = doc
+    verList.push(ver)
+  }
+  if (!verList.length) return null
+
+  for (let tag in tags || {}) {
+    const ver = tags[tag].version
+    if (result.versions[ver]) result['dist-tags'][tag] = ver
+  }
+  // The tag table never has 'latest'; the best we can do is the highest
+  // release version, else the highest of any
+  if (!result['dist-tags'].latest) {
+    result['dist-tags'].latest = semver.maxSatisfying(verList, '*', true) ||
+      verList.slice().sort(compareLoose).pop()
+  }
+  return result
+}
+
+function compareLoose(a, b) {
+  try { return semver.compare(a, b, true) }
+  catch (err) { return a < b ? -1 : a > b ? 1 : 0 }
+}
@@ -0,0 +1,271 @@
+const common = require('./lockfile-common')
+
+module.exports = {
+  read: read,
+  parse: parse
+}
+
+const MIN_VERSION = 5
+const MAX_VERSION = 9
+
+// Resolves to the result of parse() on the pnpm-lock.yaml at the given path.
+// Rejects with code 'ELOCKFILE' if the file content is not usable.
+function read(lockPath) {
+  return common.readLockfile(lockPath, parse)
+}
+
+// Turn the text of a pnpm lockfile (lockfileVersion 5.x through 9.x) into
+// a list of tracker queries, one per entry of its 'packages' section.
+// The location of an entry is its key in that section, e.g. '/abc@1.2.3'.
+// The result has the same shape as that of npm-lockfile.parse().
+function parse(text) {
+  if (typeof text !== 'string')
+    throw common.lockfileError('Lockfile content must be a string')
+
+  const lock = parseYaml(text)
+  if (!lock || typeof lock !== 'object')
+    throw common.lockfileError('Lockfile content must be a mapping')
+  const lockVersion = parseFloat(lock.lockfileVersion)
+  if (!(lockVersion >= MIN_VERSION && lockVersion < MAX_VERSION + 1))
+    throw common.lockfileError(`Unsupported lockfileVersion '${lock.lockfileVersion}'`)
+
+  const result = common.newResult(lock.lockfileVersion)
+  const packages = lock.packages || {}
+  for (let key in packages) {
+    const item = packages[key] || {}
+    const resolution = item.resolution || {}
+    const parsed = parseKey(key, lockVersion)
+    const name = item.name || parsed.name
+    const version = String(item.version || parsed.version)
+
+    if (resolution.directory ||
+        typeof resolution.tarball === 'string' && resolution.tarball.startsWith('file:') ||
+        version.startsWith('file:')) {
+      common.addSkipped(result, key, name, 'local')
+      continue
+    }
+    if (version.startsWith('link:')) {
+      common.addSkipped(result, key, name, 'link')
+      continue
+    }
+    let resolved
+    if (resolution.type === 'git' || resolution.commit)
+      resolved = `git+${resolution.repo}#${resolution.commit}`
+    else if (resolution.tarball)
+      resolved = resolution.tarball
+    common.addEntry(result, key, name, version, resolved, {
+      integrity: resolution.integrity, dev: item.dev, optional: item.optional
+    })
+  }
+  return result
+}
+
+// Keys of the packages section differ by lockfile version:
+//   5.x  '/abc/1.2.3', '/@scope/abc/1.2.3_peer@1.0.0'
+//   6.x  '/abc@1.2.3', '/@scope/abc@1.2.3(peer@1.0.0)'
+//   9.x  'abc@1.2.3', '@scope/abc@1.2.3'
+// Keys of git and remote tarball packages may not follow these patterns;
+// for those, the entry has name and version fields.
+function parseKey(key, lockVersion) {
+  let str = key.replace(/^\//, '')
+  const parenIdx = str.indexOf('(')
+  if (parenIdx !== -1) str = str.slice(0, parenIdx)
+  let idx
+  if (lockVersion < 6) {
+    idx = str.lastIndexOf('/')
+    if (idx === -1) return { name: str, version: '' }
+    // The peer suffix follows the version; a name may have '_' in it too
+    let version = str.slice(idx + 1)
+    const underIdx = version.indexOf('_')
+    if (underIdx !== -1) version = version.slice(0, underIdx)
+    return { name: str.slice(0, idx), version: version }
+  }
+  idx = str.indexOf('@', 1)
+  if (idx === -1) return { name: str, version: '' }
+  return { name: str.slice(0, idx), version: str.slice(idx + 1) }
+}
+
+// A reader for the subset of YAML that pnpm writes: block mappings and
+// sequences, one-line flow mappings and sequences, plain and quoted scalars.
+// Anchors, tags, multi-line scalars, and multiple documents are not supported.
+function parseYaml(text) {
+  const lines = []
+  const rawLines = text.split(/\r?\n/)
+  for (let i = 0; i < rawLines.length; ++i) {
+    const raw = rawLines[i]
+    const trimmed = raw.trim()
+    if (!trimmed || trimmed.startsWith('#') || trimmed === '---') continue
+    if (/^\t/.test(raw))
+      throw common.lockfileError(`Tab indentation at line ${i+1}`)
+    lines.push({
+      num: i + 1, indent: raw.length - raw.trimLeft().length, text: trimmed
+    })
+  }
+  if (!lines.length) return null
+  const state = { lines: lines, pos: 0 }
+  const value = parseBlock(state, lines[0].indent)
+  if (state.pos < lines.length)
+    throw yamlError('Unexpected indentation', lines[state.pos])
+  return value
+}
+
+function parseBlock(state, indent) {
+  const line = state.lines[state.pos]
+  if (isSequenceItem(line.text)) return parseSequence(state, indent)
+  return parseMapping(state, indent)
+}
+
+function isSequenceItem(text) {
+  return text === '-' || text.startsWith('- ')
+}
+
+function parseSequence(state, indent) {
+  const result = []
+  while (state.pos < state.lines.length) {
+    const line = state.lines[state.pos]
+    if (line.indent !== indent || !isSequenceItem(line.text)) break
+    ++state.pos
+    const rest = line.text.slice(1).trim()
+    if (rest) result.push(parseFlowValue(rest, line))
+    else result.push(parseNested(state, indent))
+  }
+  return result
+}
+
+function parseMapping(state, indent) {
+  const result = {}
+  while (state.pos < state.lines.length) {
+    const line = state.lines[state.pos]
+    if (line.indent !== indent || isSequenceItem(line.text)) break
+    ++state.pos
+    const pair = splitKey(line)
+    if (pair.rest) result[pair.key] = parseFlowValue(pair.rest, line)
+    else result[pair.key] = parseNested(state, indent)
+  }
+  return result
+}
+
+// The value of a key or sequence item that has nothing after it on its line
+function parseNested(state, indent) {
+  const next = state.lines[state.pos]
+  if (!next) return null
+  if (next.indent > indent) return parseBlock(state, next.indent)
+  // A sequence may be at the same indentation as the key that holds it
+  if (next.indent === indent && isSequenceItem(next.text))
+    return parseSequence(state, indent)
+  return null
+}
+
+function splitKey(line) {
+  const text = line.text
+  let key, rest
+  if (text[0] === '"' || text[0] === "'") {
+    const scalar = readQuoted(text, 0, line)
+    if (text[scalar.end] !== ':')
+      throw yamlError('Expected a colon after key', line)
+    key = scalar.value
+    rest = text.slice(scalar.end + 1)
+  }
+  else {
+    const match = /:(\s|$)/.exec(text)
+    if (!match) throw yamlError('Expected a mapping key', line)
+    key = text.slice(0, match.index)
+    rest = text.slice(match.index + 1)
+  }
+  if (rest && !/^\s/.test(rest))
+    throw yamlError('Expected a space after colon', line)
+  return { key: key, rest: rest.trim() }
+}
+
+function parseFlowValue(str, line) {
+  const parsed = readFlow(str, 0, line, false)
+  if (str.slice(parsed.end).trim())
+    throw yamlError('Unexpected content after value', line)
+  return parsed.value
+}
+
+// Returns { value, end }, where end is the index after the value
+function readFlow(str, pos, line, inFlow) {
+  while (str[pos] === ' ') ++pos
+  const ch = str[pos]
+  if (ch === '{' || ch === '[') {
+    const isMap = ch === '{'
+    const close = isMap ? '}' : ']'
+    const value = isMap ? {} : []
+    ++pos
+    for (;;) {
+      while (str[pos] === ' ') ++pos
+      if (str[pos] === close) return { value: value, end: pos + 1 }
+      if (pos >= str.length) throw yamlError(`Missing '${close}'`, line)
+      if (isMap) {
+        const key = readFlow(str, pos, line, true)
+        pos = key.end
+        while (str[pos] === ' ') ++pos
+        if (str[pos] !== ':') throw yamlError('Expected a colon after key', line)
+        const item = readFlow(str, pos + 1, line, true)
+        value[String(key.value)] = item.value
+        pos = item.end
+      }
+      else {
+        const item = readFlow(str, pos, line, true)
+        value.push(item.value)
+        pos = item.end
+      }
+      while (str[pos] === ' ') ++pos
+      if (str[pos] === ',') ++pos
+      else if (str[pos] !== close) throw yamlError(`Expected ',' or '${close}'`, line)
+    }
+  }
+  if (ch === '"' || ch === "'") return readQuoted(str, pos, line)
+
+  // Plain scalar. Within flow collections, it ends at an indicator;
+  // a colon is only an indicator when followed by a space.
+  let end = pos
+  if (inFlow) {
+    while (end < str.length && !/[,\]}]/.test(str[end]) &&
+           !(str[end] === ':' && /[\s,\]}]/.test(str[end+1] || ' ')))
+      ++end
+  }
+  else end = str.length
+  return { value: toScalar(str.slice(pos, end).trim()), end: end }
+}
+
+function readQuoted(str, pos, line) {
+  const quote = str[pos]
+  let i = pos + 1
+  if (quote === '"') {
+    for (; i < str.length; ++i) {
+      if (str[i] === '\\') ++i
+      else if (str[i] === '"') break
+    }
+    if (i >= str.length) throw yamlError('Unterminated string', line)
+    let value
+    try { value = JSON.parse(str.slice(pos, i + 1)) }
+    catch (err) { throw yamlError('Malformed string', line) }
+    return { value: value, end: i + 1 }
+  }
+  let value = ''
+  for (; i < str.length; ++i) {
+    if (str[i] === "'") {
+      if (str[i+1] !== "'") break
+      ++i // doubled quote is an escaped quote
+    }
+    value += str[i]
+  }
+  if (i >= str.length) throw yamlError('Unterminated string', line)
+  return { value: value, end: i + 1 }
+}
+
+function toScalar(str) {
+  switch (str) {
+    case '': case '~': case 'null': return null
+    case 'true': return true
+    case 'false': return false
+  }
+  if (/^-?\d+(\.\d+)?$/.test(str)) return Number(str)
+  return str
+}
+
+function yamlError(msg, line) {
+  return common.lockfileError(`${msg} at line ${line.num}`)
+}
@@ -0,0 +1,87 @@
+// built-ins
+const path = require('path')
+
+// 3rd party dependencies
+const fs = require('graceful-fs')
+const tar = require('tar')
+
+module.exports = readPackage
+
+// npm packs everything under 'package/', but tarballs from other sources
+// (e.g., git host archives) can have any name for the top-level directory
+const PKGJSON_PATH = 'package/package.json'
+const RE_PKGJSON_PATH = /^[^\/]+\/package\.json$/
+
+// Resolves to the parsed package.json from the package tarball at the given
+// path, or in the given Buffer. If opts.npmLayout is set, only a
+// 'package/package.json' will do, as for a tarball from the npm registry.
+// Rejects with one of these error codes:
+// * ETARBALL - the file is not a readable gzip/tar stream
+// * ENOPKGJSON - the tarball has no package.json at the expected level
+// * EPKGJSON - the package.json could not be parsed
+function readPackage(source, opts) {
+  const filePath = Buffer.isBuffer(source) ? undefined : source
+  const npmLayout = !!(opts && opts.npmLayout)
+  return new Promise((resolve, reject) => {
+    let entryCount = 0
+    let settled = false
+    let pkgJsonPath = null
+    let chunks = null
+
+    function fail(code, msg, cause) {
+      if (settled) return
+      settled = true
+      const err = new Error(msg)
+      err.code = code
+      if (filePath !== undefined) err.path = filePath
+      if (cause) err.cause = cause
+      reject(err)
+    }
+
+    const parser = new tar.Parse({ strict: true })
+    parser.on('entry', entry => {
+      ++entryCount
+      // Normalize in case the archive was made on Windows
+      const entryPath = entry.path.split(path.sep).join('/')
+      const wanted = npmLayout ? entryPath === PKGJSON_PATH
+                               : RE_PKGJSON_PATH.test(entryPath)
+      if (entry.type === 'File' && wanted &&
+          (!pkgJsonPath || entryPath === PKGJSON_PATH && pkgJsonPath !== PKGJSON_PATH)) {
+        pkgJsonPath = entryPath
+        const currChunks = chunks = []
+        entry.on('data', chunk => currChunks.push(chunk))
+      }
+      else entry.resume()
+    })
+    parser.on('error', err => fail('ETARBALL', 'Not a valid gzip/tar stream', err))
+    parser.on('end', () => {
+      if (settled) return
+      if (!entryCount)
+        return fail('ETARBALL', 'No tar entries found')
+      if (!pkgJsonPath)
+        return fail('ENOPKGJSON', 'No package.json found in tarball')
+      let str = Buffer.concat(chunks).toString('utf8')
+      // Strip BOM, if any
+      if (str.charCodeAt(0) === 0xFEFF) str = str.slice(1)
+      let pkg
+      try { pkg = JSON.parse(str) }
+      catch (parseErr) {
+        return fail('EPKGJSON', 'Failed to parse package.json in tarball', parseErr)
+      }
+      settled = true
+      resolve(pkg)
+    })
+
+    if (filePath === undefined) {
+      parser.end(source)
+      return
+    }
+    fs.createReadStream(filePath)
+    .on('error', err => {
+      if (settled) return
+      settled = true
+      reject(err)
+    })
+    .pipe(parser)
+  })
+}
@@ -1,15 +1,22 @@
-const promisify = require('util').promisify
-const readdirAsync = promisify(require('graceful-fs').readdir)
 const npf = require('@offliner/npm-package-filename')
 
+const integrity = require('./integrity')
+const readPackage = require('./read-package')
+const storageAdapters = require('./storage')
+
 module.exports = reconstructMap
+module.exports.mapFiles = mapFiles
+
+// Fields of package.json worth keeping for the offliner
+const PKG_DEP_FIELDS = [
+  'dependencies', 'optionalDependencies', 'peerDependencies'
+]
 
 // Helper for initialization: used on a list of items for which
 // there is no mapping in the dltracker.json file.
-// (We're keeping this factored out of reconstructMap in case we introduce
-// another use for it, e.g., "phantoms")
+// The records are flagged as reconstructed, to tell them from those made
+// by add() (which may lack integrity too, if they're old enough).
 function iterateAndAdd(itemList, map, log) {
-  let name, version, table
   for (let i = 0; i < itemList.length; ++i) {
     const filename = itemList[i]
     const parsed = npf.parse(filename)
@@ -17,32 +24,105 @@ function iterateAndAdd(itemList, map, log) {
       log.warn('DownloadTracker', `failed to parse filename '${filename}'`)
       continue
     }
-    switch (parsed.type) {
-      case 'semver':
-        name = parsed.packageName
-        version = parsed.versionComparable
-        if (!map.semver) map.semver = {}
-        if (!map.semver[name]) map.semver[name] = {}
-        table = map.semver[name]
-        break
-      case 'git':
-        name = parsed.repo
-        version = parsed.commit
-        if (!map.git) map.git = {}
-        if (!map.git[name]) map.git[name] = {}
-        table = map.git[name]
-        break
-      case 'url':
-        if (!map.url) map.url = {}
-        table = map.url
-        version = parsed.url
-        break
-      default:
-        log.warn('DownloadTracker', `unrecognized parsed type '${parsed.type}'`)
-        continue
+    addRecord(map, parsed, { filename: filename, reconstructed: true }, log)
+  }
+}
+
+// Like iterateAndAdd, but gets the record data from the package.json in
+// each tarball, and the integrity from the file content.
+// Where a filename can't be parsed, the package.json can still tell
+// the package name and version.
+function iterateAndRead(storage, itemList, map, log) {
+  function nextItem(i) {
+    if (i >= itemList.length) return Promise.resolve(null)
+    const filename = itemList[i]
+    let parsed = npf.parse(filename)
+    if (!parsed && !npf.hasTarballExtension(filename)) {
+      log.warn('DownloadTracker', `failed to parse filename '${filename}'`)
+      return nextItem(i+1)
     }
-    table[version] = { filename: filename }
+
+    const record = { filename: filename }
+    let content
+    return storageAdapters.contentSource(storage, filename).then(source => {
+      content = source
+      return readPackage(content)
+    })
+    .then(pkg => {
+      if (!parsed || parsed.type === 'semver') {
+        if (typeof pkg.name !== 'string' || typeof pkg.version !== 'string')
+          throw new Error('package.json lacks name or version')
+        if (parsed && (
+            parsed.packageName !== pkg.name ||
+            parsed.versionComparable !== pkg.version)) {
+          log.warn('DownloadTracker',
+            `filename '${filename}' disagrees with package ${pkg.name}@${pkg.version}`
+          )
+        }
+        parsed = {
+          type: 'semver', packageName: pkg.name, versionComparable: pkg.version
+        }
+      }
+      for (let f = 0; f < PKG_DEP_FIELDS.length; ++f) {
+        const field = PKG_DEP_FIELDS[f]
+        if (pkg[field] && typeof pkg[field] === 'object')
+          record[field] = pkg[field]
+      }
+      return integrity.calculate(content)
+    })
+    .then(sri => {
+      record.integrity = sri
+      record.reconstructed = true
+      addRecord(map, parsed, record, log)
+    })
+    .catch(err => {
+      log.warn('DownloadTracker',
+        `failed to read package from '${filename}': ${err.code || err.message}`
+      )
+      // Fall back on what the filename tells
+      if (parsed) addRecord(map, parsed, { filename: filename, reconstructed: true }, log)
+    })
+    .then(() => nextItem(i+1))
   }
+  return nextItem(0)
+}
+
+function addRecord(map, parsed, record, log) {
+  let name, version, table
+  switch (parsed.type) {
+    case 'semver':
+      name = parsed.packageName
+      version = parsed.versionComparable
+      if (!map.semver) map.semver = {}
+      if (!map.semver[name]) map.semver[name] = {}
+      table = map.semver[name]
+      break
+    case 'git':
+      name = parsed.repo
+      version = parsed.commit
+      if (!map.git) map.git = {}
+      if (!map.git[name]) map.git[name] = {}
+      table = map.git[name]
+      break
+    case 'url':
+      if (!map.url) map.url = {}
+      table = map.url
+      version = parsed.url
+      break
+    default:
+      log.warn('DownloadTracker', `unrecognized parsed type '${parsed.type}'`)
+      return
+  }
+  table[version] = record
+}
+
+// For "phantoms": tarballs that are present in a directory that has a
+// dltracker.json file, but are not mapped in it.
+// The records of the resulting map are flagged as reconstructed.
+function mapFiles(filenames, log) {
+  const map = {}
+  iterateAndAdd(filenames, map, log || dummyLog)
+  return map
 }
 
 const dummyFunc = () => {}
@@ -50,7 +130,7 @@ const dummyLog = {
   error: dummyFunc, warn: dummyFunc, info: dummyFunc, verbose: dummyFunc
 }
 
-function reconstructMap(dir, log) {
+function reconstructMap(dir, log, opts) {
   try {
     if (dir === undefined || dir === null || dir === '')
       throw new SyntaxError("No path given")
@@ -67,14 +147,33 @@ function reconstructMap(dir, log) {
       }
     }
     else log = dummyLog
+    if (opts !== undefined && opts !== null) {
+      if (typeof opts !== 'object')
+        throw new TypeError('options must be given as an object')
+      if (opts.storage !== undefined && opts.storage !== null) {
+        if (typeof opts.storage !== 'object')
+          throw new TypeError('storage option value must be an object')
+        for (let method of storageAdapters.METHODS) {
+          if (typeof opts.storage[method] !== 'function')
+            throw new TypeError(`storage must have a '${method}' method`)
+        }
+      }
+    }
+    else opts = {}
   }
   catch(err) { return Promise.reject(err) }
 
+  // The storage, if given, stands in for the directory
+  const storage = opts.storage || storageAdapters.fsAdapter(dir)
+
   // Recognize anything that looks like a package file in the
   // given directory, and table it
-  return readdirAsync(dir).then(files => {
+  return storage.list().then(files => {
     const map = {}
-    iterateAndAdd(files, map, log)
-    return map
+    if (!opts.readPackages) {
+      iterateAndAdd(files, map, log)
+      return map
+    }
+    return iterateAndRead(storage, files, map, log).then(() => map)
   })
 }
@@ -0,0 +1,116 @@
+// built-ins
+const http = require('http')
+const path = require('path')
+const url = require('url')
+
+// 3rd party dependencies
+const fs = require('graceful-fs')
+
+const packument = require('./packument')
+
+module.exports = serve
+
+const DEFAULT_HOST = '127.0.0.1'
+
+// Resolves to an http.Server, listening, that acts as a minimal npm
+// registry for the packages in the semver and tag tables of the tracker.
+// Only the reads that installation needs are supported:
+//   GET /<name>                 -> packument
+//   GET /<name>/-/<filename>    -> tarball
+function serve(tracker, opts) {
+  try {
+    if (!tracker || typeof tracker !== 'object' ||
+        typeof tracker.getPackument !== 'function' ||
+        typeof tracker.readTarball !== 'function')
+      throw new TypeError('a tracker instance is required')
+    if (opts !== undefined && opts !== null) {
+      if (typeof opts !== 'object')
+        throw new TypeError('options must be given as an object')
+      if (opts.port !== undefined && opts.port !== null) {
+        if (typeof opts.port !== 'number')
+          throw new TypeError('port option value must be a number')
+        if (!Number.isInteger(opts.port) || opts.port < 0 || opts.port > 65535)
+          throw new RangeError('port option value out of range')
+      }
+      if (opts.host !== undefined && opts.host !== null &&
+          typeof opts.host !== 'string')
+        throw new TypeError('host option value must be a string')
+    }
+    else opts = {}
+  }
+  catch (err) { return Promise.reject(err) }
+
+  const log = opts.log || { verbose: () => {} }
+  const server = http.createServer((req, res) => {
+    log.verbose('DownloadTracker.serve', req.method, req.url)
+    if (req.method !== 'GET' && req.method !== 'HEAD')
+      return sendJSON(res, 405, { error: 'Method not allowed' })
+
+    const pathname = url.parse(req.url).pathname
+    const sepIdx = pathname.indexOf('/-/')
+    try {
+      if (sepIdx === -1)
+        return sendPackument(req, res, decodeURIComponent(pathname.slice(1)))
+      return sendTarball(req, res,
+        decodeURIComponent(pathname.slice(1, sepIdx)),
+        decodeURIComponent(pathname.slice(sepIdx + 3))
+      )
+    }
+    catch (err) { // malformed URI
+      return sendJSON(res, 400, { error: 'Bad request' })
+    }
+  })
+
+  function sendPackument(req, res, name) {
+    const baseUrl = `http://${req.headers.host}`
+    const doc = name ? tracker.getPackument(name, baseUrl) : null
+    if (!doc) return sendJSON(res, 404, { error: 'Not found' })
+    sendJSON(res, 200, doc, req.method === 'HEAD')
+  }
+
+  function sendTarball(req, res, name, filename) {
+    // Only serve files that the tracker knows for the given package
+    const doc = name && filename ? tracker.getPackument(name, 'http://x') : null
+    const relPath = packument.tarballPath(name, filename)
+    let known = false
+    if (doc && path.basename(filename) === filename) {
+      for (let ver in doc.versions) {
+        if (doc.versions[ver].dist.tarball === 'http://x/' + relPath) {
+          known = true
+          break
+        }
+      }
+    }
+    if (!known) return sendJSON(res, 404, { error: 'Not found' })
+
+    // Through the storage of the tracker, which may not be the filesystem
+    tracker.readTarball(filename).then(tarball => {
+      res.writeHead(200, {
+        'Content-Type': 'application/octet-stream',
+        'Content-Length': tarball.size
+      })
+      if (req.method === 'HEAD') return res.end()
+      if (tarball.content) return res.end(tarball.content)
+      fs.createReadStream(tarball.path)
+      .on('error', () => res.destroy())
+      .pipe(res)
+    }, () => sendJSON(res, 404, { error: 'Not found' }))
+  }
+
+  return new Promise((resolve, reject) => {
+    server.once('error', reject)
+    server.listen(opts.port || 0, opts.host || DEFAULT_HOST, () => {
+      server.removeListener('error', reject)
+      resolve(server)
+    })
+  })
+}
+
+function sendJSON(res, status, data, headOnly) {
+  const body = JSON.stringify(data)
+  res.writeHead(status, {
+    'Content-Type': 'application/json',
+    'Content-Length': Buffer.byteLength(body)
+  })
+  res.end(headOnly ? undefined : body)
+}
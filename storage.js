@@ -0,0 +1,132 @@
+// built-ins
+const path = require('path')
+const promisify = require('util').promisify
+
+// 3rd party dependencies
+const fs = require('graceful-fs')
+
+const mapLock = require('./map-lock')
+
+const closeAsync = promisify(fs.close)
+const fsyncAsync = promisify(fs.fsync)
+const lstatAsync = promisify(fs.lstat)
+const openAsync = promisify(fs.open)
+const readdirAsync = promisify(fs.readdir)
+const readFileAsync = promisify(fs.readFile)
+const renameAsync = promisify(fs.rename)
+const unlinkAsync = promisify(fs.unlink)
+const writeFileAsync = promisify(fs.writeFile)
+
+// A storage adapter holds the map file and the tarballs of a tracker.
+// Names are of items at the top level of the store. Every method returns
+// a Promise, and rejects with code 'ENOENT' for a name that isn't there.
+// * stat(name): { size, mtime (a Date), isFile (boolean) }
+// * read(name[, encoding]): the content; a Buffer unless encoding is given
+// * write(name, content): replaces the item whole, or not at all
+// * list(): the names of everything in the store
+// * remove(name)
+// An adapter may also have:
+// * lock(name, opts): an advisory lock between processes, as by map-lock.js
+// * localPath(name): the path of the item in the local filesystem, for
+//   the tools that need a file
+const METHODS = [ 'stat', 'read', 'write', 'list', 'remove' ]
+
+module.exports = {
+  METHODS: METHODS,
+  contentSource: contentSource,
+  fsAdapter: fsAdapter,
+  memoryAdapter: memoryAdapter,
+  writeFileAtomic: writeFileAtomic
+}
+
+// Write to a temporary file in the same directory, make sure it's on the
+// disk, then rename it over the target; so that the target is never left
+// in a partially written state.
+function writeFileAtomic(filePath, content) {
+  const tempPath = `${filePath}.${process.pid}.tmp`
+  let fd = null
+  return openAsync(tempPath, 'w')
+  .then(result => {
+    fd = result
+    // Unlike a single fs.write(), this keeps on through short writes, and
+    // fails if not everything can be written (e.g., the disk is full)
+    return writeFileAsync(fd, content)
+  })
+  .then(() => fsyncAsync(fd))
+  .then(() => {
+    const currFd = fd
+    fd = null
+    return closeAsync(currFd)
+  })
+  .then(() => renameAsync(tempPath, filePath))
+  .catch(err => {
+    const closing = fd !== null ? closeAsync(fd) : Promise.resolve()
+    return closing.catch(() => {})
+    .then(() => unlinkAsync(tempPath).catch(() => {}))
+    .then(() => { throw err })
+  })
+}
+
+// Resolves to what integrity.calculate() and readPackage() take for the
+// named item: its path, where it's a local file, so that it can be
+// streamed; else its content
+function contentSource(adapter, name) {
+  if (adapter.localPath) return Promise.resolve(adapter.localPath(name))
+  return adapter.read(name)
+}
+
+// The default: the files of a directory
+function fsAdapter(dir) {
+  const localPath = name => path.join(dir, name)
+  return Object.freeze({
+    stat: name => lstatAsync(localPath(name)).then(stats => ({
+      size: stats.size, mtime: stats.mtime, isFile: stats.isFile()
+    })),
+    read: (name, encoding) => readFileAsync(localPath(name), encoding),
+    write: (name, content) => writeFileAtomic(localPath(name), content),
+    list: () => readdirAsync(dir),
+    remove: name => unlinkAsync(localPath(name)),
+    lock: (name, opts) => mapLock.acquire(localPath(name), opts),
+    localPath: localPath
+  })
+}
+
+// Keeps everything in memory, for tests and dry runs. The optional files
+// argument gives the initial content, as an object of names to strings or
+// Buffers.
+function memoryAdapter(files) {
+  const items = new Map() // name -> { content, mtime }
+
+  function notFound(name) {
+    const err = new Error(`ENOENT: no such item '${name}'`)
+    err.code = 'ENOENT'
+    err.path = name
+    return err
+  }
+  function get(name) {
+    return new Promise((resolve, reject) => {
+      if (items.has(name)) resolve(items.get(name))
+      else reject(notFound(name))
+    })
+  }
+  function put(name, content) {
+    items.set(name, { content: Buffer.from(content), mtime: new Date() })
+  }
+
+  for (let name in files || {}) put(name, files[name])
+
+  return Object.freeze({
+    stat: name => get(name).then(item => ({
+      size: item.content.length, mtime: item.mtime, isFile: true
+    })),
+    read: (name, encoding) => get(name).then(item =>
+      encoding ? item.content.toString(encoding) : Buffer.from(item.content)
+    ),
+    write: (name, content) => new Promise(resolve => {
+      put(name, content)
+      resolve()
+    }),
+    list: () => Promise.resolve(Array.from(items.keys())),
+    remove: name => get(name).then(() => { items.delete(name) })
+  })
+}
@@ -0,0 +1,80 @@
+const expect = require('chai').expect
+const semver = require('semver')
+
+const buildLockfile = require('../build-lockfile')
+
+// A resolver over a fixed set of package manifests
+function makeResolver(available) {
+  return {
+    pick: (name, spec) => {
+      const versions = available.filter(item => item.name === name)
+        .map(item => item.version)
+      const version = semver.maxSatisfying(versions, spec)
+      return version ? { name: name, version: version, record: { name: name } } : null
+    },
+    manifest: (name, version) => Promise.resolve(available.find(
+      item => item.name === name && item.version === version
+    )),
+    resolved: record => `file:${record.name}.tgz`
+  }
+}
+
+describe('build-lockfile module', function() {
+  it('should reuse a version already placed that satisfies a spec', function(done) {
+    const resolver = makeResolver([
+      { name: 'a', version: '1.0.0', dependencies: { b: '^1.0.0' } },
+      { name: 'b', version: '1.0.0' },
+      { name: 'b', version: '1.5.0' }
+    ])
+    resolver.pick = (pick => (name, spec) =>
+      // b@1.5.0 is best for '^1.0.0', but b@1.0.0 is placed first
+      name === 'b' && spec === '1.0.0' ?
+        { name: 'b', version: '1.0.0', record: { name: 'b' } } : pick(name, spec)
+    )(resolver.pick)
+    buildLockfile({ dependencies: { b: '1.0.0', a: '^1.0.0' } }, resolver)
+    .then(lock => {
+      expect(Object.keys(lock.packages).sort()).to.deep.equal([
+        '', 'node_modules/a', 'node_modules/b'
+      ])
+      expect(lock.packages['node_modules/b'].version).to.equal('1.0.0')
+      done()
+    })
+    .catch(err => done(err))
+  })
+
+  it('should flag packages that a production install does not need', function(done) {
+    const resolver = makeResolver([
+      { name: 'prod', version: '1.0.0', optionalDependencies: { opt: '^1.0.0' } },
+      { name: 'opt', version: '1.0.0', dependencies: { shared: '^1.0.0' } },
+      {
+        name: 'tool', version: '1.0.0',
+        dependencies: { shared: '^1.0.0' },
+        optionalDependencies: { 'tool-opt': '^1.0.0' }
+      },
+      { name: 'shared', version: '1.0.0' },
+      { name: 'tool-opt', version: '1.0.0' }
+    ])
+    const rootPkg = {
+      dependencies: { prod: '^1.0.0' },
+      devDependencies: { tool: '^1.0.0' }
+    }
+    buildLockfile(rootPkg, resolver).then(lock => {
+      const flags = {}
+      for (let loc in lock.packages) {
+        if (!loc) continue
+        const entry = lock.packages[loc]
+        flags[loc] = [ 'dev', 'optional', 'devOptional' ]
+          .filter(flag => entry[flag])
+      }
+      expect(flags).to.deep.equal({
+        'node_modules/opt': [ 'optional' ],
+        'node_modules/prod': [],
+        'node_modules/shared': [ 'devOptional' ],
+        'node_modules/tool': [ 'dev' ],
+        'node_modules/tool-opt': [ 'dev', 'optional' ]
+      })
+      done()
+    })
+    .catch(err => done(err))
+  })
+})
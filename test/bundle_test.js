@@ -0,0 +1,174 @@
+const path = require('path')
+const promisify = require('util').promisify
+
+const expect = require('chai').expect
+const fs = require('graceful-fs')
+const tar = require('tar')
+const accessAsync = promisify(fs.access)
+const mkdirAsync = promisify(fs.mkdir)
+const readdirAsync = promisify(fs.readdir)
+const readFileAsync = promisify(fs.readFile)
+const writeFileAsync = promisify(fs.writeFile)
+const rimrafAsync = promisify(require('rimraf'))
+
+const bundle = require('../bundle')
+
+const didNotRejectError = new Error("Failed to reject")
+const tempDir = 'test/assets/dir12'
+const srcDir = path.join(tempDir, 'src')
+const fileExists = filePath => accessAsync(filePath).then(() => true, () => false)
+
+// Enough content to span several small volumes
+const fileContent = {
+  'first.tgz': 'First file content. '.repeat(100),
+  'second.tgz': 'Second file content. '.repeat(200)
+}
+const items = [
+  { name: 'first.tgz', path: path.join(srcDir, 'first.tgz') },
+  { name: 'second.tgz', path: path.join(srcDir, 'second.tgz') },
+  { name: 'generated.json', content: '{"made":"here"}' }
+]
+
+describe('bundle module', function() {
+  before('make clean temp directory and populate', function(done) {
+    rimrafAsync(tempDir).then(() => mkdirAsync(tempDir))
+    .then(() => mkdirAsync(srcDir))
+    .then(() => writeFileAsync(items[0].path, fileContent['first.tgz']))
+    .then(() => writeFileAsync(items[1].path, fileContent['second.tgz']))
+    .then(() => done())
+    .catch(err => done(err))
+  })
+  after('remove temporary test assets', function(done) {
+    rimrafAsync(tempDir).then(() => done())
+    .catch(err => done(err))
+  })
+
+  it('should pack the items with a manifest, and unpack them again', function(done) {
+    const bundlePath = path.join(tempDir, 'whole.tar')
+    const destDir = path.join(tempDir, 'whole')
+    bundle.pack(bundlePath, items).then(written => {
+      expect(written).to.deep.equal([ bundlePath ])
+      return bundle.unpack(bundlePath, destDir)
+    })
+    .then(names => {
+      expect(names.sort()).to.deep.equal([ 'first.tgz', 'generated.json', 'second.tgz' ])
+      return readFileAsync(path.join(destDir, 'second.tgz'), 'utf8')
+    })
+    .then(str => {
+      expect(str).to.equal(fileContent['second.tgz'])
+      return readFileAsync(path.join(destDir, 'generated.json'), 'utf8')
+    })
+    .then(str => {
+      expect(str).to.equal(items[2].content)
+      return readdirAsync(tempDir)
+    })
+    .then(names => {
+      // Nothing left over from staging
+      expect(names.sort()).to.deep.equal([ 'src', 'whole', 'whole.tar' ])
+      done()
+    })
+    .catch(err => done(err))
+  })
+
+  it('should split a bundle into volumes, and unpack from the volumes', function(done) {
+    const bundlePath = path.join(tempDir, 'split.tar')
+    const destDir = path.join(tempDir, 'split')
+    const volumeSize = 2048
+    bundle.pack(bundlePath, items, volumeSize).then(written => {
+      expect(written.length).to.be.above(1)
+      expect(written[0]).to.equal(bundlePath + '.001')
+      expect(written[1]).to.equal(bundlePath + '.002')
+      return fileExists(bundlePath)
+    })
+    .then(exists => {
+      expect(exists).to.be.false
+      return bundle.unpack(bundlePath, destDir)
+    })
+    .then(names => {
+      expect(names.sort()).to.deep.equal([ 'first.tgz', 'generated.json', 'second.tgz' ])
+      return readFileAsync(path.join(destDir, 'first.tgz'), 'utf8')
+    })
+    .then(str => {
+      expect(str).to.equal(fileContent['first.tgz'])
+      done()
+    })
+    .catch(err => done(err))
+  })
+
+  it('should remove the volumes of an earlier bundle of the same name', function(done) {
+    const bundlePath = path.join(tempDir, 'again.tar')
+    const destDir = path.join(tempDir, 'again')
+    let firstCount
+    bundle.pack(bundlePath, items, 1024).then(written => {
+      firstCount = written.length
+      // Fewer volumes this time
+      return bundle.pack(bundlePath, items.slice(0, 1), 2048)
+    })
+    .then(written => {
+      expect(written.length).to.be.below(firstCount)
+      return fileExists(`${bundlePath}.${String(written.length + 1).padStart(3, '0')}`)
+    })
+    .then(exists => {
+      expect(exists).to.be.false
+      return bundle.unpack(bundlePath, destDir)
+    })
+    .then(names => {
+      expect(names).to.deep.equal([ 'first.tgz' ])
+      done()
+    })
+    .catch(err => done(err))
+  })
+
+  it('should reject with EINTEGRITY when a file does not match the manifest', function(done) {
+    const bundlePath = path.join(tempDir, 'tampered.tar')
+    const tamperDir = path.join(tempDir, 'tamper')
+    const destDir = path.join(tempDir, 'tampered')
+    const bundleDir = path.join(tempDir, 'whole')
+    // Repack what was unpacked by the first test, with one file altered
+    mkdirAsync(tamperDir)
+    .then(() => tar.x({ file: path.join(tempDir, 'whole.tar'), cwd: tamperDir }))
+    .then(() => writeFileAsync(path.join(tamperDir, 'first.tgz'), 'Altered'))
+    .then(() => readdirAsync(tamperDir))
+    .then(names => tar.c({ file: bundlePath, cwd: tamperDir }, names))
+    .then(() => bundle.unpack(bundlePath, destDir))
+    .then(() => { throw didNotRejectError })
+    .catch(err => {
+      expect(err.code).to.equal('EINTEGRITY')
+      return fileExists(destDir)
+    })
+    .then(exists => {
+      expect(exists).to.be.false
+      done()
+    })
+    .catch(err => done(err))
+  })
+
+  it('should reject with EBUNDLE for an archive that is not a bundle', function(done) {
+    const bundlePath = path.join(tempDir, 'plain.tar')
+    tar.c({ file: bundlePath, cwd: srcDir }, [ 'first.tgz' ])
+    .then(() => bundle.unpack(bundlePath, path.join(tempDir, 'plain')))
+    .then(() => { throw didNotRejectError })
+    .catch(err => {
+      expect(err.code).to.equal('EBUNDLE')
+      return tar.c({ file: bundlePath, cwd: tempDir }, [ 'src' ])
+    })
+    .then(() => bundle.unpack(bundlePath, path.join(tempDir, 'plain')))
+    .then(() => { throw didNotRejectError })
+    .catch(err => {
+      // Directory entries are not allowed
+      expect(err.code).to.equal('EBUNDLE')
+      done()
+    })
+    .catch(err => done(err))
+  })
+
+  it('should reject with ENOENT when there is neither a bundle nor volumes', function(done) {
+    bundle.unpack(path.join(tempDir, 'NOT_THERE'), path.join(tempDir, 'nothing'))
+    .then(() => { throw didNotRejectError })
+    .catch(err => {
+      expect(err.code).to.equal('ENOENT')
+      done()
+    })
+    .catch(err => done(err))
+  })
+})
@@ -0,0 +1,124 @@
+const path = require('path')
+const promisify = require('util').promisify
+
+const expect = require('chai').expect
+const fs = require('graceful-fs')
+const mkdirAsync = promisify(fs.mkdir)
+const writeFileAsync = promisify(fs.writeFile)
+const rimrafAsync = promisify(require('rimraf'))
+
+const delta = require('../delta')
+const dltFactory = require('../')
+
+const didNotRejectError = new Error("Failed to reject")
+const tempDir = 'test/assets/dir13'
+const srcDir = path.join(tempDir, 'src')
+const targetDir = path.join(tempDir, 'target')
+const bundlePath = path.join(tempDir, 'delta.tar')
+const repo = 'github.com/someUser/delta'
+const commit = '23456789abcdef0123456789abcdef0123456789'
+const urlSpec = 'https://example.com/delta.tgz'
+
+function addWithFile(tracker, type, data) {
+  const content = `Content of ${data.filename}`
+  return writeFileAsync(path.join(tracker.path, data.filename), content)
+  .then(() => tracker.add(type, data))
+}
+
+function describeRecord(data) {
+  switch (data.type) {
+    case 'semver': return `semver ${data.name}@${data.version}`
+    case 'tag': return `tag ${data.name}@${data.spec}`
+    case 'git': return `git ${data.repo}#${data.spec || data.commit}`
+  }
+  return `url ${data.spec}`
+}
+
+describe('delta module', function() {
+  let source
+  let target
+
+  before('make trackers for a source and a target that has some of it', function(done) {
+    rimrafAsync(tempDir).then(() => mkdirAsync(tempDir))
+    .then(() => mkdirAsync(srcDir))
+    .then(() => mkdirAsync(targetDir))
+    .then(() => dltFactory.create(targetDir))
+    .then(tracker => {
+      target = tracker
+      return addWithFile(target, 'tag', {
+        name: 'delta-a', version: '1.0.0', spec: 'next', filename: 'delta-a-1.0.0.tgz'
+      })
+    })
+    .then(() => addWithFile(target, 'git', {
+      repo: repo, commit: commit, refs: [ 'main' ], filename: 'delta-git.tgz'
+    }))
+    .then(() => dltFactory.create(srcDir))
+    .then(tracker => {
+      source = tracker
+      return addWithFile(source, 'tag', {
+        name: 'delta-a', version: '1.0.0', spec: 'beta', filename: 'delta-a-1.0.0.tgz'
+      })
+    })
+    .then(() => addWithFile(source, 'tag', {
+      name: 'delta-a', version: '2.0.0', spec: 'next', filename: 'delta-a-2.0.0.tgz'
+    }))
+    .then(() => addWithFile(source, 'git', {
+      repo: repo, commit: commit, refs: [ 'main' ], filename: 'delta-git.tgz'
+    }))
+    .then(() => addWithFile(source, 'url', {
+      spec: urlSpec, filename: 'delta-url.tgz'
+    }))
+    .then(() => done())
+    .catch(err => done(err))
+  })
+  after('remove temporary test assets', function(done) {
+    rimrafAsync(tempDir).then(() => done())
+    .catch(err => done(err))
+  })
+
+  describe('diff()', function() {
+    it('should throw when not given two trackers', function() {
+      expect(() => delta.diff(null, target)).to.throw(SyntaxError)
+      expect(() => delta.diff(source, {})).to.throw(TypeError)
+    })
+
+    it('should list the records that the target lacks, and the references that differ', function() {
+      expect(delta.diff(source, target).map(describeRecord).sort()).to.deep.equal([
+        'semver delta-a@2.0.0',
+        'tag delta-a@beta',
+        'tag delta-a@next',
+        'url example.com/delta.tgz'
+      ])
+      expect(delta.diff(source, source)).to.deep.equal([])
+    })
+  })
+
+  describe('exportDelta()', function() {
+    it('should reject when options are not an object', function(done) {
+      delta.exportDelta(source, target, bundlePath, 42)
+      .then(() => { throw didNotRejectError })
+      .catch(err => {
+        expect(err).to.be.an.instanceof(TypeError)
+        done()
+      })
+      .catch(err => done(err))
+    })
+
+    it('should bundle only what the target lacks, to bring it up to date', function(done) {
+      delta.exportDelta(source, target, bundlePath).then(written => {
+        expect(written).to.deep.equal([ path.resolve(bundlePath) ])
+        return target.importBundle(bundlePath)
+      })
+      .then(result => {
+        expect(result.added.map(describeRecord).sort()).to.deep.equal([
+          'semver delta-a@2.0.0', 'url example.com/delta.tgz'
+        ])
+        expect(result.refs).to.equal(2)
+        expect(target.getData('tag', 'delta-a', 'next').version).to.equal('2.0.0')
+        expect(delta.diff(source, target)).to.deep.equal([])
+        done()
+      })
+      .catch(err => done(err))
+    })
+  })
+})
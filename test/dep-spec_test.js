@@ -0,0 +1,43 @@
+const expect = require('chai').expect
+
+const depSpec = require('../dep-spec')
+
+describe('dep-spec module', function() {
+  describe('toQuery()', function() {
+    it('should return null for local specs, and for non-string specs', function() {
+      const specs = [ 'file:../local', 'link:../local', undefined, 42 ]
+      for (let i = 0; i < specs.length; ++i)
+        expect(depSpec.toQuery('pkg', specs[i])).to.be.null
+    })
+
+    it('should make semver and tag queries of registry specs', function() {
+      const expected = {
+        '^1.2.0': { type: 'semver', name: 'pkg', spec: '^1.2.0' },
+        '>= 1.0.0 < 2': { type: 'semver', name: 'pkg', spec: '>= 1.0.0 < 2' },
+        '': { type: 'semver', name: 'pkg', spec: '*' },
+        'latest': { type: 'semver', name: 'pkg', spec: '*' },
+        'next': { type: 'tag', name: 'pkg', spec: 'next' },
+        'npm:@scope/other@~2': { type: 'semver', name: '@scope/other', spec: '~2' }
+      }
+      for (let spec in expected)
+        expect(depSpec.toQuery('pkg', spec)).to.deep.equal(expected[spec])
+    })
+
+    it('should make git and url queries of remote specs', function() {
+      const expected = {
+        'github:someUser/project#v1':
+          { type: 'git', name: 'github.com/someUser/project', spec: 'v1' },
+        'someUser/project#semver:^1':
+          { type: 'git', name: 'github.com/someUser/project', spec: 'semver:^1' },
+        'git+ssh://git@gitlab.com:someUser/project.git#abc123':
+          { type: 'git', name: 'gitlab.com/someUser/project', spec: 'abc123' },
+        'git+https://bitbucket.org/someUser/project.git':
+          { type: 'git', name: 'bitbucket.org/someUser/project', spec: '' },
+        'https://example.com/project.tgz':
+          { type: 'url', name: '', spec: 'https://example.com/project.tgz' }
+      }
+      for (let spec in expected)
+        expect(depSpec.toQuery('pkg', spec)).to.deep.equal(expected[spec])
+    })
+  })
+})
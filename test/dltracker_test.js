@@ -5,16 +5,22 @@ const promisify = require('util').promisify
 
 const expect = require('chai').expect
 const fs = require('graceful-fs')
+const npf = require('@offliner/npm-package-filename')
+const accessAsync = promisify(fs.access)
 const copyFileAsync = promisify(fs.copyFile)
 const mkdirAsync = promisify(fs.mkdir)
+const readdirAsync = promisify(fs.readdir)
 const readFileAsync = promisify(fs.readFile)
 const unlinkAsync = promisify(fs.unlink)
+const utimesAsync = promisify(fs.utimes)
 const writeFileAsync = promisify(fs.writeFile)
 const rimrafAsync = promisify(require('rimraf'))
 const tar = require('tar')
 
 const ut = require('./lib/utilities')
 const mod = require('../')
+const integrity = require('../integrity')
+const storageAdapters = require('../storage')
 
 const MAPFILE_NAME = 'dltracker.json'
 const ASSETS_BASE = './test/assets'
@@ -67,7 +73,36 @@ describe('DownloadTracker module', function() {
   const srcDir = path.join(TEST_DIRS_BASE, 'tarballs')
   const tempDir1 = path.join(TEST_DIRS_BASE, 'dir1')
   const tempDir2 = path.join(TEST_DIRS_BASE, 'dir2')
-  const disposableDirs = [ srcDir, tempDir1, tempDir2 ]
+  const tempDir3 = path.join(TEST_DIRS_BASE, 'dir3')
+  const tempDir4 = path.join(TEST_DIRS_BASE, 'dir4')
+  const tempDir5 = path.join(TEST_DIRS_BASE, 'dir5')
+  const tempDir6 = path.join(TEST_DIRS_BASE, 'dir6')
+  const tempDir7 = path.join(TEST_DIRS_BASE, 'dir7')
+  const tempDir8 = path.join(TEST_DIRS_BASE, 'dir8')
+  const tempDir9 = path.join(TEST_DIRS_BASE, 'dir9')
+  const tempDir10 = path.join(TEST_DIRS_BASE, 'dir10')
+  const tempDir11 = path.join(TEST_DIRS_BASE, 'dir11')
+  const tempDir12 = path.join(TEST_DIRS_BASE, 'dir12')
+  const tempDir13 = path.join(TEST_DIRS_BASE, 'dir13')
+  const tempDir14 = path.join(TEST_DIRS_BASE, 'dir14')
+  const tempDir15 = path.join(TEST_DIRS_BASE, 'dir15')
+  const tempDir16 = path.join(TEST_DIRS_BASE, 'dir16')
+  const tempDir17 = path.join(TEST_DIRS_BASE, 'dir17')
+  const tempDir18 = path.join(TEST_DIRS_BASE, 'dir18')
+  const tempDir19 = path.join(TEST_DIRS_BASE, 'dir19')
+  const tempDir20 = path.join(TEST_DIRS_BASE, 'dir20')
+  const tempDir21 = path.join(TEST_DIRS_BASE, 'dir21')
+  const tempDir22 = path.join(TEST_DIRS_BASE, 'dir22')
+  const tempDir23 = path.join(TEST_DIRS_BASE, 'dir23')
+  const tempDir24 = path.join(TEST_DIRS_BASE, 'dir24')
+  const tempDir25 = path.join(TEST_DIRS_BASE, 'dir25')
+  const tempDir26 = path.join(TEST_DIRS_BASE, 'dir26')
+  const disposableDirs = [
+    srcDir, tempDir1, tempDir2, tempDir3, tempDir4, tempDir5, tempDir6, tempDir7,
+    tempDir8, tempDir9, tempDir10, tempDir11, tempDir12, tempDir13, tempDir14,
+    tempDir15, tempDir16, tempDir17, tempDir18, tempDir19, tempDir20, tempDir21,
+    tempDir22, tempDir23, tempDir24, tempDir25, tempDir26
+  ]
 
   let currentTracker
   let noLoggingTracker
@@ -159,15 +194,19 @@ describe('DownloadTracker module', function() {
   describe('create() correct use', function() {
 
     function runTrackerInspections() {
+      const methods = [
+        'add', 'audit', 'auditClosure', 'checkLockfile', 'contains',
+        'createLockfile', 'entries', 'exportBundle', 'exportPackuments',
+        'getAll', 'getData', 'getPackument', 'importBundle', 'list', 'merge',
+        'prune', 'readTarball', 'remove', 'serialize', 'stats'
+      ]
       it(
-        'provided object should have these methods:' +
-        ' add, audit, contains, getData, serialize',
+        'provided object should have these methods: ' + methods.join(', '),
         function() {
-          expect(currentTracker.add).to.be.a('function')
-          expect(currentTracker.audit).to.be.a('function')
-          expect(currentTracker.contains).to.be.a('function')
-          expect(currentTracker.getData).to.be.a('function')
-          expect(currentTracker.serialize).to.be.a('function')
+          for (const method of methods)
+            expect(currentTracker[method], method).to.be.a('function')
+          // ... and nothing else but the path
+          expect(currentTracker).to.have.all.keys(methods.concat('path'))
         }
       )
 
@@ -346,11 +385,12 @@ describe('DownloadTracker module', function() {
     essentials[type] = fields
   }
 
-  // Return a copy of the given data stripped down to the bare minimums for the given type
+  // Return a copy of the given data stripped down to the bare minimums for the given type,
+  // as in a record reconstructed from the filename
   function onlyEssentials(type, data) {
     assert(type in essentials, `onlyEssentials: bad type '${type}'`)
     assert(data && typeof data === 'object', `onlyEssentials: bad data`)
-    const result = { type: type }
+    const result = { type: type, reconstructed: true }
     for (const prop in data) {
       if (essentials[type].has(prop))
         result[prop] = data[prop]
@@ -358,6 +398,20 @@ describe('DownloadTracker module', function() {
     return result
   }
 
+  // add() stamps each record with the time it was added; check that it's
+  // in ISO 8601 form, and return the rest for comparison. The data of a tag
+  // has the stamp of the tag too.
+  function unstamped(data) {
+    if (!data) return data
+    const result = Object.assign({}, data)
+    for (const field of [ 'addedAt', 'tagAddedAt' ]) {
+      if (!(field in data)) continue
+      expect(new Date(data[field]).toISOString()).to.equal(data[field])
+      delete result[field]
+    }
+    return result
+  }
+
   function createOtherTarballs(startAt, fileList, srcPath) {
     function iterateFiles(i) {
       if (i >= fileList.length) return Promise.resolve(null)
@@ -396,7 +450,12 @@ describe('DownloadTracker module', function() {
       )
       .then(() => createOtherTarballs(1, filenames, tarballPath))
                         // the first (0) is the source we copy from
-      .then(() => done())
+      .then(() => integrity.calculate(tarballPath))
+      .then(sri => {
+        // All the mock tarballs have the same content
+        for (const type in goodData) goodData[type].integrity = sri
+        done()
+      })
       .catch(err => done(err))
     })
 
@@ -513,7 +572,7 @@ describe('DownloadTracker module', function() {
             if (j >= props.length) return Promise.resolve(true)
             const prop = props[j]
             // Props that are not required, so won't cause error when missing
-            if (prop === 'extra' || prop === 'refs')
+            if (prop === 'extra' || prop === 'refs' || prop === 'integrity')
               return iteratePropsAsMissing(j+1)
             const modData = Object.assign({}, refData)
             delete modData[prop]
@@ -626,6 +685,30 @@ describe('DownloadTracker module', function() {
         iterateTypes(0).catch(err => done(err))
       })
 
+      it('should reject with EINTEGRITY when given integrity does not match the file', function(done) {
+        const badData = Object.assign({}, goodData.url, {
+          integrity: 'sha512-' + Buffer.alloc(64).toString('base64')
+        })
+        currentTracker.add('url', badData)
+        .then(() => done(didNotRejectError))
+        .catch(err => {
+          expect(err.code).to.equal('EINTEGRITY')
+          done()
+        })
+        .catch(err => done(err))
+      })
+
+      it('should reject when given integrity is not a usable SRI string', function(done) {
+        const badData = Object.assign({}, goodData.url, { integrity: 'md5-NOPE' })
+        currentTracker.add('url', badData)
+        .then(() => done(didNotRejectError))
+        .catch(err => {
+          expect(err).to.be.an.instanceOf(SyntaxError)
+          done()
+        })
+        .catch(err => done(err))
+      })
+
       it('should leave existing semver entry undisturbed when tag data added for same entry', function(done) {
         const newTagData = Object.assign({}, goodData.semver)
         const name = newTagData.name
@@ -634,11 +717,11 @@ describe('DownloadTracker module', function() {
         newTagData.extra = 'this must not get added'
         currentTracker.add('tag', newTagData).then(() => {
           const expectedData = Object.assign({ type: 'semver' }, goodData.semver)
-          expect(currentTracker.getData('semver', name, version)).to.deep.equal(expectedData)
+          expect(unstamped(currentTracker.getData('semver', name, version))).to.deep.equal(expectedData)
           newTagData.type = 'tag'
-          expect(currentTracker.getData('tag', name, newTagData.spec)).to.not.deep.equal(newTagData)
+          expect(unstamped(currentTracker.getData('tag', name, newTagData.spec))).to.not.deep.equal(newTagData)
           newTagData.extra = goodData.semver.extra
-          expect(currentTracker.getData('tag', name, newTagData.spec)).to.deep.equal(newTagData)
+          expect(unstamped(currentTracker.getData('tag', name, newTagData.spec))).to.deep.equal(newTagData)
           done()
         })
         .catch(err => done(err))
@@ -760,13 +843,13 @@ describe('DownloadTracker module', function() {
               spec = currData.spec;
               break
           }
-          expect(currentTracker.getData(type, name, spec)).to.deep.equal(currData)
+          expect(unstamped(currentTracker.getData(type, name, spec))).to.deep.equal(currData)
         }
       })
 
       it('should return data of the highest-numbered version passed to add() so far when tag spec "" is given',
         function() {
-          const resultData = currentTracker.getData('tag', testName, '')
+          const resultData = unstamped(currentTracker.getData('tag', testName, ''))
           const refData = haveJSON ?
             Object.assign({ type: 'semver' }, goodData.semver) :
             onlyEssentials('semver', goodData.semver)
@@ -780,7 +863,7 @@ describe('DownloadTracker module', function() {
 
       it('should return data of highest-numbered version passed to add() so far when tag spec "latest" is given',
         function() {
-          const resultData = currentTracker.getData('tag', testName, 'latest')
+          const resultData = unstamped(currentTracker.getData('tag', testName, 'latest'))
           const refData = haveJSON ?
             Object.assign({ type: 'semver' }, goodData.semver) :
             onlyEssentials('semver', goodData.semver)
@@ -799,7 +882,7 @@ describe('DownloadTracker module', function() {
             Object.assign({ type: 'semver' }, goodData.semver) :
             onlyEssentials('semver', goodData.semver)
           for (let i = 0; i < ranges.length; ++i) {
-            expect(currentTracker.getData('semver', testName, ranges[i]))
+            expect(unstamped(currentTracker.getData('semver', testName, ranges[i])))
               .to.deep.equal(refData)
           }
         }
@@ -810,7 +893,7 @@ describe('DownloadTracker module', function() {
           const notRanges = ut.dataKeys.semver.notRanges
           const refData = Object.assign({ type: 'semver' }, goodData.semver)
           for (let i = 0; i < notRanges.length; ++i) {
-            expect(currentTracker.getData('semver', testName, notRanges[i]))
+            expect(unstamped(currentTracker.getData('semver', testName, notRanges[i])))
               .to.not.deep.equal(refData)
           }
         }
@@ -818,25 +901,26 @@ describe('DownloadTracker module', function() {
 
       if (haveJSON) {
         const gitRepo = goodData.git.repo
-        const refData = Object.assign({ type: 'git' }, goodData.git)
+        // Deferred: goodData gets its integrity values in a before() hook
+        const gitRefData = () => Object.assign({ type: 'git' }, goodData.git)
         it('should return data of the queried git repo if no spec given, when record contains ref "master" or "main"',
           function() {
-            const resultData = currentTracker.getData('git', gitRepo, '')
-            expect(resultData).to.deep.equal(refData)
+            const resultData = unstamped(currentTracker.getData('git', gitRepo, ''))
+            expect(resultData).to.deep.equal(gitRefData())
           }
         )
         it('should return data of a git repo queried by spec "*", when record contains ref "master" or "main"',
           function() {
-            const resultData = currentTracker.getData('git', gitRepo, '*')
-            expect(resultData).to.deep.equal(refData)
+            const resultData = unstamped(currentTracker.getData('git', gitRepo, '*'))
+            expect(resultData).to.deep.equal(gitRefData())
           }
         )
         it('should return data matching previously added record when queried by correct git tag',
           function() {
             const refs = goodData.git.refs
             for (let i = 0; i < refs.length; ++i) {
-              const resultData = currentTracker.getData('git', gitRepo, refs[i])
-              const extendedRefData = Object.assign({ spec: refs[i] }, refData)
+              const resultData = unstamped(currentTracker.getData('git', gitRepo, refs[i]))
+              const extendedRefData = Object.assign({ spec: refs[i] }, gitRefData())
               expect(resultData).to.deep.equal(extendedRefData)
             }
           }
@@ -854,8 +938,8 @@ describe('DownloadTracker module', function() {
             // OK, 1st verify that programmatically:
             assert(goodData.git.refs[1] == 'v6.6.6', 'OH NO, the git test data was changed...')
             const rangeSpec = 'semver:^6.3'
-            const resultData = currentTracker.getData('git', gitRepo, rangeSpec)
-            const extendedRefData = Object.assign({ spec: rangeSpec }, refData)
+            const resultData = unstamped(currentTracker.getData('git', gitRepo, rangeSpec))
+            const extendedRefData = Object.assign({ spec: rangeSpec }, gitRefData())
             expect(resultData).to.deep.equal(extendedRefData)
           }
         )
@@ -885,8 +969,11 @@ describe('DownloadTracker module', function() {
             mockOneDownload(refData.filename, currentTracker.path)
             .then(() => currentTracker.add('git', refData))
             .then(() => {
-              const extendedRefData = Object.assign({type:'git'}, refData)
-              const resultData = currentTracker.getData('git', refData.repo, '')
+              // No integrity was given, so add() must have calculated it
+              const extendedRefData = Object.assign(
+                { type: 'git', integrity: goodData.git.integrity }, refData
+              )
+              const resultData = unstamped(currentTracker.getData('git', refData.repo, ''))
               expect(resultData).to.deep.equal(extendedRefData)
               done()
             })
@@ -1072,6 +1159,52 @@ describe('DownloadTracker module', function() {
           .catch(err => done(err))
         })
 
+        it('should report EINTEGRITY for a tarball whose content has changed', function(done) {
+          const filePath = path.resolve(tempDir1, ut.tarballNames.url)
+          let origContent
+          readFileAsync(filePath).then(content => {
+            origContent = content
+            // Same size, different bytes
+            const corrupted = Buffer.from(content)
+            corrupted[corrupted.length - 1] ^= 0xFF
+            return writeFileAsync(filePath, corrupted)
+          })
+          .then(() => currentTracker.audit())
+          .then(data => {
+            expect(data).to.be.an('array').that.has.length(1)
+            expect(data[0].data.type).to.equal('url')
+            expect(data[0].error.code).to.equal('EINTEGRITY')
+            expect(data[0].error.path).to.equal(filePath)
+            return writeFileAsync(filePath, origContent)
+          })
+          .then(() => currentTracker.audit())
+          .then(data => {
+            expect(data).to.be.an('array').that.has.length(0)
+            done()
+          })
+          .catch(err => done(err))
+        })
+
+        it('should report a tarball that is in the directory but not tracked', function(done) {
+          const strayName = npf.makeTarballName({
+            type: 'semver', name: 'untracked-pkg', version: '3.2.1'
+          })
+          const strayPath = path.resolve(tempDir1, strayName)
+          mockOneDownload(strayName, tempDir1)
+          .then(() => currentTracker.audit())
+          .then(data => {
+            expect(data).to.be.an('array').that.has.length(1)
+            expect(data[0].error.code).to.equal('EUNTRACKED')
+            expect(data[0].error.path).to.equal(strayPath)
+            expect(data[0].data.filename).to.equal(strayName)
+            expect(data[0].data.parsed).to.deep.equal(npf.parse(strayName))
+            expect(data[0].data.parsed.packageName).to.equal('untracked-pkg')
+            return unlinkAsync(strayPath)
+          })
+          .then(() => done())
+          .catch(err => done(err))
+        })
+
         let affected = 0
 
         function zeroFileAndTestAudit(filePath) {
@@ -1175,6 +1308,2279 @@ describe('DownloadTracker module', function() {
       })
     })
 
+    describe('audit() with deep inspection', function() {
+      const inspectData = {
+        good: {
+          name: 'inspected', version: '1.2.3', filename: 'inspected-1.2.3.tar.gz',
+          content: { name: 'inspected', version: '1.2.3' }
+        },
+        wrongVersion: {
+          name: 'inspected', version: '1.2.2', filename: 'inspected-1.2.2.tar.gz',
+          content: { name: 'inspected', version: '1.2.4' }
+        },
+        wrongName: {
+          name: 'inspected', version: '0.0.1', filename: 'inspected-0.0.1.tar.gz',
+          content: { name: 'somebody-else', version: '0.0.1' }
+        }
+      }
+      const notPackageUrlData = {
+        spec: 'https://example.com/not/a/package.tgz',
+        filename: 'example.com%2Fnot%2Fa%2Fpackage.tgz'
+      }
+
+      before('create a tracker instance with package tarballs', function(done) {
+        const keys = Object.keys(inspectData)
+        function iterateTarballs(i) {
+          if (i >= keys.length) return Promise.resolve(null)
+          const item = inspectData[keys[i]]
+          return ut.makePackageTarball(path.join(tempDir3, item.filename), item.content)
+          .then(() => currentTracker.add('semver', {
+            name: item.name, version: item.version, filename: item.filename
+          }))
+          .then(() => iterateTarballs(i+1))
+        }
+
+        mod.create(tempDir3).then(tracker => {
+          currentTracker = tracker
+          return iterateTarballs(0)
+        })
+        .then(() => copyFileAsync(
+          path.join(srcDir, filenames[0]),
+          path.join(tempDir3, notPackageUrlData.filename)
+        ))
+        .then(() => currentTracker.add('url', notPackageUrlData))
+        .then(() => done())
+        .catch(err => done(err))
+      })
+
+      it('should reject when given a non-object for options', function(done) {
+        currentTracker.audit('deep')
+        .then(() => done(didNotRejectError))
+        .catch(err => {
+          expect(err).to.be.an.instanceOf(TypeError)
+          done()
+        })
+        .catch(err => done(err))
+      })
+
+      it('should find no problems when deep inspection is not requested', function(done) {
+        currentTracker.audit().then(results => {
+          expect(results).to.be.an('array').that.has.length(0)
+          done()
+        })
+        .catch(err => done(err))
+      })
+
+      it('should report mislabeled and non-package tarballs when deep option is set', function(done) {
+        currentTracker.audit({ deep: true }).then(results => {
+          expect(results).to.be.an('array').that.has.length(3)
+          const byCode = {}
+          for (let i = 0; i < results.length; ++i)
+            byCode[results[i].error.code] = results[i].data
+          expect(byCode).to.have.all.keys([ 'EPKGVERSION', 'EPKGNAME', 'ENOPKGJSON' ])
+          expect(byCode.EPKGVERSION.version).to.equal(inspectData.wrongVersion.version)
+          expect(byCode.EPKGNAME.version).to.equal(inspectData.wrongName.version)
+          expect(byCode.ENOPKGJSON.type).to.equal('url')
+          done()
+        })
+        .catch(err => done(err))
+      })
+
+      it('should require package/package.json only of the tarball of a semver record', function(done) {
+        const pkgData = { name: 'other-layout', version: '1.0.0' }
+        const semverFilename = 'other-layout-1.0.0.tgz'
+        const urlData = {
+          spec: 'https://example.com/other-layout.tgz',
+          filename: 'example.com%2Fother-layout.tgz'
+        }
+        ut.makePackageTarball(path.join(tempDir3, semverFilename), pkgData, 'foo')
+        .then(() => ut.makePackageTarball(
+          path.join(tempDir3, urlData.filename), pkgData, 'foo'
+        ))
+        .then(() => currentTracker.add('semver', {
+          name: pkgData.name, version: pkgData.version, filename: semverFilename
+        }))
+        .then(() => currentTracker.add('url', urlData))
+        .then(() => currentTracker.audit({ deep: true }))
+        .then(results => {
+          const found = results.filter(item => item.data.filename.includes('other-layout'))
+          expect(found).to.have.length(1)
+          expect(found[0].data.type).to.equal('semver')
+          expect(found[0].error.code).to.equal('ENOPKGJSON')
+          done()
+        })
+        .catch(err => done(err))
+      })
+    })
+
+    describe('remove()', function() {
+      const fileExists = filePath => promisify(fs.access)(filePath)
+        .then(() => true, () => false)
+
+      before('create a tracker instance with records of every type', function(done) {
+        mod.create(tempDir4).then(tracker => {
+          currentTracker = tracker
+          return mockAllDownloads(0, filenames, tempDir4)
+        })
+        .then(() => currentTracker.add('semver', goodData.semver))
+        .then(() => currentTracker.add('tag', goodData.tag))
+        .then(() => currentTracker.add('git', goodData.git))
+        .then(() => currentTracker.add('url', goodData.url))
+        // A second record that uses the same file as the url record
+        .then(() => currentTracker.add('semver', {
+          name: 'same-file', version: '1.0.0', filename: goodData.url.filename
+        }))
+        .then(() => currentTracker.serialize())
+        .then(() => done())
+        .catch(err => done(err))
+      })
+
+      it('should reject when not given enough arguments', function(done) {
+        currentTracker.remove('semver', testName)
+        .then(() => done(didNotRejectError))
+        .catch(err => {
+          expect(err).to.be.an.instanceOf(SyntaxError)
+          done()
+        })
+        .catch(err => done(err))
+      })
+
+      it('should reject when given a non-object for options', function(done) {
+        currentTracker.remove('semver', testName, testVer, true)
+        .then(() => done(didNotRejectError))
+        .catch(err => {
+          expect(err).to.be.an.instanceOf(TypeError)
+          done()
+        })
+        .catch(err => done(err))
+      })
+
+      it('should resolve to false and change nothing for an unknown record', function(done) {
+        currentTracker.remove('semver', testName, '9.9.9').then(removed => {
+          expect(removed).to.be.false
+          // A range is not an exact key
+          return currentTracker.remove('semver', testName, '^1')
+        })
+        .then(removed => {
+          expect(removed).to.be.false
+          return currentTracker.serialize()
+        })
+        .then(written => {
+          expect(written).to.be.false
+          done()
+        })
+        .catch(err => done(err))
+      })
+
+      it('should remove a tag record but not the version it refers to', function(done) {
+        const tagData = goodData.tag
+        currentTracker.remove('tag', tagData.name, tagData.spec).then(removed => {
+          expect(removed).to.be.true
+          expect(currentTracker.contains('tag', tagData.name, tagData.spec)).to.be.false
+          expect(currentTracker.contains('semver', tagData.name, tagData.version)).to.be.true
+          return currentTracker.add('tag', tagData)
+        })
+        .then(() => done())
+        .catch(err => done(err))
+      })
+
+      it('should drop tag records that refer to a removed version', function(done) {
+        const tagData = goodData.tag
+        currentTracker.remove('semver', tagData.name, tagData.version).then(removed => {
+          expect(removed).to.be.true
+          expect(currentTracker.contains('semver', tagData.name, tagData.version)).to.be.false
+          expect(currentTracker.contains('tag', tagData.name, tagData.spec)).to.be.false
+          // The file was not to be deleted
+          return fileExists(path.join(tempDir4, tagData.filename))
+        })
+        .then(exists => {
+          expect(exists).to.be.true
+          return currentTracker.audit()
+        })
+        .then(results => {
+          // The file left behind is no longer tracked
+          expect(results).to.be.an('array').that.has.length(1)
+          expect(results[0].error.code).to.equal('EUNTRACKED')
+          expect(results[0].data.filename).to.equal(goodData.tag.filename)
+          done()
+        })
+        .catch(err => done(err))
+      })
+
+      it('should remove only the alias when given a git ref', function(done) {
+        const gitData = goodData.git
+        currentTracker.remove('git', gitData.repo, gitData.refs[1]).then(removed => {
+          expect(removed).to.be.true
+          expect(currentTracker.contains('git', gitData.repo, gitData.refs[1])).to.be.false
+          expect(currentTracker.contains('git', gitData.repo, gitData.refs[0])).to.be.true
+          expect(currentTracker.contains('git', gitData.repo, gitData.commit)).to.be.true
+          done()
+        })
+        .catch(err => done(err))
+      })
+
+      it('should drop the ref aliases of a removed git commit, and delete the file if asked', function(done) {
+        const gitData = goodData.git
+        const opts = { deleteFile: true }
+        currentTracker.remove('git', gitData.repo, gitData.commit, opts).then(removed => {
+          expect(removed).to.be.true
+          expect(currentTracker.contains('git', gitData.repo, gitData.commit)).to.be.false
+          expect(currentTracker.contains('git', gitData.repo, gitData.refs[0])).to.be.false
+          return fileExists(path.join(tempDir4, gitData.filename))
+        })
+        .then(exists => {
+          expect(exists).to.be.false
+          done()
+        })
+        .catch(err => done(err))
+      })
+
+      it('should not delete a file that another record still uses', function(done) {
+        const urlData = goodData.url
+        const filePath = path.join(tempDir4, urlData.filename)
+        currentTracker.remove('url', null, urlData.spec, { deleteFile: true })
+        .then(removed => {
+          expect(removed).to.be.true
+          expect(currentTracker.contains('url', null, urlData.spec)).to.be.false
+          return fileExists(filePath)
+        })
+        .then(exists => {
+          expect(exists).to.be.true
+          return currentTracker.remove('semver', 'same-file', '1.0.0', { deleteFile: true })
+        })
+        .then(() => fileExists(filePath))
+        .then(exists => {
+          expect(exists).to.be.false
+          done()
+        })
+        .catch(err => done(err))
+      })
+
+      it('should cause serialize() to persist the removals', function(done) {
+        currentTracker.serialize().then(written => {
+          expect(written).to.be.true
+          return mod.create(tempDir4)
+        })
+        .then(tracker => {
+          expect(tracker.contains('semver', testName, testVer)).to.be.true
+          expect(tracker.contains('semver', goodData.tag.name, goodData.tag.version)).to.be.false
+          expect(tracker.contains('git', goodData.git.repo, goodData.git.commit)).to.be.false
+          expect(tracker.contains('url', null, goodData.url.spec)).to.be.false
+          done()
+        })
+        .catch(err => done(err))
+      })
+    })
+
+    describe('serialize() safety', function() {
+      const mapPath = path.join(tempDir6, MAPFILE_NAME)
+      const backupPath = mapPath + '.bak'
+
+      before('create a tracker instance and write its map file', function(done) {
+        mod.create(tempDir6).then(tracker => {
+          currentTracker = tracker
+          return mockAllDownloads(0, filenames, tempDir6)
+        })
+        .then(() => currentTracker.add('semver', goodData.semver))
+        .then(() => currentTracker.serialize())
+        .then(() => done())
+        .catch(err => done(err))
+      })
+
+      it('should leave no temporary file, and no backup when there was no map file before', function(done) {
+        promisify(fs.readdir)(tempDir6).then(files => {
+          expect(files).to.include(MAPFILE_NAME)
+          expect(files).to.not.include(MAPFILE_NAME + '.bak')
+          expect(files.filter(f => f.endsWith('.tmp'))).to.be.empty
+          done()
+        })
+        .catch(err => done(err))
+      })
+
+      it('should keep the previous map file as a backup when writing a new one', function(done) {
+        let prevContent
+        readFileAsync(mapPath, 'utf8').then(content => {
+          prevContent = content
+          return currentTracker.add('url', goodData.url)
+        })
+        .then(() => currentTracker.serialize())
+        .then(written => {
+          expect(written).to.be.true
+          return readFileAsync(backupPath, 'utf8')
+        })
+        .then(content => {
+          expect(content).to.equal(prevContent)
+          return readFileAsync(mapPath, 'utf8')
+        })
+        .then(content => {
+          expect(content).to.not.equal(prevContent)
+          expect(JSON.parse(content).url).to.be.an('object')
+          done()
+        })
+        .catch(err => done(err))
+      })
+
+      it('should fall back to the backup when the map file cannot be parsed', function(done) {
+        writeFileAsync(mapPath, '{ "semver": { "trunc')
+        .then(() => mod.create(tempDir6))
+        .then(tracker => {
+          // The backup predates the url record
+          expect(tracker.contains('semver', testName, testVer)).to.be.true
+          expect(tracker.contains('url', null, goodData.url.spec)).to.be.false
+          return tracker.serialize()
+        })
+        .then(written => {
+          // The damaged file must get replaced, without overwriting the backup
+          expect(written).to.be.true
+          return Promise.all([
+            readFileAsync(mapPath, 'utf8'), readFileAsync(backupPath, 'utf8')
+          ])
+        })
+        .then(contents => {
+          expect(JSON.parse(contents[0]).semver).to.have.property(testName)
+          expect(JSON.parse(contents[1]).semver).to.have.property(testName)
+          done()
+        })
+        .catch(err => done(err))
+      })
+
+      it('should reject when neither the map file nor its backup can be parsed', function(done) {
+        writeFileAsync(mapPath, '{ "semver": { "trunc')
+        .then(() => writeFileAsync(backupPath, 'not JSON either'))
+        .then(() => mod.create(tempDir6))
+        .then(() => done(didNotRejectError))
+        .catch(err => {
+          expect(err).to.be.an.instanceOf(SyntaxError)
+          done()
+        })
+        .catch(err => done(err))
+      })
+    })
+
+    describe('serialize() with other processes using the same directory', function() {
+      const lockPath = path.join(tempDir7, MAPFILE_NAME + '.lock')
+      let trackerA, trackerB
+
+      before('create two tracker instances on the same directory', function(done) {
+        mockAllDownloads(0, filenames, tempDir7)
+        .then(() => mod.create(tempDir7))
+        .then(tracker => {
+          trackerA = tracker
+          return tracker.add('semver', goodData.semver)
+        })
+        .then(() => trackerA.serialize())
+        .then(() => Promise.all([ mod.create(tempDir7), mod.create(tempDir7) ]))
+        .then(trackers => {
+          trackerA = trackers[0]
+          trackerB = trackers[1]
+          done()
+        })
+        .catch(err => done(err))
+      })
+
+      it('should reject when given an invalid lockTimeout option', function(done) {
+        mod.create(tempDir7, { lockTimeout: 'soon' })
+        .then(() => done(didNotRejectError))
+        .catch(err => {
+          expect(err).to.be.an.instanceOf(TypeError)
+          return mod.create(tempDir7, { lockTimeout: -1 })
+        })
+        .then(() => done(didNotRejectError))
+        .catch(err => {
+          expect(err).to.be.an.instanceOf(RangeError)
+          done()
+        })
+        .catch(err => done(err))
+      })
+
+      it('should merge the additions of each instance into the map file', function(done) {
+        trackerA.add('git', goodData.git)
+        .then(() => trackerB.add('url', goodData.url))
+        .then(() => trackerB.remove('semver', testName, testVer))
+        .then(() => trackerA.serialize())
+        .then(() => trackerB.serialize())
+        .then(written => {
+          expect(written).to.be.true
+          // trackerB now knows about what trackerA added
+          expect(trackerB.contains('git', goodData.git.repo, goodData.git.commit)).to.be.true
+          return mod.create(tempDir7)
+        })
+        .then(tracker => {
+          expect(tracker.contains('git', goodData.git.repo, goodData.git.commit)).to.be.true
+          expect(tracker.contains('url', null, goodData.url.spec)).to.be.true
+          expect(tracker.contains('semver', testName, testVer)).to.be.false
+          done()
+        })
+        .catch(err => done(err))
+      })
+
+      it('should reject with EMAPCONFLICT when instances change the same record differently', function(done) {
+        const conflictData = {
+          name: 'conflicted', version: '1.0.0', filename: goodData.semver.filename
+        }
+        const otherData = Object.assign({}, conflictData, { filename: goodData.tag.filename })
+        let mapContent
+        trackerA.add('semver', conflictData)
+        .then(() => trackerB.add('semver', otherData))
+        .then(() => trackerA.serialize())
+        .then(() => readFileAsync(path.join(tempDir7, MAPFILE_NAME), 'utf8'))
+        .then(content => {
+          mapContent = content
+          return trackerB.serialize()
+        })
+        .then(() => done(didNotRejectError))
+        .catch(err => {
+          expect(err.code).to.equal('EMAPCONFLICT')
+          expect(err.conflicts).to.deep.equal([
+            { type: 'semver', name: 'conflicted', spec: '1.0.0' }
+          ])
+          // Nothing written, and the lock released
+          return readFileAsync(path.join(tempDir7, MAPFILE_NAME), 'utf8')
+          .then(content => {
+            expect(content).to.equal(mapContent)
+            return promisify(fs.access)(lockPath)
+            .then(() => done(new Error('lock file was left behind')))
+            .catch(err => {
+              expect(err.code).to.equal('ENOENT')
+              done()
+            })
+          })
+        })
+        .catch(err => done(err))
+      })
+
+      it('should reject with ELOCKED when another process holds the lock too long', function(done) {
+        let tracker
+        mod.create(tempDir7, { lockTimeout: 200 })
+        .then(result => {
+          tracker = result
+          return tracker.remove('url', null, goodData.url.spec)
+        })
+        .then(() => writeFileAsync(lockPath, '{}'))
+        .then(() => tracker.serialize())
+        .then(() => done(didNotRejectError))
+        .catch(err => {
+          expect(err.code).to.equal('ELOCKED')
+          return unlinkAsync(lockPath)
+        })
+        .then(() => tracker.serialize())
+        .then(written => {
+          expect(written).to.be.true
+          done()
+        })
+        .catch(err => done(err))
+      })
+    })
+
+    describe('create() with adoptUnmapped option', function() {
+      before('create a map file, then add unmapped tarballs', function(done) {
+        mockOneDownload(goodData.semver.filename, tempDir8)
+        .then(() => mod.create(tempDir8))
+        .then(tracker => tracker.add('semver', goodData.semver)
+          .then(() => tracker.serialize())
+        )
+        .then(() => mockAllDownloads(0, filenames, tempDir8))
+        .then(() => done())
+        .catch(err => done(err))
+      })
+
+      it('create() should reject for a non-boolean adoptUnmapped value', function(done) {
+        mod.create(tempDir8, { adoptUnmapped: 'yes' })
+        .then(() => { throw didNotRejectError })
+        .catch(err => {
+          expect(err).to.be.an.instanceof(TypeError)
+          done()
+        })
+        .catch(err => done(err))
+      })
+
+      it('should not adopt unmapped tarballs when the option is not set', function(done) {
+        mod.create(tempDir8).then(tracker => {
+          expect(tracker.contains('git', goodData.git.repo, goodData.git.commit)).to.be.false
+          return tracker.serialize()
+        })
+        .then(written => {
+          expect(written).to.be.false
+          done()
+        })
+        .catch(err => done(err))
+      })
+
+      it('should adopt unmapped tarballs with minimal records flagged as reconstructed', function(done) {
+        mod.create(tempDir8, { adoptUnmapped: true }).then(tracker => {
+          currentTracker = tracker
+          const expectedSemver = Object.assign({ type: 'semver' }, goodData.semver)
+          expect(unstamped(tracker.getData('semver', testName, testVer))).to.deep.equal(expectedSemver)
+
+          const tagData = goodData.tag
+          expect(unstamped(tracker.getData('semver', tagData.name, tagData.version))).to.deep.equal({
+            type: 'semver', name: tagData.name, version: tagData.version,
+            filename: tagData.filename, reconstructed: true
+          })
+          expect(unstamped(tracker.getData('git', goodData.git.repo, goodData.git.commit))).to.deep.equal({
+            type: 'git', repo: goodData.git.repo, commit: goodData.git.commit,
+            filename: goodData.git.filename, reconstructed: true
+          })
+          expect(unstamped(tracker.getData('url', null, goodData.url.spec))).to.deep.equal({
+            type: 'url', spec: goodData.url.spec,
+            filename: goodData.url.filename, reconstructed: true
+          })
+          return tracker.audit()
+        })
+        .then(results => {
+          expect(results).to.be.an('array').that.has.length(0)
+          return currentTracker.serialize()
+        })
+        .then(written => {
+          expect(written).to.be.true
+          done()
+        })
+        .catch(err => done(err))
+      })
+    })
+
+    describe('create() with readPackages option, when there is no JSON file', function() {
+      const pkgData = {
+        name: 'readable', version: '3.1.4', dependencies: { 'other': '^2.7.1' }
+      }
+      const filename = 'readable-3.1.4.tgz'
+
+      before('put a package tarball in an empty directory', function(done) {
+        ut.makePackageTarball(path.join(tempDir9, filename), pkgData)
+        .then(() => done())
+        .catch(err => done(err))
+      })
+
+      it('create() should reject for a non-boolean readPackages value', function(done) {
+        mod.create(tempDir9, { readPackages: 1 })
+        .then(() => { throw didNotRejectError })
+        .catch(err => {
+          expect(err).to.be.an.instanceof(TypeError)
+          done()
+        })
+        .catch(err => done(err))
+      })
+
+      it('should reconstruct records with data from the package.json', function(done) {
+        mod.create(tempDir9, { readPackages: true }).then(tracker => {
+          const data = tracker.getData('semver', pkgData.name, pkgData.version)
+          expect(data.filename).to.equal(filename)
+          expect(data.dependencies).to.deep.equal(pkgData.dependencies)
+          expect(data.integrity).to.be.a('string')
+          expect(data.reconstructed).to.be.true
+          return tracker.audit({ deep: true })
+        })
+        .then(results => {
+          expect(results).to.be.an('array').that.has.length(0)
+          done()
+        })
+        .catch(err => done(err))
+      })
+    })
+
+    describe('exportPackuments()', function() {
+      const outDir = path.join(TEST_DIRS_BASE, 'packuments')
+      const baseUrl = 'http://mirror.example.lan/npm'
+      const scopedData = {
+        name: '@scope/exported', version: '0.2.0', spec: 'beta',
+        filename: npf.makeTarballName({
+          type: 'semver', name: '@scope/exported', version: '0.2.0'
+        })
+      }
+
+      before('create a tracker instance with a scoped package', function(done) {
+        ut.makePackageTarball(path.join(tempDir9, scopedData.filename), {
+          name: scopedData.name, version: scopedData.version
+        })
+        .then(() => mod.create(tempDir9, { readPackages: true }))
+        .then(tracker => {
+          currentTracker = tracker
+          return tracker.add('tag', scopedData)
+        })
+        .then(() => done())
+        .catch(err => done(err))
+      })
+
+      it('should reject when not given a base URL', function(done) {
+        currentTracker.exportPackuments(outDir)
+        .then(() => done(didNotRejectError))
+        .catch(err => {
+          expect(err).to.be.an.instanceOf(SyntaxError)
+          return currentTracker.exportPackuments(outDir, { baseUrl: 42 })
+        })
+        .then(() => done(didNotRejectError))
+        .catch(err => {
+          expect(err).to.be.an.instanceOf(TypeError)
+          done()
+        })
+        .catch(err => done(err))
+      })
+
+      it('should write a packument for each package, and copy tarballs if asked', function(done) {
+        currentTracker.exportPackuments(outDir, { baseUrl: baseUrl, copyTarballs: true })
+        .then(names => {
+          expect(names.sort()).to.deep.equal([ '@scope/exported', 'readable' ])
+          return readFileAsync(path.join(outDir, '@scope', 'exported', 'index.json'), 'utf8')
+        })
+        .then(str => {
+          const doc = JSON.parse(str)
+          expect(doc).to.deep.equal(currentTracker.getPackument(scopedData.name, baseUrl))
+          expect(doc['dist-tags']).to.deep.equal({ beta: '0.2.0', latest: '0.2.0' })
+          const dist = doc.versions['0.2.0'].dist
+          expect(dist.tarball).to.equal(
+            `${baseUrl}/@scope/exported/-/${encodeURIComponent(scopedData.filename)}`
+          )
+          expect(dist.integrity).to.be.a('string')
+          const copyPath = path.join(outDir, '@scope', 'exported', '-', scopedData.filename)
+          return Promise.all([
+            integrity.check(copyPath, dist.integrity),
+            readFileAsync(path.join(outDir, 'readable', 'index.json'), 'utf8')
+          ])
+        })
+        .then(results => {
+          const doc = JSON.parse(results[1])
+          expect(doc.versions['3.1.4'].dependencies).to.deep.equal({ 'other': '^2.7.1' })
+          done()
+        })
+        .catch(err => done(err))
+      })
+    })
+
+    describe('prune()', function() {
+      const strayFilename = 'stray-9.9.9.tar.gz'
+      const strayPath = path.join(tempDir5, strayFilename)
+      const notTarballPath = path.join(tempDir5, 'README.txt')
+
+      before('create a tracker instance with missing and stray files', function(done) {
+        mod.create(tempDir5).then(tracker => {
+          currentTracker = tracker
+          return mockAllDownloads(0, filenames, tempDir5)
+        })
+        .then(() => currentTracker.add('semver', goodData.semver))
+        .then(() => currentTracker.add('tag', goodData.tag))
+        .then(() => currentTracker.add('git', goodData.git))
+        .then(() => currentTracker.add('url', goodData.url))
+        .then(() => currentTracker.serialize())
+        .then(() => unlinkAsync(path.join(tempDir5, goodData.tag.filename)))
+        .then(() => unlinkAsync(path.join(tempDir5, goodData.git.filename)))
+        .then(() => mockOneDownload(strayFilename, tempDir5))
+        .then(() => writeFileAsync(notTarballPath, 'Not a tarball'))
+        .then(() => done())
+        .catch(err => done(err))
+      })
+
+      function checkReport(result) {
+        expect(result).to.be.an('object').that.has.all.keys([
+          'dropped', 'unreferenced', 'deleted'
+        ])
+        expect(result.unreferenced).to.deep.equal([ strayFilename ])
+        expect(result.dropped).to.have.length(2)
+        const droppedTypes = result.dropped.map(item => item.type).sort()
+        expect(droppedTypes).to.deep.equal([ 'git', 'semver' ])
+        for (let i = 0; i < result.dropped.length; ++i) {
+          const item = result.dropped[i]
+          if (item.type === 'semver') {
+            expect(item.name).to.equal(goodData.tag.name)
+            expect(item.version).to.equal(goodData.tag.version)
+          }
+          else expect(item.commit).to.equal(goodData.git.commit)
+        }
+      }
+
+      it('should reject when given a non-object for options', function(done) {
+        currentTracker.prune(true)
+        .then(() => done(didNotRejectError))
+        .catch(err => {
+          expect(err).to.be.an.instanceOf(TypeError)
+          done()
+        })
+        .catch(err => done(err))
+      })
+
+      it('should only report when the dryRun option is set', function(done) {
+        currentTracker.prune({ dryRun: true, deleteFiles: true }).then(result => {
+          checkReport(result)
+          expect(result.deleted).to.be.empty
+          expect(currentTracker.contains('semver', goodData.tag.name, goodData.tag.version)).to.be.true
+          return currentTracker.serialize()
+        })
+        .then(written => {
+          expect(written).to.be.false
+          return readFileAsync(strayPath)
+        })
+        .then(() => done())
+        .catch(err => done(err))
+      })
+
+      it('should drop records of missing files, and leave unreferenced files by default', function(done) {
+        currentTracker.prune().then(result => {
+          checkReport(result)
+          expect(result.deleted).to.be.empty
+          expect(currentTracker.contains('semver', goodData.tag.name, goodData.tag.version)).to.be.false
+          expect(currentTracker.contains('tag', goodData.tag.name, goodData.tag.spec)).to.be.false
+          expect(currentTracker.contains('git', goodData.git.repo, goodData.git.refs[0])).to.be.false
+          expect(currentTracker.contains('semver', testName, testVer)).to.be.true
+          expect(currentTracker.contains('url', null, goodData.url.spec)).to.be.true
+          return readFileAsync(strayPath)
+        })
+        .then(() => currentTracker.audit())
+        .then(results => {
+          // Only the stray file remains as a problem
+          expect(results).to.be.an('array').that.has.length(1)
+          expect(results[0].error.code).to.equal('EUNTRACKED')
+          return currentTracker.serialize()
+        })
+        .then(written => {
+          expect(written).to.be.true
+          done()
+        })
+        .catch(err => done(err))
+      })
+
+      it('should delete unreferenced tarballs, and only those, when deleteFiles option is set', function(done) {
+        currentTracker.prune({ deleteFiles: true }).then(result => {
+          expect(result.dropped).to.be.empty
+          expect(result.unreferenced).to.deep.equal([ strayFilename ])
+          expect(result.deleted).to.deep.equal([ strayFilename ])
+          return promisify(fs.readdir)(tempDir5)
+        })
+        .then(files => {
+          expect(files).to.not.include(strayFilename)
+          expect(files).to.include(path.basename(notTarballPath))
+          expect(files).to.include(MAPFILE_NAME)
+          expect(files).to.include(goodData.semver.filename)
+          done()
+        })
+        .catch(err => done(err))
+      })
+
+      it('should keep a record of a file that is there without a tarball extension', function(done) {
+        const zipData = { spec: 'https://example.com/zipped-1.0.0.zip', filename: 'zipped-1.0.0.zip' }
+        const mapPath = path.join(tempDir5, MAPFILE_NAME)
+        // add() won't take such a file, but a map file may have it
+        writeFileAsync(path.join(tempDir5, zipData.filename), 'Zipped content')
+        .then(() => readFileAsync(mapPath, 'utf8'))
+        .then(str => {
+          const map = JSON.parse(str)
+          map.url['example.com/zipped-1.0.0.zip'] = { filename: zipData.filename }
+          return writeFileAsync(mapPath, JSON.stringify(map))
+        })
+        .then(() => mod.create(tempDir5))
+        .then(tracker => {
+          currentTracker = tracker
+          return tracker.prune({ deleteFiles: true })
+        })
+        .then(result => {
+          expect(result.dropped).to.be.empty
+          expect(result.unreferenced).to.be.empty
+          expect(currentTracker.contains('url', null, zipData.spec)).to.be.true
+          return accessAsync(path.join(tempDir5, zipData.filename))
+        })
+        .then(() => done())
+        .catch(err => done(err))
+      })
+    })
+
+    describe('checkLockfile()', function() {
+      const lockPath = path.join(tempDir10, 'package-lock.json')
+      const wrongIntegrity = 'sha512-' + Buffer.alloc(64).toString('base64')
+
+      before('create a tracker instance and a lockfile', function(done) {
+        const lock = {
+          name: 'project', version: '1.0.0', lockfileVersion: 3,
+          packages: {
+            '': { name: 'project', version: '1.0.0' },
+            ['node_modules/' + goodData.semver.name]: {
+              version: goodData.semver.version,
+              resolved: `https://registry.npmjs.org/${goodData.semver.name}/-/${goodData.semver.name}-${goodData.semver.version}.tgz`,
+              integrity: goodData.semver.integrity
+            },
+            ['node_modules/other/node_modules/' + goodData.semver.name]: {
+              version: goodData.semver.version,
+              integrity: wrongIntegrity
+            },
+            ['node_modules/' + unknownData.semver.name]: {
+              version: unknownData.semver.spec
+            },
+            'node_modules/other': { version: '1.0.0', resolved: ut.dataKeys.url },
+            'node_modules/from-git': {
+              version: '2.3.4',
+              resolved: `git+ssh://git@${goodData.git.repo}.git#${goodData.git.commit}`
+            },
+            'node_modules/linked': { resolved: 'packages/linked', link: true }
+          }
+        }
+        mockAllDownloads(0, filenames, tempDir10)
+        .then(() => mod.create(tempDir10))
+        .then(tracker => {
+          currentTracker = tracker
+          return tracker.add('semver', goodData.semver)
+        })
+        .then(() => currentTracker.add('git', goodData.git))
+        .then(() => currentTracker.add('url', goodData.url))
+        .then(() => writeFileAsync(lockPath, JSON.stringify(lock)))
+        .then(() => done())
+        .catch(err => done(err))
+      })
+
+      it('should reject if not given a path to an existing lockfile', function(done) {
+        currentTracker.checkLockfile()
+        .then(() => done(didNotRejectError))
+        .catch(err => {
+          expect(err).to.be.an.instanceOf(SyntaxError)
+          return currentTracker.checkLockfile(path.join(tempDir10, 'npm-shrinkwrap.json'))
+        })
+        .then(() => done(didNotRejectError))
+        .catch(err => {
+          expect(err.code).to.equal('ENOENT')
+          done()
+        })
+        .catch(err => done(err))
+      })
+
+      it('should report the missing packages and integrity mismatches', function(done) {
+        currentTracker.checkLockfile(lockPath).then(result => {
+          expect(result).to.have.all.keys([
+            'checked', 'missing', 'mismatched', 'skipped'
+          ])
+          expect(result.checked).to.equal(5)
+          expect(result.missing).to.deep.equal([
+            {
+              location: 'node_modules/' + unknownData.semver.name,
+              type: 'semver', name: unknownData.semver.name,
+              spec: unknownData.semver.spec
+            }
+          ])
+          expect(result.mismatched).to.deep.equal([
+            {
+              location: 'node_modules/other/node_modules/' + goodData.semver.name,
+              type: 'semver', name: goodData.semver.name,
+              spec: goodData.semver.version,
+              integrity: wrongIntegrity,
+              recorded: goodData.semver.integrity
+            }
+          ])
+          expect(result.skipped).to.deep.equal([
+            { location: 'node_modules/linked', name: 'linked', reason: 'link' }
+          ])
+          done()
+        })
+        .catch(err => done(err))
+      })
+
+      it('should read yarn.lock and pnpm-lock.yaml files by their own formats', function(done) {
+        const semverName = goodData.semver.name
+        const semverVer = goodData.semver.version
+        const yarnText = [
+          '# yarn lockfile v1', '',
+          `${semverName}@^${semverVer}:`,
+          `  version "${semverVer}"`,
+          `  integrity ${goodData.semver.integrity}`, '',
+          `${unknownData.semver.name}@^${unknownData.semver.spec}:`,
+          `  version "${unknownData.semver.spec}"`, '',
+          `from-git@git+https://${goodData.git.repo}.git:`,
+          '  version "2.3.4"',
+          `  resolved "git+https://${goodData.git.repo}.git#${goodData.git.commit}"`
+        ].join('\n')
+        const pnpmText = [
+          "lockfileVersion: '6.0'", '',
+          'packages:', '',
+          `  /${semverName}@${semverVer}:`,
+          `    resolution: {integrity: ${wrongIntegrity}}`, '',
+          `  /${unknownData.semver.name}@${unknownData.semver.spec}:`,
+          `    resolution: {integrity: ${goodData.semver.integrity}}`
+        ].join('\n')
+        const yarnPath = path.join(tempDir10, 'yarn.lock')
+        const pnpmPath = path.join(tempDir10, 'pnpm-lock.yaml')
+        writeFileAsync(yarnPath, yarnText)
+        .then(() => writeFileAsync(pnpmPath, pnpmText))
+        .then(() => currentTracker.checkLockfile(yarnPath))
+        .then(result => {
+          expect(result.checked).to.equal(3)
+          expect(result.missing.map(entry => entry.name))
+            .to.deep.equal([ unknownData.semver.name ])
+          expect(result.mismatched).to.be.empty
+          return currentTracker.checkLockfile(pnpmPath)
+        })
+        .then(result => {
+          expect(result.checked).to.equal(2)
+          expect(result.missing.map(entry => entry.name))
+            .to.deep.equal([ unknownData.semver.name ])
+          expect(result.mismatched).to.have.lengthOf(1)
+          expect(result.mismatched[0]).to.include({
+            location: `/${semverName}@${semverVer}`,
+            integrity: wrongIntegrity,
+            recorded: goodData.semver.integrity
+          })
+          done()
+        })
+        .catch(err => done(err))
+      })
+    })
+
+
+    describe('createLockfile()', function() {
+      const projectDir = path.join(tempDir11, 'project')
+      const pkgJsonPath = path.join(projectDir, 'package.json')
+      const available = [
+        { name: 'lock-a', version: '1.0.0' },
+        {
+          name: 'lock-a', version: '1.1.0',
+          dependencies: { 'lock-b': '^2.0.0' }, license: 'MIT'
+        },
+        { name: 'lock-b', version: '1.0.0' },
+        { name: 'lock-b', version: '2.0.0' },
+        {
+          name: '@lock/c', version: '1.0.0',
+          dependencies: { 'lock-b': '^1.0.0' }
+        }
+      ]
+      const rootPkg = {
+        name: 'project', version: '0.0.1',
+        dependencies: { 'lock-a': '^1.0.0', 'old-a': 'npm:lock-a@~1.0.0' },
+        devDependencies: { '@lock/c': 'next' },
+        optionalDependencies: { 'not-there': '^1.0.0' }
+      }
+      function filenameOf(item) {
+        return npf.makeTarballName({
+          type: 'semver', name: item.name, version: item.version
+        })
+      }
+
+      before('create a tracker instance with package tarballs', function(done) {
+        function nextPackage(i) {
+          if (i >= available.length) return Promise.resolve(null)
+          const item = available[i]
+          const filename = filenameOf(item)
+          return ut.makePackageTarball(path.join(tempDir11, filename), item)
+          .then(() => currentTracker.add('semver', {
+            name: item.name, version: item.version, filename: filename
+          }))
+          .then(() => nextPackage(i+1))
+        }
+        mod.create(tempDir11).then(tracker => {
+          currentTracker = tracker
+          return nextPackage(0)
+        })
+        .then(() => currentTracker.add('tag', {
+          name: '@lock/c', version: '1.0.0', spec: 'next',
+          filename: filenameOf(available[4])
+        }))
+        .then(() => mkdirAsync(projectDir))
+        .then(() => writeFileAsync(pkgJsonPath, JSON.stringify(rootPkg)))
+        .then(() => done())
+        .catch(err => done(err))
+      })
+
+      it('should reject when given no path to a package.json', function(done) {
+        currentTracker.createLockfile()
+        .then(() => done(didNotRejectError))
+        .catch(err => {
+          expect(err).to.be.an.instanceOf(SyntaxError)
+          return currentTracker.createLockfile(path.join(tempDir11, 'package.json'))
+        })
+        .then(() => done(didNotRejectError))
+        .catch(err => {
+          expect(err.code).to.equal('ENOENT')
+          done()
+        })
+        .catch(err => done(err))
+      })
+
+      it('should pin the best matches, nesting where versions conflict', function(done) {
+        currentTracker.createLockfile(pkgJsonPath).then(lock => {
+          function expectEntry(item, extra) {
+            const record = currentTracker.getData('semver', item.name, item.version)
+            return Object.assign({
+              version: item.version,
+              resolved: `file:../${record.filename}`,
+              integrity: record.integrity
+            }, extra)
+          }
+          expect(lock).to.have.property('lockfileVersion', 3)
+          expect(lock.packages).to.deep.equal({
+            '': rootPkg,
+            'node_modules/@lock/c': expectEntry(available[4], {
+              dev: true, dependencies: available[4].dependencies
+            }),
+            'node_modules/@lock/c/node_modules/lock-b':
+              expectEntry(available[2], { dev: true }),
+            'node_modules/lock-a': expectEntry(available[1], {
+              dependencies: available[1].dependencies, license: 'MIT'
+            }),
+            'node_modules/lock-b': expectEntry(available[3]),
+            'node_modules/old-a': expectEntry(available[0], { name: 'lock-a' })
+          })
+          done()
+        })
+        .catch(err => done(err))
+      })
+
+      it('should write package-lock.json next to package.json if asked', function(done) {
+        currentTracker.createLockfile(pkgJsonPath, { write: true }).then(lock =>
+          readFileAsync(path.join(projectDir, 'package-lock.json'), 'utf8')
+          .then(str => {
+            expect(JSON.parse(str)).to.deep.equal(lock)
+            done()
+          })
+        )
+        .catch(err => done(err))
+      })
+
+      it('should reject with EUNRESOLVED if a required dependency has no match', function(done) {
+        const otherPkgPath = path.join(tempDir11, 'other.json')
+        writeFileAsync(otherPkgPath, JSON.stringify({
+          dependencies: { '@lock/c': '^1.0.0', 'lock-a': '^3.0.0' }
+        }))
+        .then(() => currentTracker.createLockfile(otherPkgPath))
+        .then(() => done(didNotRejectError))
+        .catch(err => {
+          expect(err.code).to.equal('EUNRESOLVED')
+          expect(err.unresolved).to.deep.equal([
+            { name: 'lock-a', spec: '^3.0.0', requiredBy: '' }
+          ])
+          done()
+        })
+        .catch(err => done(err))
+      })
+
+      it('should resolve to the paths given by the storage, and reject for storage without them', function(done) {
+        const elsewhere = path.join(TEST_DIRS_BASE, 'NOT_A_DIR')
+        currentTracker.serialize()
+        .then(() => mod.create(elsewhere, { storage: storageAdapters.fsAdapter(tempDir11) }))
+        .then(tracker => tracker.createLockfile(pkgJsonPath))
+        .then(lock => {
+          const record = currentTracker.getData('semver', 'lock-b', '2.0.0')
+          expect(lock.packages['node_modules/lock-b'].resolved)
+            .to.equal(`file:../${record.filename}`)
+          return mod.create(elsewhere, { storage: storageAdapters.memoryAdapter() })
+        })
+        .then(tracker => tracker.createLockfile(pkgJsonPath))
+        .then(() => done(didNotRejectError))
+        .catch(err => {
+          expect(err.code).to.equal('ENOTLOCAL')
+          done()
+        })
+        .catch(err => done(err))
+      })
+    })
+
+
+    describe('auditClosure()', function() {
+      const helperCommit = '89abcdef0123456789abcdef0123456789abcdef'
+      const records = [
+        {
+          type: 'semver', name: 'app', version: '1.0.0',
+          dependencies: {
+            lib: '^1.0.0', gone: '^2.0.0', helper: 'github:someUser/helper#v1',
+            local: 'file:../local', 'opt-ok': '^1.0.0'
+          },
+          optionalDependencies: { fsevents: '^2.0.0', 'opt-ok': '^1.0.0' },
+          peerDependencies: { react: '^18.0.0' }
+        },
+        { type: 'semver', name: 'lib', version: '1.2.0', dependencies: {} },
+        {
+          type: 'git', repo: 'github.com/someUser/helper', commit: helperCommit,
+          refs: [ 'v1' ], dependencies: { deep: '^1.0.0', lib: '1.x' }
+        },
+        { type: 'semver', name: 'deep', version: '1.0.0' },
+        {
+          type: 'semver', name: 'opt-ok', version: '1.0.0',
+          dependencies: { 'opt-child': '^1.0.0' }
+        }
+      ]
+      const appRef = { type: 'semver', name: 'app', spec: '1.0.0' }
+
+      before('create a tracker instance with dependency data', function(done) {
+        function nextRecord(i) {
+          if (i >= records.length) return Promise.resolve(null)
+          const item = records[i]
+          const data = Object.assign({}, item)
+          delete data.type
+          data.filename = `closure-${i}.tgz`
+          return mockOneDownload(data.filename, tempDir12)
+          .then(() => currentTracker.add(item.type, data))
+          .then(() => nextRecord(i+1))
+        }
+        mod.create(tempDir12).then(tracker => {
+          currentTracker = tracker
+          return nextRecord(0)
+        })
+        .then(() => done())
+        .catch(err => done(err))
+      })
+
+      it('should reject when not given an array of acceptable root specs', function(done) {
+        currentTracker.auditClosure()
+        .then(() => done(didNotRejectError))
+        .catch(err => {
+          expect(err).to.be.an.instanceOf(SyntaxError)
+          return currentTracker.auditClosure('app@^1.0.0')
+        })
+        .then(() => done(didNotRejectError))
+        .catch(err => {
+          expect(err).to.be.an.instanceOf(TypeError)
+          return currentTracker.auditClosure([ 'local@file:../local' ])
+        })
+        .then(() => done(didNotRejectError))
+        .catch(err => {
+          expect(err).to.be.an.instanceOf(RangeError)
+          return currentTracker.auditClosure([ { type: 'semver', name: 'app' } ])
+        })
+        .then(() => done(didNotRejectError))
+        .catch(err => {
+          expect(err).to.be.an.instanceOf(SyntaxError)
+          done()
+        })
+        .catch(err => done(err))
+      })
+
+      it('should report unsatisfied dependencies by kind', function(done) {
+        currentTracker.auditClosure([ 'app@^1.0.0' ]).then(result => {
+          expect(result).to.deep.equal({
+            missing: [ { name: 'gone', spec: '^2.0.0', requiredBy: appRef } ],
+            optional: [
+              { name: 'fsevents', spec: '^2.0.0', requiredBy: appRef },
+              {
+                name: 'opt-child', spec: '^1.0.0',
+                requiredBy: { type: 'semver', name: 'opt-ok', spec: '1.0.0' }
+              }
+            ],
+            peer: [ { name: 'react', spec: '^18.0.0', requiredBy: appRef } ],
+            unknown: [ { type: 'semver', name: 'deep', spec: '1.0.0' } ]
+          })
+          done()
+        })
+        .catch(err => done(err))
+      })
+
+      it('should report a root spec that is not satisfied as missing', function(done) {
+        currentTracker.auditClosure([
+          { type: 'git', name: 'github.com/someUser/helper', spec: 'v1' },
+          'lib@^2.0.0'
+        ])
+        .then(result => {
+          expect(result.missing).to.deep.equal([
+            { name: 'lib', spec: '^2.0.0', requiredBy: null }
+          ])
+          expect(result.unknown).to.deep.equal([
+            { type: 'semver', name: 'deep', spec: '1.0.0' }
+          ])
+          done()
+        })
+        .catch(err => done(err))
+      })
+    })
+
+
+    describe('list() and entries()', function() {
+      before('create a tracker instance with records of every type', function(done) {
+        mockAllDownloads(0, filenames, tempDir13)
+        .then(() => mod.create(tempDir13))
+        .then(tracker => {
+          currentTracker = tracker
+          return tracker.add('semver', goodData.semver)
+        })
+        .then(() => currentTracker.add('tag', goodData.tag))
+        .then(() => currentTracker.add('git', goodData.git))
+        .then(() => currentTracker.add('url', goodData.url))
+        .then(() => done())
+        .catch(err => done(err))
+      })
+
+      // The getData() arguments that would get the same record
+      function queryOf(item) {
+        switch (item.type) {
+          case 'semver': return [ 'semver', item.name, item.version ]
+          case 'tag': return [ 'tag', item.name, item.spec ]
+          case 'git': return [ 'git', item.repo, item.spec || item.commit ]
+          case 'url': return [ 'url', '', item.spec ]
+        }
+      }
+
+      it('list() should throw on bad options', function() {
+        expect(() => currentTracker.list(42)).to.throw(TypeError)
+        expect(() => currentTracker.list({ type: 'npm' })).to.throw(RangeError)
+        expect(() => currentTracker.list({ name: 42 })).to.throw(TypeError)
+        expect(() => currentTracker.list({ type: 'url', name: 'example' }))
+          .to.throw(SyntaxError)
+        expect(() => currentTracker.list({ filter: 'semver' })).to.throw(TypeError)
+      })
+
+      it('list() should give every record, in the shape of getData() results', function() {
+        const results = currentTracker.list()
+        const counts = {}
+        for (let i = 0; i < results.length; ++i) {
+          const item = results[i]
+          counts[item.type] = (counts[item.type] || 0) + 1
+          expect(item).to.deep.equal(currentTracker.getData.apply(null, queryOf(item)))
+        }
+        // Adding the tag record also added a semver record; the git record
+        // has refs
+        expect(counts).to.deep.equal({
+          semver: 2, tag: 1, git: 1 + goodData.git.refs.length, url: 1
+        })
+      })
+
+      it('list() should give only the records that match the options', function() {
+        let results = currentTracker.list({ name: goodData.semver.name })
+        expect(results.map(item => item.type).sort())
+          .to.deep.equal([ 'semver', 'semver', 'tag' ])
+        results = currentTracker.list({ type: 'git', name: goodData.git.repo })
+        expect(results).to.have.lengthOf(1 + goodData.git.refs.length)
+        results = currentTracker.list({
+          type: 'semver', filter: item => item.version === goodData.tag.version
+        })
+        expect(results).to.deep.equal([
+          currentTracker.getData('semver', goodData.tag.name, goodData.tag.version)
+        ])
+        expect(currentTracker.list({ type: 'tag', name: 'no-such-package' }))
+          .to.be.an('array').that.is.empty
+      })
+
+      it('entries() should iterate asynchronously over the records of list()', function(done) {
+        const opts = { filter: item => item.type !== 'tag' }
+        const expected = currentTracker.list(opts)
+        const iterator = currentTracker.entries(opts)
+        const asyncIterator = Symbol.asyncIterator || Symbol.for('Symbol.asyncIterator')
+        expect(iterator[asyncIterator]()).to.equal(iterator)
+        const results = []
+        function nextItem() {
+          return iterator.next().then(step => {
+            if (step.done) return results
+            results.push(step.value)
+            return nextItem()
+          })
+        }
+        nextItem().then(() => {
+          expect(results).to.deep.equal(expected)
+          done()
+        })
+        .catch(err => done(err))
+      })
+
+      it('entries() should skip records removed during the iteration', function(done) {
+        const iterator = currentTracker.entries({ type: 'git' })
+        const results = []
+        iterator.next().then(step => {
+          results.push(step.value)
+          return currentTracker.remove('git', goodData.git.repo, goodData.git.commit)
+        })
+        .then(() => iterator.next())
+        .then(step => {
+          expect(step.done).to.be.true
+          expect(results).to.have.lengthOf(1)
+          done()
+        })
+        .catch(err => done(err))
+      })
+    })
+
+
+    describe('getAll()', function() {
+      const pkgName = 'many-versions'
+      const versions = [ '1.2.0', '2.0.0', '0.9.0', '=1.3.0', '2.0.0-beta.1', '1.0.0' ]
+      const repo = 'github.com/someUser/many-versions'
+      const commit = 'fedcba9876543210fedcba9876543210fedcba98'
+
+      before('create a tracker instance with many versions', function(done) {
+        function nextVersion(i) {
+          if (i >= versions.length) return Promise.resolve(null)
+          const filename = `many-${i}.tgz`
+          return mockOneDownload(filename, tempDir14)
+          .then(() => currentTracker.add('semver', {
+            name: pkgName, version: versions[i], filename: filename
+          }))
+          .then(() => nextVersion(i+1))
+        }
+        mod.create(tempDir14).then(tracker => {
+          currentTracker = tracker
+          return nextVersion(0)
+        })
+        .then(() => mockOneDownload('many-git.tgz', tempDir14))
+        .then(() => currentTracker.add('git', {
+          repo: repo, commit: commit, filename: 'many-git.tgz',
+          refs: [ 'v1.1.0', 'main', 'v2.0.0', 'v1.0.0' ]
+        }))
+        .then(() => done())
+        .catch(err => done(err))
+      })
+
+      function versionsOf(results) {
+        return results.map(item => item.version)
+      }
+
+      it('should throw on bad arguments', function() {
+        expect(() => currentTracker.getAll('semver', pkgName)).to.throw(SyntaxError)
+        expect(() => currentTracker.getAll('tag', pkgName, 'latest')).to.throw(RangeError)
+        expect(() => currentTracker.getAll('git', repo, '^1')).to.throw(SyntaxError)
+        expect(() => currentTracker.getAll('semver', pkgName, '^1', true))
+          .to.throw(TypeError)
+      })
+
+      it('should return every satisfying semver record, lowest version first', function() {
+        const results = currentTracker.getAll('semver', pkgName, '^1.0.0')
+        expect(versionsOf(results)).to.deep.equal([ '1.0.0', '1.2.0' ])
+        for (let i = 0; i < results.length; ++i) {
+          expect(results[i]).to.deep.equal(
+            currentTracker.getData('semver', pkgName, results[i].version)
+          )
+        }
+        expect(versionsOf(currentTracker.getAll('semver', pkgName, '>=1.0.0')))
+          .to.deep.equal([ '1.0.0', '1.2.0', '2.0.0' ])
+      })
+
+      it('should apply the includePrerelease and loose options', function() {
+        expect(versionsOf(currentTracker.getAll(
+          'semver', pkgName, '>=1.0.0', { includePrerelease: true }
+        ))).to.deep.equal([ '1.0.0', '1.2.0', '2.0.0-beta.1', '2.0.0' ])
+        expect(versionsOf(currentTracker.getAll(
+          'semver', pkgName, '^1.0.0', { loose: true }
+        ))).to.deep.equal([ '1.0.0', '1.2.0', '=1.3.0' ])
+      })
+
+      it('should return an empty array when nothing matches', function() {
+        expect(currentTracker.getAll('semver', pkgName, '^3')).to.deep.equal([])
+        expect(currentTracker.getAll('semver', pkgName, 'not a range')).to.deep.equal([])
+        expect(currentTracker.getAll('semver', 'no-such-package', '*')).to.deep.equal([])
+      })
+
+      it('should return the git refs that satisfy a semver: expression', function() {
+        const results = currentTracker.getAll('git', repo, 'semver:^1')
+        expect(results.map(item => item.spec)).to.deep.equal([ 'v1.0.0', 'v1.1.0' ])
+        for (let i = 0; i < results.length; ++i) {
+          expect(results[i].commit).to.equal(commit)
+          expect(results[i]).to.deep.equal(
+            currentTracker.getData('git', repo, results[i].spec)
+          )
+        }
+      })
+    })
+
+    describe('stats()', function() {
+      const repo = 'github.com/someUser/sized'
+      const commit = '0123456789abcdef0123456789abcdef01234567'
+      const urlSpec = 'https://example.com/sized.tgz'
+      const fileSizes = {
+        'sizedA1.tgz': 100, 'sizedA2.tgz': 300, 'sizedB.tgz': 50,
+        'sizedGit.tgz': 200, 'sizedUrl.tgz': 10
+      }
+      const phantomName = npf.makeTarballName({
+        type: 'semver', name: 'sized-phantom', version: '1.0.0'
+      })
+
+      function writeSized(filename, bytes) {
+        return writeFileAsync(path.join(tempDir15, filename), Buffer.alloc(bytes, 'x'))
+      }
+
+      before('create a tracker instance with files of known sizes', function(done) {
+        const filenames = Object.keys(fileSizes)
+        function nextFile(i) {
+          if (i >= filenames.length) return Promise.resolve(null)
+          return writeSized(filenames[i], fileSizes[filenames[i]])
+          .then(() => nextFile(i+1))
+        }
+        nextFile(0)
+        .then(() => mod.create(tempDir15))
+        .then(tracker => {
+          currentTracker = tracker
+          return tracker.add('semver', {
+            name: 'sized-a', version: '1.0.0', filename: 'sizedA1.tgz'
+          })
+        })
+        .then(() => currentTracker.add('tag', {
+          name: 'sized-a', version: '2.0.0', spec: 'next', filename: 'sizedA2.tgz'
+        }))
+        .then(() => currentTracker.add('semver', {
+          name: 'sized-b', version: '1.0.0', filename: 'sizedB.tgz'
+        }))
+        .then(() => currentTracker.add('git', {
+          repo: repo, commit: commit, refs: [ 'main' ], filename: 'sizedGit.tgz'
+        }))
+        .then(() => currentTracker.add('url', {
+          spec: urlSpec, filename: 'sizedUrl.tgz'
+        }))
+        .then(() => currentTracker.serialize())
+        .then(() => writeSized(phantomName, 20))
+        .then(() => unlinkAsync(path.join(tempDir15, 'sizedB.tgz')))
+        .then(() => mod.create(tempDir15, { adoptUnmapped: true }))
+        .then(tracker => {
+          currentTracker = tracker
+          done()
+        })
+        .catch(err => done(err))
+      })
+
+      it('should reject for bad options', function(done) {
+        currentTracker.stats(42).then(() => { throw didNotRejectError })
+        .catch(err => {
+          expect(err).to.be.an.instanceof(TypeError)
+          return currentTracker.stats({ top: -1 })
+        })
+        .then(() => { throw didNotRejectError })
+        .catch(err => {
+          expect(err).to.be.an.instanceof(RangeError)
+          done()
+        })
+        .catch(err => done(err))
+      })
+
+      it('should count the records and packages of each type', function(done) {
+        currentTracker.stats().then(result => {
+          expect(result.records).to.deep.equal({ semver: 4, tag: 1, git: 1, url: 1 })
+          expect(result.gitRefs).to.equal(1)
+          expect(result.packages).to.deep.equal({ semver: 3, git: 1, url: 1 })
+          expect(result.added).to.equal(5)
+          expect(result.reconstructed).to.equal(1)
+          done()
+        })
+        .catch(err => done(err))
+      })
+
+      it('should count the records of a map written before integrity was tracked as added', function(done) {
+        // A map file as written by an early version: nothing but filenames
+        const legacyMap = {
+          semver: {
+            'legacy-a': { '1.0.0': { filename: 'legacy-a-1.0.0.tgz' } }
+          },
+          url: {
+            'example.com/legacy.tgz': { filename: 'legacy.tgz' }
+          }
+        }
+        const storage = storageAdapters.memoryAdapter({
+          [MAPFILE_NAME]: JSON.stringify(legacyMap),
+          'legacy-a-1.0.0.tgz': 'Legacy content',
+          'legacy.tgz': 'Legacy content'
+        })
+        mod.create(path.join(tempDir15, 'legacy'), { storage: storage })
+        .then(tracker => tracker.stats())
+        .then(result => {
+          expect(result.added).to.equal(2)
+          expect(result.reconstructed).to.equal(0)
+          done()
+        })
+        .catch(err => done(err))
+      })
+
+      it('should total the bytes of the tarballs, by package and overall', function(done) {
+        currentTracker.stats().then(result => {
+          expect(result.totalBytes).to.equal(100 + 300 + 200 + 10 + 20)
+          expect(result.packageBytes).to.deep.equal({
+            'sized-a': 400, 'sized-b': 0, 'sized-phantom': 20,
+            [repo]: 200, 'example.com/sized.tgz': 10
+          })
+          expect(result.missingFiles).to.deep.equal([ 'sizedB.tgz' ])
+          done()
+        })
+        .catch(err => done(err))
+      })
+
+      it('should list the largest packages first, as many as the top option allows', function(done) {
+        currentTracker.stats({ top: 2 }).then(result => {
+          expect(result.largest).to.deep.equal([
+            { type: 'semver', name: 'sized-a', files: 2, bytes: 400 },
+            { type: 'git', name: repo, files: 1, bytes: 200 }
+          ])
+          done()
+        })
+        .catch(err => done(err))
+      })
+    })
+
+    describe('add() with maxBytes option', function() {
+      const rejectDir = path.join(tempDir16, 'reject')
+      const lraDir = path.join(tempDir16, 'lra')
+      const lowestDir = path.join(tempDir16, 'lowest')
+      const repo = 'github.com/someUser/quota'
+      const commit = '89abcdef0123456789abcdef0123456789abcdef'
+
+      // Tarballs are mocked as files of the given size, aged by the given
+      // number of minutes
+      function writeAged(dir, filename, bytes, minutes) {
+        const filePath = path.join(dir, filename)
+        const time = new Date(Date.now() - minutes * 60000)
+        return writeFileAsync(filePath, Buffer.alloc(bytes, 'x'))
+        .then(() => utimesAsync(filePath, time, time))
+      }
+
+      function addSemver(tracker, dir, name, version, bytes, minutes) {
+        const filename = `${name}-${version}.tgz`
+        return writeAged(dir, filename, bytes, minutes)
+        .then(() => tracker.add('semver', {
+          name: name, version: version, filename: filename
+        }))
+      }
+
+      function fileExists(filePath) {
+        return accessAsync(filePath).then(() => true).catch(() => false)
+      }
+
+      before('make the subdirectories', function(done) {
+        mkdirAsync(rejectDir)
+        .then(() => mkdirAsync(lraDir))
+        .then(() => mkdirAsync(lowestDir))
+        .then(() => done())
+        .catch(err => done(err))
+      })
+
+      it('create() should reject for bad maxBytes and evictionPolicy values', function(done) {
+        const badOpts = [
+          [ { maxBytes: '1MB' }, TypeError ],
+          [ { maxBytes: 0 }, RangeError ],
+          [ { maxBytes: 1000, evictionPolicy: 42 }, TypeError ],
+          [ { maxBytes: 1000, evictionPolicy: 'random' }, RangeError ]
+        ]
+        function nextOpts(i) {
+          if (i >= badOpts.length) return Promise.resolve(null)
+          return mod.create(rejectDir, badOpts[i][0])
+          .then(() => { throw didNotRejectError })
+          .catch(err => {
+            expect(err).to.be.an.instanceof(badOpts[i][1])
+            return nextOpts(i+1)
+          })
+        }
+        nextOpts(0).then(() => done())
+        .catch(err => done(err))
+      })
+
+      it('should reject with EQUOTA by default, leaving the records as they were', function(done) {
+        mod.create(rejectDir, { maxBytes: 500 }).then(tracker => {
+          currentTracker = tracker
+          return addSemver(tracker, rejectDir, 'quota-a', '1.0.0', 300, 10)
+        })
+        .then(() => addSemver(currentTracker, rejectDir, 'quota-b', '1.0.0', 300, 5))
+        .then(() => { throw didNotRejectError })
+        .catch(err => {
+          expect(err.code).to.equal('EQUOTA')
+          expect(currentTracker.contains('semver', 'quota-a', '1.0.0')).to.be.true
+          expect(currentTracker.contains('semver', 'quota-b', '1.0.0')).to.be.false
+          done()
+        })
+        .catch(err => done(err))
+      })
+
+      it('should evict the least recently added records, with their tags and git refs', function(done) {
+        const opts = { maxBytes: 300, evictionPolicy: 'least-recently-added' }
+        mod.create(lraDir, opts).then(tracker => {
+          currentTracker = tracker
+          return writeAged(lraDir, 'quota-git.tgz', 100, 30)
+        })
+        .then(() => currentTracker.add('git', {
+          repo: repo, commit: commit, refs: [ 'main' ], filename: 'quota-git.tgz'
+        }))
+        .then(() => writeAged(lraDir, 'quota-a-1.0.0.tgz', 100, 20))
+        .then(() => currentTracker.add('tag', {
+          name: 'quota-a', version: '1.0.0', spec: 'next',
+          filename: 'quota-a-1.0.0.tgz'
+        }))
+        .then(() => addSemver(currentTracker, lraDir, 'quota-b', '1.0.0', 100, 10))
+        .then(() => addSemver(currentTracker, lraDir, 'quota-c', '1.0.0', 150, 0))
+        .then(() => {
+          expect(currentTracker.contains('git', repo, commit)).to.be.false
+          expect(currentTracker.contains('git', repo, 'main')).to.be.false
+          expect(currentTracker.contains('semver', 'quota-a', '1.0.0')).to.be.false
+          expect(currentTracker.contains('tag', 'quota-a', 'next')).to.be.false
+          expect(currentTracker.contains('semver', 'quota-b', '1.0.0')).to.be.true
+          expect(currentTracker.contains('semver', 'quota-c', '1.0.0')).to.be.true
+          return fileExists(path.join(lraDir, 'quota-git.tgz'))
+        })
+        .then(exists => {
+          expect(exists).to.be.false
+          return fileExists(path.join(lraDir, 'quota-a-1.0.0.tgz'))
+        })
+        .then(exists => {
+          expect(exists).to.be.false
+          done()
+        })
+        .catch(err => done(err))
+      })
+
+      it('should evict the lowest versions of packages first', function(done) {
+        const opts = { maxBytes: 400, evictionPolicy: 'lowest-version' }
+        mod.create(lowestDir, opts).then(tracker => {
+          currentTracker = tracker
+          return addSemver(tracker, lowestDir, 'quota-y', '1.0.0', 100, 40)
+        })
+        .then(() => addSemver(currentTracker, lowestDir, 'quota-x', '2.0.0', 100, 30))
+        .then(() => addSemver(currentTracker, lowestDir, 'quota-x', '1.0.0', 100, 20))
+        .then(() => addSemver(currentTracker, lowestDir, 'quota-x', '3.0.0', 100, 10))
+        .then(() => addSemver(currentTracker, lowestDir, 'quota-z', '1.0.0', 150, 0))
+        .then(() => {
+          expect(currentTracker.contains('semver', 'quota-x', '1.0.0')).to.be.false
+          expect(currentTracker.contains('semver', 'quota-x', '2.0.0')).to.be.false
+          expect(currentTracker.contains('semver', 'quota-x', '3.0.0')).to.be.true
+          expect(currentTracker.contains('semver', 'quota-y', '1.0.0')).to.be.true
+          expect(currentTracker.contains('semver', 'quota-z', '1.0.0')).to.be.true
+          done()
+        })
+        .catch(err => done(err))
+      })
+
+      it('should evict nothing when that could not make enough room', function(done) {
+        addSemver(currentTracker, lowestDir, 'quota-huge', '1.0.0', 500, 0)
+        .then(() => { throw didNotRejectError })
+        .catch(err => {
+          expect(err.code).to.equal('EQUOTA')
+          expect(currentTracker.contains('semver', 'quota-x', '3.0.0')).to.be.true
+          expect(currentTracker.contains('semver', 'quota-y', '1.0.0')).to.be.true
+          expect(currentTracker.contains('semver', 'quota-z', '1.0.0')).to.be.true
+          done()
+        })
+        .catch(err => done(err))
+      })
+    })
+
+    describe('add() timestamps and provenance', function() {
+      const repo = 'github.com/someUser/traced'
+      const commit = '456789abcdef0123456789abcdef0123456789ab'
+      const source = 'https://registry.example.com/'
+      const trackerOpts = { source: source, addedBy: 'download-tool/1.0' }
+
+      function mockFile(filename) {
+        return writeFileAsync(path.join(tempDir17, filename), 'dummy content')
+      }
+
+      before('create a tracker instance with provenance options', function(done) {
+        mod.create(tempDir17, trackerOpts).then(tracker => {
+          currentTracker = tracker
+          done()
+        })
+        .catch(err => done(err))
+      })
+
+      it('should reject provenance values that are not strings', function(done) {
+        mod.create(tempDir17, { source: 42 })
+        .then(() => { throw didNotRejectError })
+        .catch(err => {
+          expect(err).to.be.an.instanceof(TypeError)
+          return mod.create(tempDir17, { addedBy: {} })
+        })
+        .then(() => { throw didNotRejectError })
+        .catch(err => {
+          expect(err).to.be.an.instanceof(TypeError)
+          return currentTracker.add('semver', {
+            name: 'traced', version: '0.0.1', filename: 'traced-0.0.1.tgz', source: true
+          })
+        })
+        .then(() => { throw didNotRejectError })
+        .catch(err => {
+          expect(err).to.be.an.instanceof(TypeError)
+          done()
+        })
+        .catch(err => done(err))
+      })
+
+      it('should stamp each record with when, where from, and by what it was added', function(done) {
+        const startTime = Date.now()
+        mockFile('traced-1.0.0.tgz')
+        .then(() => currentTracker.add('semver', {
+          name: 'traced', version: '1.0.0', filename: 'traced-1.0.0.tgz'
+        }))
+        .then(() => {
+          const data = currentTracker.getData('semver', 'traced', '1.0.0')
+          expect(new Date(data.addedAt).toISOString()).to.equal(data.addedAt)
+          const addedTime = Date.parse(data.addedAt)
+          expect(addedTime).to.be.within(startTime, Date.now())
+          expect(data.source).to.equal(source)
+          expect(data.addedBy).to.equal(trackerOpts.addedBy)
+          done()
+        })
+        .catch(err => done(err))
+      })
+
+      it('should let the data give its own source and addedBy values', function(done) {
+        const otherSource = 'https://mirror.example.com/'
+        mockFile('traced-2.0.0.tgz')
+        .then(() => currentTracker.add('semver', {
+          name: 'traced', version: '2.0.0', filename: 'traced-2.0.0.tgz',
+          source: otherSource, addedBy: 'someone else'
+        }))
+        .then(() => {
+          const data = currentTracker.getData('semver', 'traced', '2.0.0')
+          expect(data.source).to.equal(otherSource)
+          expect(data.addedBy).to.equal('someone else')
+          done()
+        })
+        .catch(err => done(err))
+      })
+
+      it('should stamp tags and git refs, and write ISO 8601 map timestamps', function(done) {
+        mockFile('traced-git.tgz')
+        .then(() => currentTracker.add('tag', {
+          name: 'traced', version: '2.0.0', spec: 'next', filename: 'traced-2.0.0.tgz'
+        }))
+        .then(() => currentTracker.add('git', {
+          repo: repo, commit: commit, refs: [ 'v1.0.0' ], filename: 'traced-git.tgz'
+        }))
+        .then(() => currentTracker.serialize())
+        .then(() => readFileAsync(path.join(tempDir17, MAPFILE_NAME), 'utf8'))
+        .then(str => {
+          const map = JSON.parse(str)
+          const tagEntry = map.tag.traced.next
+          expect(tagEntry.version).to.equal('2.0.0')
+          expect(new Date(tagEntry.addedAt).toISOString()).to.equal(tagEntry.addedAt)
+          const refEntry = map.git[repo]['v1.0.0']
+          expect(refEntry.commit).to.equal(commit)
+          expect(new Date(refEntry.addedAt).toISOString()).to.equal(refEntry.addedAt)
+          expect(new Date(map.created).toISOString()).to.equal(map.created)
+          done()
+        })
+        .catch(err => done(err))
+      })
+    })
+
+    describe('maxRefAge option', function() {
+      const repo = 'github.com/someUser/moving'
+      const commit = 'cdef0123456789abcdef0123456789abcdef0123'
+      const hourAgo = new Date(Date.now() - 3600000).toISOString()
+      const justNow = new Date().toISOString()
+      const maxRefAge = 60000
+
+      before('write a map file with tags and git refs of different ages', function(done) {
+        const map = {
+          semver: {
+            moving: {
+              '1.0.0': { filename: 'moving-1.0.0.tgz', addedAt: hourAgo },
+              '2.0.0': { filename: 'moving-2.0.0.tgz', addedAt: justNow }
+            }
+          },
+          tag: {
+            moving: {
+              old: { version: '1.0.0', addedAt: hourAgo },
+              next: { version: '2.0.0', addedAt: justNow },
+              later: { version: '1.0.0', addedAt: justNow },
+              legacy: { version: '1.0.0' }
+            }
+          },
+          git: {
+            [repo]: {
+              [commit]: { filename: 'moving-git.tgz', addedAt: hourAgo },
+              main: { commit: commit, addedAt: hourAgo },
+              'v1.0.0': { commit: commit, addedAt: justNow }
+            }
+          }
+        }
+        const files = [ 'moving-1.0.0.tgz', 'moving-2.0.0.tgz', 'moving-git.tgz' ]
+        function nextFile(i) {
+          if (i >= files.length) return Promise.resolve(null)
+          return writeFileAsync(path.join(tempDir18, files[i]), 'dummy content')
+          .then(() => nextFile(i+1))
+        }
+        nextFile(0)
+        .then(() => writeFileAsync(
+          path.join(tempDir18, MAPFILE_NAME), JSON.stringify(map)
+        ))
+        .then(() => mod.create(tempDir18, { maxRefAge: maxRefAge }))
+        .then(tracker => {
+          currentTracker = tracker
+          done()
+        })
+        .catch(err => done(err))
+      })
+
+      it('create() should reject for a bad maxRefAge value', function(done) {
+        mod.create(tempDir18, { maxRefAge: '1 day' })
+        .then(() => { throw didNotRejectError })
+        .catch(err => {
+          expect(err).to.be.an.instanceof(TypeError)
+          return mod.create(tempDir18, { maxRefAge: -1 })
+        })
+        .then(() => { throw didNotRejectError })
+        .catch(err => {
+          expect(err).to.be.an.instanceof(RangeError)
+          done()
+        })
+        .catch(err => done(err))
+      })
+
+      it('contains() should be false for tags older than maxRefAge, or of unknown age', function() {
+        expect(currentTracker.contains('tag', 'moving', 'next')).to.be.true
+        expect(currentTracker.contains('tag', 'moving', 'old')).to.be.false
+        expect(currentTracker.contains('tag', 'moving', 'legacy')).to.be.false
+        // The versions themselves don't go stale
+        expect(currentTracker.contains('semver', 'moving', '1.0.0')).to.be.true
+      })
+
+      it('contains() should be false for stale git refs, and for what resolves through them', function() {
+        expect(currentTracker.contains('git', repo, 'v1.0.0')).to.be.true
+        expect(currentTracker.contains('git', repo, 'main')).to.be.false
+        expect(currentTracker.contains('git', repo, '')).to.be.false
+        expect(currentTracker.contains('git', repo, commit)).to.be.true
+      })
+
+      it('getData() should flag stale references, and still give the data', function() {
+        expect(currentTracker.getData('tag', 'moving', 'old')).to.deep.equal({
+          type: 'tag', name: 'moving', spec: 'old', version: '1.0.0',
+          filename: 'moving-1.0.0.tgz', addedAt: hourAgo, tagAddedAt: hourAgo, stale: true
+        })
+        expect(currentTracker.getData('tag', 'moving', 'next')).to.not.have.property('stale')
+        expect(currentTracker.getData('git', repo, 'main')).to.deep.equal({
+          type: 'git', repo: repo, commit: commit, spec: 'main',
+          filename: 'moving-git.tgz', addedAt: hourAgo, stale: true
+        })
+        expect(currentTracker.getData('git', repo, commit)).to.not.have.property('stale')
+      })
+
+      it('getData() should keep the stamp of a tag added after its version', function() {
+        expect(currentTracker.getData('tag', 'moving', 'later')).to.deep.equal({
+          type: 'tag', name: 'moving', spec: 'later', version: '1.0.0',
+          filename: 'moving-1.0.0.tgz', addedAt: hourAgo, tagAddedAt: justNow
+        })
+        // Without a stamp of its own, a tag gets none
+        expect(currentTracker.getData('tag', 'moving', 'legacy'))
+          .to.not.have.property('tagAddedAt')
+      })
+
+      it('audit() should list the stale references with code ESTALEREF', function(done) {
+        currentTracker.audit().then(results => {
+          const stale = results.filter(item => item.error.code === 'ESTALEREF')
+            .map(item => `${item.data.type} ${item.data.spec}`)
+          expect(stale.sort()).to.deep.equal([ 'git main', 'tag legacy', 'tag old' ])
+          done()
+        })
+        .catch(err => done(err))
+      })
+
+      it('should find nothing stale when the option is not set', function(done) {
+        mod.create(tempDir18).then(tracker => {
+          expect(tracker.contains('tag', 'moving', 'old')).to.be.true
+          expect(tracker.contains('git', repo, 'main')).to.be.true
+          return tracker.audit()
+        })
+        .then(results => {
+          expect(results.filter(item => item.error.code === 'ESTALEREF')).to.be.empty
+          done()
+        })
+        .catch(err => done(err))
+      })
+    })
+
+    describe('exportBundle() and importBundle()', function() {
+      const repo = 'github.com/someUser/bundled'
+      const commit = '3456789abcdef0123456789abcdef0123456789a'
+      const urlSpec = 'https://example.com/bundled.tgz'
+      const bundlePath = path.join(TEST_DIRS_BASE, 'export.tar')
+      const splitPath = path.join(TEST_DIRS_BASE, 'split.tar')
+      let sourceTracker
+
+      function addWithFile(tracker, type, data) {
+        const content = `Content of ${data.filename}. `.repeat(50)
+        return writeFileAsync(path.join(tracker.path, data.filename), content)
+        .then(() => tracker.add(type, data))
+      }
+
+      before('create a tracker instance with records of every type', function(done) {
+        mod.create(tempDir19).then(tracker => {
+          sourceTracker = tracker
+          return addWithFile(tracker, 'semver', {
+            name: 'bundled-a', version: '1.0.0', filename: 'bundled-a-1.0.0.tgz'
+          })
+        })
+        .then(() => addWithFile(sourceTracker, 'tag', {
+          name: 'bundled-a', version: '2.0.0', spec: 'next', filename: 'bundled-a-2.0.0.tgz'
+        }))
+        .then(() => addWithFile(sourceTracker, 'git', {
+          repo: repo, commit: commit, refs: [ 'main' ], filename: 'bundled-git.tgz'
+        }))
+        .then(() => addWithFile(sourceTracker, 'url', {
+          spec: urlSpec, filename: 'bundled-url.tgz'
+        }))
+        .then(() => done())
+        .catch(err => done(err))
+      })
+
+      it('should reject for bad arguments', function(done) {
+        sourceTracker.exportBundle(42).then(() => { throw didNotRejectError })
+        .catch(err => {
+          expect(err).to.be.an.instanceof(TypeError)
+          return sourceTracker.exportBundle(bundlePath, { volumeSize: 0 })
+        })
+        .then(() => { throw didNotRejectError })
+        .catch(err => {
+          expect(err).to.be.an.instanceof(RangeError)
+          return sourceTracker.importBundle('')
+        })
+        .then(() => { throw didNotRejectError })
+        .catch(err => {
+          expect(err).to.be.an.instanceof(SyntaxError)
+          done()
+        })
+        .catch(err => done(err))
+      })
+
+      it('should carry the records that pass the filter, with their references, to another tracker', function(done) {
+        const filter = data => data.name !== 'bundled-a' || data.version === '2.0.0'
+        sourceTracker.exportBundle(bundlePath, { filter: filter }).then(written => {
+          expect(written).to.deep.equal([ path.resolve(bundlePath) ])
+          return mod.create(tempDir20)
+        })
+        .then(tracker => {
+          currentTracker = tracker
+          return tracker.importBundle(bundlePath)
+        })
+        .then(result => {
+          expect(result.added.map(data => data.type).sort())
+            .to.deep.equal([ 'git', 'semver', 'url' ])
+          expect(result.refs).to.equal(2)
+          expect(currentTracker.getData('semver', 'bundled-a', '2.0.0'))
+            .to.deep.equal(sourceTracker.getData('semver', 'bundled-a', '2.0.0'))
+          expect(currentTracker.contains('tag', 'bundled-a', 'next')).to.be.true
+          expect(currentTracker.contains('git', repo, 'main')).to.be.true
+          expect(currentTracker.contains('url', null, urlSpec)).to.be.true
+          expect(currentTracker.contains('semver', 'bundled-a', '1.0.0')).to.be.false
+          return currentTracker.audit()
+        })
+        .then(results => {
+          // The tarballs were moved in, with integrity intact
+          expect(results).to.be.an('array').that.has.length(0)
+          return readdirAsync(tempDir20)
+        })
+        .then(names => {
+          expect(names.filter(name => name.startsWith('.bundle'))).to.be.empty
+          done()
+        })
+        .catch(err => done(err))
+      })
+
+      it('should import from volumes, adding nothing that is already there', function(done) {
+        sourceTracker.exportBundle(splitPath, { volumeSize: 1024 }).then(written => {
+          expect(written.length).to.be.above(1)
+          expect(written[0]).to.equal(path.resolve(splitPath) + '.001')
+          return currentTracker.importBundle(splitPath)
+        })
+        .then(result => {
+          expect(result.added.map(data => `${data.name}@${data.version}`))
+            .to.deep.equal([ 'bundled-a@1.0.0' ])
+          expect(result.refs).to.equal(0)
+          expect(currentTracker.contains('semver', 'bundled-a', '1.0.0')).to.be.true
+          done()
+        })
+        .catch(err => done(err))
+      })
+
+      it('should reject with EMAPCONFLICT and change nothing when a record disagrees', function(done) {
+        mod.create(tempDir21).then(tracker => {
+          currentTracker = tracker
+          // Same version, different content
+          return writeFileAsync(path.join(tempDir21, 'other-a-2.0.0.tgz'), 'Something else')
+          .then(() => tracker.add('semver', {
+            name: 'bundled-a', version: '2.0.0', filename: 'other-a-2.0.0.tgz'
+          }))
+        })
+        .then(() => currentTracker.importBundle(bundlePath))
+        .then(() => { throw didNotRejectError })
+        .catch(err => {
+          expect(err.code).to.equal('EMAPCONFLICT')
+          expect(err.conflicts).to.deep.equal([
+            { type: 'semver', name: 'bundled-a', spec: '2.0.0' }
+          ])
+          expect(currentTracker.contains('git', repo, commit)).to.be.false
+          expect(currentTracker.contains('tag', 'bundled-a', 'next')).to.be.false
+          return readdirAsync(tempDir21)
+        })
+        .then(names => {
+          expect(names).to.deep.equal([ 'other-a-2.0.0.tgz' ])
+          done()
+        })
+        .catch(err => done(err))
+      })
+    })
+
+
+    describe('merge()', function() {
+      const urlSpec = 'https://example.com/merged.tgz'
+      const pause = ms => new Promise(resolve => setTimeout(resolve, ms))
+      let ourTracker
+      let theirTracker
+
+      function addWithFile(tracker, type, data, content) {
+        content = content || `Content of ${data.filename}. `.repeat(50)
+        return writeFileAsync(path.join(tracker.path, data.filename), content)
+        .then(() => tracker.add(type, data))
+      }
+
+      before('create two tracker instances with overlapping records', function(done) {
+        mod.create(tempDir22).then(tracker => {
+          ourTracker = tracker
+          return addWithFile(tracker, 'tag', {
+            name: 'merged-a', version: '1.0.0', spec: 'next', filename: 'merged-a-1.0.0.tgz'
+          })
+        })
+        .then(() => addWithFile(ourTracker, 'semver', {
+          name: 'merged-b', version: '1.0.0', filename: 'merged-b-1.0.0.tgz'
+        }, 'Our content'))
+        .then(() => pause(10))
+        .then(() => mod.create(tempDir23))
+        .then(tracker => {
+          theirTracker = tracker
+          return addWithFile(tracker, 'semver', {
+            name: 'merged-a', version: '1.0.0', filename: 'merged-a-1.0.0.tgz'
+          })
+        })
+        .then(() => addWithFile(theirTracker, 'tag', {
+          name: 'merged-a', version: '2.0.0', spec: 'next', filename: 'merged-a-2.0.0.tgz'
+        }))
+        .then(() => addWithFile(theirTracker, 'semver', {
+          name: 'merged-b', version: '1.0.0', filename: 'merged-b-1.0.0.tgz'
+        }, 'Their content'))
+        .then(() => addWithFile(theirTracker, 'url', {
+          spec: urlSpec, filename: 'merged-url.tgz'
+        }))
+        .then(() => done())
+        .catch(err => done(err))
+      })
+
+      it('should reject for bad arguments', function(done) {
+        ourTracker.merge().then(() => { throw didNotRejectError })
+        .catch(err => {
+          expect(err).to.be.an.instanceof(SyntaxError)
+          return ourTracker.merge({ path: tempDir23 })
+        })
+        .then(() => { throw didNotRejectError })
+        .catch(err => {
+          expect(err).to.be.an.instanceof(TypeError)
+          return ourTracker.merge(theirTracker, { copyFiles: 'yes' })
+        })
+        .then(() => { throw didNotRejectError })
+        .catch(err => {
+          expect(err).to.be.an.instanceof(TypeError)
+          return ourTracker.merge(theirTracker, { onConflict: 'theirs' })
+        })
+        .then(() => { throw didNotRejectError })
+        .catch(err => {
+          expect(err).to.be.an.instanceof(TypeError)
+          done()
+        })
+        .catch(err => done(err))
+      })
+
+      it('should reject with RangeError and change nothing when onConflict gives something else', function(done) {
+        ourTracker.merge(theirTracker, { onConflict: () => 'both' })
+        .then(() => { throw didNotRejectError })
+        .catch(err => {
+          expect(err).to.be.an.instanceof(RangeError)
+          expect(ourTracker.contains('semver', 'merged-a', '2.0.0')).to.be.false
+          expect(ourTracker.getData('tag', 'merged-a', 'next').version).to.equal('1.0.0')
+          return readdirAsync(tempDir22)
+        })
+        .then(names => {
+          expect(names.sort()).to.deep.equal([ 'merged-a-1.0.0.tgz', 'merged-b-1.0.0.tgz' ])
+          done()
+        })
+        .catch(err => done(err))
+      })
+
+      it('should by default keep our records, and take the tag that was added later', function(done) {
+        const ourB = ourTracker.getData('semver', 'merged-b', '1.0.0')
+        ourTracker.merge(theirTracker).then(result => {
+          expect(result.added.map(data => data.type + ' ' + (data.name || data.spec)).sort())
+            .to.deep.equal([ 'semver merged-a', 'url example.com/merged.tgz' ])
+          expect(result.replaced).to.be.empty
+          expect(result.refs).to.equal(1)
+          expect(result.skipped).to.be.empty
+          expect(ourTracker.getData('tag', 'merged-a', 'next').version).to.equal('2.0.0')
+          expect(ourTracker.getData('semver', 'merged-b', '1.0.0')).to.deep.equal(ourB)
+          return ourTracker.audit()
+        })
+        .then(results => {
+          // The tarballs were copied in, with integrity intact
+          expect(results).to.be.an('array').that.has.length(0)
+          return readdirAsync(tempDir23)
+        })
+        .then(names => {
+          expect(names).to.include('merged-url.tgz')
+          done()
+        })
+        .catch(err => done(err))
+      })
+
+      it('should pass conflicts to onConflict, and skip a record whose tarball would replace a different file', function(done) {
+        const conflicts = []
+        mod.create(tempDir24).then(tracker => {
+          currentTracker = tracker
+          return addWithFile(tracker, 'semver', {
+            name: 'merged-b', version: '1.0.0', filename: 'merged-b-1.0.0.tgz'
+          }, 'Our content')
+        })
+        // Not tracked here, but in the way
+        .then(() => writeFileAsync(path.join(tempDir24, 'merged-url.tgz'), 'Something else'))
+        .then(() => currentTracker.merge(theirTracker, {
+          onConflict: conflict => {
+            conflicts.push(conflict)
+            return Promise.resolve('theirs')
+          }
+        }))
+        .then(result => {
+          expect(conflicts).to.have.length(1)
+          expect(conflicts[0]).to.include({ type: 'semver', name: 'merged-b', spec: '1.0.0' })
+          expect(conflicts[0].ours.integrity).to.not.equal(conflicts[0].theirs.integrity)
+          expect(result.replaced.map(data => `${data.name}@${data.version}`))
+            .to.deep.equal([ 'merged-b@1.0.0' ])
+          expect(result.skipped).to.deep.equal([
+            { type: 'url', spec: 'example.com/merged.tgz', reason: 'filename' }
+          ])
+          expect(currentTracker.contains('url', null, urlSpec)).to.be.false
+          expect(currentTracker.getData('semver', 'merged-b', '1.0.0'))
+            .to.deep.equal(theirTracker.getData('semver', 'merged-b', '1.0.0'))
+          return readFileAsync(path.join(tempDir24, 'merged-b-1.0.0.tgz'), 'utf8')
+        })
+        .then(str => {
+          expect(str).to.equal('Their content')
+          done()
+        })
+        .catch(err => done(err))
+      })
+
+      it('should take only the records when copyFiles is false', function(done) {
+        mod.create(tempDir25).then(tracker => {
+          currentTracker = tracker
+          return tracker.merge(theirTracker, { copyFiles: false })
+        })
+        .then(result => {
+          expect(result.added).to.have.length(4)
+          expect(result.refs).to.equal(1)
+          expect(currentTracker.contains('tag', 'merged-a', 'next')).to.be.true
+          return readdirAsync(tempDir25)
+        })
+        .then(names => {
+          expect(names).to.be.empty
+          done()
+        })
+        .catch(err => done(err))
+      })
+    })
+
+    describe('with storage option', function() {
+      const absentDir = path.join(TEST_DIRS_BASE, 'NOT_A_DIR')
+      const storage = storageAdapters.memoryAdapter({
+        'stored-a-1.0.0.tgz': 'Content of stored-a 1.0.0'
+      })
+      const bundlePath = path.join(TEST_DIRS_BASE, 'stored.tar')
+      let storedTracker
+
+      it('should reject if the storage lacks a required method', function(done) {
+        mod.create(absentDir, { storage: 42 }).then(() => { throw didNotRejectError })
+        .catch(err => {
+          expect(err).to.be.an.instanceof(TypeError)
+          return mod.create(absentDir, { storage: { read: () => {} } })
+        })
+        .then(() => { throw didNotRejectError })
+        .catch(err => {
+          expect(err).to.be.an.instanceof(TypeError)
+          done()
+        })
+        .catch(err => done(err))
+      })
+
+      it('should keep the map file and the tarballs in the storage, not at the path', function(done) {
+        const content = 'Content of stored-b 1.0.0'
+        mod.create(absentDir, { storage: storage }).then(tracker => {
+          storedTracker = tracker
+          expect(tracker.path).to.equal(path.resolve(absentDir))
+          // Reconstructed from what the storage holds
+          expect(tracker.contains('semver', 'stored-a', '1.0.0')).to.be.true
+          return storage.write('stored-b-1.0.0.tgz', content)
+        })
+        .then(() => storedTracker.add('tag', {
+          name: 'stored-b', version: '1.0.0', spec: 'next', filename: 'stored-b-1.0.0.tgz'
+        }))
+        .then(() => integrity.calculate(Buffer.from(content)))
+        .then(sri => {
+          expect(storedTracker.getData('semver', 'stored-b', '1.0.0').integrity).to.equal(sri)
+          return storedTracker.audit()
+        })
+        .then(results => {
+          expect(results).to.be.an('array').that.has.length(0)
+          return storedTracker.serialize()
+        })
+        .then(written => {
+          expect(written).to.be.true
+          return storage.read(MAPFILE_NAME, 'utf8')
+        })
+        .then(str => {
+          expect(JSON.parse(str).tag).to.have.all.keys([ 'stored-b' ])
+          return mod.create(absentDir, { storage: storage })
+        })
+        .then(tracker => {
+          expect(tracker.getData('tag', 'stored-b', 'next'))
+            .to.deep.equal(storedTracker.getData('tag', 'stored-b', 'next'))
+          return storedTracker.remove('semver', 'stored-a', '1.0.0', { deleteFile: true })
+        })
+        .then(() => storedTracker.serialize())
+        .then(() => storage.list())
+        .then(names => {
+          expect(names.sort()).to.deep.equal([
+            MAPFILE_NAME, MAPFILE_NAME + '.bak', 'stored-b-1.0.0.tgz'
+          ])
+          return accessAsync(absentDir).then(() => true, () => false)
+        })
+        .then(exists => {
+          expect(exists).to.be.false
+          done()
+        })
+        .catch(err => done(err))
+      })
+
+      it('should carry the tarballs between the storage and a directory', function(done) {
+        mod.create(tempDir26).then(tracker => {
+          currentTracker = tracker
+          return tracker.merge(storedTracker)
+        })
+        .then(result => {
+          expect(result.added).to.have.length(1)
+          return readFileAsync(path.join(tempDir26, 'stored-b-1.0.0.tgz'), 'utf8')
+        })
+        .then(str => {
+          expect(str).to.equal('Content of stored-b 1.0.0')
+          return storedTracker.exportBundle(bundlePath)
+        })
+        .then(() => mod.create(absentDir, { storage: storageAdapters.memoryAdapter() }))
+        .then(tracker => {
+          currentTracker = tracker
+          return tracker.importBundle(bundlePath)
+        })
+        .then(result => {
+          expect(result.added).to.have.length(1)
+          expect(result.refs).to.equal(1)
+          return currentTracker.audit()
+        })
+        .then(results => {
+          expect(results).to.be.an('array').that.has.length(0)
+          done()
+        })
+        .catch(err => done(err))
+      })
+
+      it('readTarball() should give the content from the storage, or the path of a local file', function(done) {
+        const filename = 'stored-b-1.0.0.tgz'
+        storedTracker.readTarball(filename).then(tarball => {
+          expect(tarball).to.not.have.property('path')
+          expect(tarball.size).to.equal(25)
+          expect(tarball.content.toString()).to.equal('Content of stored-b 1.0.0')
+          return mod.create(tempDir26)
+        })
+        .then(tracker => tracker.readTarball(filename))
+        .then(tarball => {
+          expect(tarball).to.deep.equal({
+            size: 25, path: path.join(path.resolve(tempDir26), filename)
+          })
+          return storedTracker.readTarball('')
+        })
+        .then(() => { throw didNotRejectError })
+        .catch(err => {
+          expect(err).to.be.an.instanceof(SyntaxError)
+          // In the storage, but no record refers to it
+          return storage.write('unmapped-1.0.0.tgz', 'Unmapped content')
+          .then(() => storedTracker.readTarball('unmapped-1.0.0.tgz'))
+        })
+        .then(() => { throw didNotRejectError })
+        .catch(err => {
+          expect(err.code).to.equal('ENOENT')
+          done()
+        })
+        .catch(err => done(err))
+      })
+    })
   })
 
 })
@@ -0,0 +1,166 @@
+const crypto = require('crypto')
+const path = require('path')
+const promisify = require('util').promisify
+
+const expect = require('chai').expect
+const fs = require('graceful-fs')
+const mkdirAsync = promisify(fs.mkdir)
+const writeFileAsync = promisify(fs.writeFile)
+const rimrafAsync = promisify(require('rimraf'))
+
+const integrity = require('../integrity')
+
+const didNotRejectError = new Error("Failed to reject")
+const tempDir = 'test/assets/dir4'
+const filePath = path.join(tempDir, 'content.tgz')
+const content = 'Not really a tarball, but it will do for hashing'
+
+function sri(alg) {
+  return alg + '-' + crypto.createHash(alg).update(content).digest('base64')
+}
+
+describe('integrity module', function() {
+  before('make clean temp directory and populate', function(done) {
+    rimrafAsync(tempDir).then(() => mkdirAsync(tempDir))
+    .then(() => writeFileAsync(filePath, content))
+    .then(() => done())
+    .catch(err => done(err))
+  })
+  after('remove temporary test assets', function(done) {
+    rimrafAsync(tempDir).then(() => done())
+    .catch(err => done(err))
+  })
+
+  describe('parse()', function() {
+    it('should return null for values that contain no usable SRI entry', function() {
+      const badValues = [ undefined, null, 42, '', 'sha512', 'md5-abcd', '-abcd' ]
+      for (let i = 0; i < badValues.length; ++i)
+        expect(integrity.parse(badValues[i])).to.be.null
+    })
+
+    it('should map each recognized algorithm to its digests', function() {
+      const sha512 = sri('sha512')
+      const sha1 = sri('sha1')
+      const result = integrity.parse(`${sha1} md5-ignored ${sha512}`)
+      expect(result).to.have.all.keys([ 'sha1', 'sha512' ])
+      expect(result.sha1).to.deep.equal([ sha1.slice(5) ])
+      expect(result.sha512).to.deep.equal([ sha512.slice(7) ])
+    })
+  })
+
+  describe('compare()', function() {
+    it('should compare by the strongest algorithm in common', function() {
+      const wrong512 = 'sha512-' + Buffer.alloc(64).toString('base64')
+      expect(integrity.compare(sri('sha512'), `${sri('sha1')} ${sri('sha512')}`)).to.be.true
+      expect(integrity.compare(`${sri('sha1')} ${wrong512}`, `${sri('sha1')} ${sri('sha512')}`)).to.be.false
+      expect(integrity.compare(sri('sha1'), `${wrong512} ${sri('sha1')}`)).to.be.true
+    })
+
+    it('should return null when there is no algorithm in common', function() {
+      expect(integrity.compare(sri('sha1'), sri('sha512'))).to.be.null
+      expect(integrity.compare(sri('sha512'), 'md5-whatever')).to.be.null
+    })
+  })
+
+  describe('calculate()', function() {
+    it('should resolve to a sha512 SRI string by default', function(done) {
+      integrity.calculate(filePath).then(result => {
+        expect(result).to.equal(sri('sha512'))
+        done()
+      })
+      .catch(err => done(err))
+    })
+
+    it('should use the named algorithm when given', function(done) {
+      integrity.calculate(filePath, 'sha1').then(result => {
+        expect(result).to.equal(sri('sha1'))
+        done()
+      })
+      .catch(err => done(err))
+    })
+
+    it('should reject for an unsupported algorithm', function(done) {
+      integrity.calculate(filePath, 'md5')
+      .then(() => done(didNotRejectError))
+      .catch(err => {
+        expect(err).to.be.an.instanceOf(RangeError)
+        done()
+      })
+      .catch(err => done(err))
+    })
+
+    it('should take the content in a Buffer instead of a path', function(done) {
+      integrity.calculate(Buffer.from(content)).then(result => {
+        expect(result).to.equal(sri('sha512'))
+        done()
+      })
+      .catch(err => done(err))
+    })
+
+    it('should reject with ENOENT for a missing file', function(done) {
+      integrity.calculate(path.join(tempDir, 'NOT_THERE.tgz'))
+      .then(() => done(didNotRejectError))
+      .catch(err => {
+        expect(err.code).to.equal('ENOENT')
+        done()
+      })
+      .catch(err => done(err))
+    })
+  })
+
+  describe('check()', function() {
+    it('should resolve when the file matches a sha512 integrity', function(done) {
+      integrity.check(filePath, sri('sha512')).then(result => {
+        expect(result).to.equal(sri('sha512'))
+        done()
+      })
+      .catch(err => done(err))
+    })
+
+    it('should fall back to sha1 when that is all the integrity has', function(done) {
+      integrity.check(filePath, sri('sha1')).then(result => {
+        expect(result).to.equal(sri('sha1'))
+        done()
+      })
+      .catch(err => done(err))
+    })
+
+    it('should reject with EINTEGRITY when the file does not match', function(done) {
+      const wrong = 'sha512-' + Buffer.alloc(64).toString('base64')
+      integrity.check(filePath, wrong)
+      .then(() => done(didNotRejectError))
+      .catch(err => {
+        expect(err.code).to.equal('EINTEGRITY')
+        expect(err.path).to.equal(filePath)
+        expect(err.expected).to.equal(wrong)
+        expect(err.found).to.equal(sri('sha512'))
+        done()
+      })
+      .catch(err => done(err))
+    })
+
+    it('should check the content in a Buffer, with no path in the error', function(done) {
+      integrity.check(Buffer.from(content), sri('sha256')).then(result => {
+        expect(result).to.equal(sri('sha256'))
+        return integrity.check(Buffer.from('Other content'), sri('sha512'))
+      })
+      .then(() => done(didNotRejectError))
+      .catch(err => {
+        expect(err.code).to.equal('EINTEGRITY')
+        expect(err).to.not.have.property('path')
+        done()
+      })
+      .catch(err => done(err))
+    })
+
+    it('should reject with EBADINTEGRITY when given an unusable value', function(done) {
+      integrity.check(filePath, 'md5-whatever')
+      .then(() => done(didNotRejectError))
+      .catch(err => {
+        expect(err.code).to.equal('EBADINTEGRITY')
+        done()
+      })
+      .catch(err => done(err))
+    })
+  })
+})
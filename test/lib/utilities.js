@@ -1,5 +1,11 @@
+const path = require('path')
 const promisify = require('util').promisify
+const fs = require('graceful-fs')
+const mkdirAsync = promisify(fs.mkdir)
+const writeFileAsync = promisify(fs.writeFile)
 const npf = require('@offliner/npm-package-filename')
+const rimrafAsync = promisify(require('rimraf'))
+const tar = require('tar')
 
 const dataKeys = {
   semver: {
@@ -34,7 +40,27 @@ const tarballNames = {
   url: npf.makeTarballName({ type: 'url', url: dataKeys.url })
 }
 
+// Create a gzipped tarball at filePath with the layout of an npm package,
+// where the package.json has the content of the given object.
+// topDir, if given, replaces 'package' as the name of the top-level
+// directory, as in the archives of git hosts.
+// Uses a scratch directory next to the target file.
+function makePackageTarball(filePath, pkgData, topDir) {
+  const scratchDir = filePath + '.d'
+  topDir = topDir || 'package'
+  const pkgDir = path.join(scratchDir, topDir)
+  return rimrafAsync(scratchDir)
+  .then(() => mkdirAsync(scratchDir))
+  .then(() => mkdirAsync(pkgDir))
+  .then(() => writeFileAsync(
+    path.join(pkgDir, 'package.json'), JSON.stringify(pkgData)
+  ))
+  .then(() => tar.c({ gzip: true, file: filePath, cwd: scratchDir }, [ topDir ]))
+  .then(() => rimrafAsync(scratchDir))
+}
+
 module.exports = {
   dataKeys: dataKeys,
-  tarballNames: tarballNames
+  tarballNames: tarballNames,
+  makePackageTarball: makePackageTarball
 }
@@ -0,0 +1,180 @@
+const path = require('path')
+const promisify = require('util').promisify
+
+const expect = require('chai').expect
+const fs = require('graceful-fs')
+const accessAsync = promisify(fs.access)
+const mkdirAsync = promisify(fs.mkdir)
+const statAsync = promisify(fs.stat)
+const utimesAsync = promisify(fs.utimes)
+const writeFileAsync = promisify(fs.writeFile)
+const rimrafAsync = promisify(require('rimraf'))
+
+const mapLock = require('../map-lock')
+
+const didNotRejectError = new Error("Failed to reject")
+const tempDir = 'test/assets/dir6'
+const lockPath = path.join(tempDir, 'dltracker.json.lock')
+const fileExists = filePath => accessAsync(filePath).then(() => true, () => false)
+
+// A separate instance of the module, that uses the given replacements for
+// functions of fs
+function loadWithFs(replacements) {
+  const modPath = require.resolve('../map-lock')
+  const saved = {}
+  for (let name in replacements) {
+    saved[name] = fs[name]
+    fs[name] = replacements[name]
+  }
+  delete require.cache[modPath]
+  try { return require(modPath) }
+  finally {
+    Object.assign(fs, saved)
+    delete require.cache[modPath]
+  }
+}
+
+describe('mapLock module', function() {
+  before('make clean temp directory', function(done) {
+    rimrafAsync(tempDir).then(() => mkdirAsync(tempDir))
+    .then(() => done())
+    .catch(err => done(err))
+  })
+  after('remove temporary test assets', function(done) {
+    rimrafAsync(tempDir).then(() => done())
+    .catch(err => done(err))
+  })
+
+  it('should create the lock file, and remove it on release', function(done) {
+    mapLock.acquire(lockPath).then(release => {
+      expect(release).to.be.a('function')
+      return fileExists(lockPath).then(exists => {
+        expect(exists).to.be.true
+        return release()
+      })
+    })
+    .then(() => fileExists(lockPath))
+    .then(exists => {
+      expect(exists).to.be.false
+      done()
+    })
+    .catch(err => done(err))
+  })
+
+  it('should wait for a lock held elsewhere to be released', function(done) {
+    let order = []
+    mapLock.acquire(lockPath).then(release1 => {
+      const waiting = mapLock.acquire(lockPath).then(release2 => {
+        order.push('acquired 2')
+        return release2()
+      })
+      setTimeout(() => {
+        order.push('releasing 1')
+        release1()
+      }, 150)
+      return waiting
+    })
+    .then(() => {
+      expect(order).to.deep.equal([ 'releasing 1', 'acquired 2' ])
+      done()
+    })
+    .catch(err => done(err))
+  })
+
+  it('should reject with ELOCKED when the lock is not released in time', function(done) {
+    mapLock.acquire(lockPath).then(release => {
+      return mapLock.acquire(lockPath, { timeout: 200 })
+      .then(() => done(didNotRejectError))
+      .catch(err => {
+        expect(err.code).to.equal('ELOCKED')
+        return release()
+      })
+    })
+    .then(() => done())
+    .catch(err => done(err))
+  })
+
+  it('should take over a lock file that has gone stale', function(done) {
+    const longAgo = new Date(Date.now() - 60000)
+    writeFileAsync(lockPath, '{}')
+    .then(() => utimesAsync(lockPath, longAgo, longAgo))
+    .then(() => mapLock.acquire(lockPath, { timeout: 200 }))
+    .then(release => release())
+    .then(() => done())
+    .catch(err => done(err))
+  })
+
+  it('should not remove a lock file that replaced the stale one it found', function(done) {
+    const longAgo = new Date(Date.now() - 60000)
+    const readFile = fs.readFile
+    let replaced = false
+    // Another process takes over right after we first read the stale file
+    const racingLock = loadWithFs({
+      readFile: function(filePath, encoding, cb) {
+        readFile(filePath, encoding, (err, content) => {
+          if (err || replaced) return cb(err, content)
+          replaced = true
+          fs.unlink(lockPath, () =>
+            fs.writeFile(lockPath, '{"pid":-1}', () => cb(null, content))
+          )
+        })
+      }
+    })
+    writeFileAsync(lockPath, '{}')
+    .then(() => utimesAsync(lockPath, longAgo, longAgo))
+    .then(() => racingLock.acquire(lockPath, { timeout: 200 }))
+    .then(() => { throw didNotRejectError })
+    .catch(err => {
+      expect(err.code).to.equal('ELOCKED')
+      return promisify(fs.readFile)(lockPath, 'utf8')
+    })
+    .then(content => {
+      expect(content).to.equal('{"pid":-1}')
+      return promisify(fs.unlink)(lockPath)
+    })
+    .then(() => done())
+    .catch(err => done(err))
+  })
+
+  it('should keep the lock file fresh while the lock is held', function(done) {
+    const opts = { stale: 300, timeout: 100 }
+    let release
+    mapLock.acquire(lockPath, opts).then(result => {
+      release = result
+      return new Promise(resolve => setTimeout(resolve, 700))
+    })
+    .then(() => statAsync(lockPath))
+    .then(stats => {
+      expect(Date.now() - stats.mtime.getTime()).to.be.below(opts.stale)
+      return mapLock.acquire(lockPath, opts)
+    })
+    .then(() => { throw didNotRejectError })
+    .catch(err => {
+      expect(err.code).to.equal('ELOCKED')
+      return release()
+    })
+    .then(() => done())
+    .catch(err => done(err))
+  })
+
+  it('should remove the lock file if writing it fails', function(done) {
+    const failingLock = loadWithFs({
+      writeFile: function(fd, content, cb) {
+        const err = new Error('ENOSPC: no space left on device')
+        err.code = 'ENOSPC'
+        process.nextTick(() => cb(err))
+      }
+    })
+    failingLock.acquire(lockPath)
+    .then(() => { throw didNotRejectError })
+    .catch(err => {
+      expect(err.code).to.equal('ENOSPC')
+      return fileExists(lockPath)
+    })
+    .then(exists => {
+      expect(exists).to.be.false
+      done()
+    })
+    .catch(err => done(err))
+  })
+})
@@ -0,0 +1,214 @@
+const path = require('path')
+const promisify = require('util').promisify
+
+const expect = require('chai').expect
+const fs = require('graceful-fs')
+const mkdirAsync = promisify(fs.mkdir)
+const writeFileAsync = promisify(fs.writeFile)
+const rimrafAsync = promisify(require('rimraf'))
+
+const npmLockfile = require('../npm-lockfile')
+
+const didNotRejectError = new Error("Failed to reject")
+const tempDir = 'test/assets/dir9'
+const commit = '0123456789abcdef0123456789abcdef01234567'
+const sri = 'sha512-' + Buffer.alloc(64, 1).toString('base64')
+
+const lockV3 = {
+  name: 'project', version: '1.0.0', lockfileVersion: 3, requires: true,
+  packages: {
+    '': { name: 'project', version: '1.0.0' },
+    'node_modules/abc': {
+      version: '1.2.3',
+      resolved: 'https://registry.npmjs.org/abc/-/abc-1.2.3.tgz',
+      integrity: sri
+    },
+    'node_modules/@scope/def': {
+      version: '2.0.0',
+      resolved: 'https://registry.npmjs.org/@scope/def/-/def-2.0.0.tgz',
+      dev: true
+    },
+    'node_modules/abc/node_modules/ghi': {
+      version: '0.1.0', optional: true
+    },
+    'node_modules/remote': {
+      version: '3.0.0',
+      resolved: 'https://example.com/downloads/remote.tgz'
+    },
+    'node_modules/from-git': {
+      version: '4.0.0',
+      resolved: `git+ssh://git@github.com/someUser/from-git.git#${commit}`
+    },
+    'node_modules/linked': { resolved: 'packages/linked', link: true },
+    'node_modules/abc/node_modules/bundled': { version: '1.0.0', inBundle: true },
+    'node_modules/local': { version: '1.0.0', resolved: 'file:../local.tgz' }
+  }
+}
+
+const lockV1 = {
+  name: 'project', version: '1.0.0', lockfileVersion: 1, requires: true,
+  dependencies: {
+    abc: {
+      version: '1.2.3',
+      resolved: 'https://registry.npmjs.org/abc/-/abc-1.2.3.tgz',
+      integrity: sri,
+      dependencies: {
+        ghi: { version: '0.1.0', optional: true }
+      }
+    },
+    'from-git': {
+      version: `github:someUser/from-git#${commit}`,
+      from: 'github:someUser/from-git'
+    },
+    remote: {
+      version: 'https://example.com/downloads/remote.tgz'
+    },
+    local: { version: 'file:../local' }
+  }
+}
+
+describe('npm-lockfile module', function() {
+  before('make clean temp directory', function(done) {
+    rimrafAsync(tempDir).then(() => mkdirAsync(tempDir))
+    .then(() => done())
+    .catch(err => done(err))
+  })
+  after('remove temporary test assets', function(done) {
+    rimrafAsync(tempDir).then(() => done())
+    .catch(err => done(err))
+  })
+
+  describe('parse()', function() {
+    it('should throw ELOCKFILE for content that is not a supported lockfile', function() {
+      const badValues = [ undefined, null, 42, {}, { lockfileVersion: 4 } ]
+      for (let i = 0; i < badValues.length; ++i)
+        expect(() => npmLockfile.parse(badValues[i]))
+          .to.throw().with.property('code', 'ELOCKFILE')
+    })
+
+    it('should make a tracker query for each installed location of a v3 lockfile', function() {
+      const result = npmLockfile.parse(lockV3)
+      expect(result.lockfileVersion).to.equal(3)
+      expect(result.entries).to.deep.equal([
+        {
+          location: 'node_modules/abc',
+          type: 'semver', name: 'abc', spec: '1.2.3', integrity: sri
+        },
+        {
+          location: 'node_modules/@scope/def',
+          type: 'semver', name: '@scope/def', spec: '2.0.0', dev: true
+        },
+        {
+          location: 'node_modules/abc/node_modules/ghi',
+          type: 'semver', name: 'ghi', spec: '0.1.0', optional: true
+        },
+        {
+          location: 'node_modules/remote',
+          type: 'url', name: '', spec: 'https://example.com/downloads/remote.tgz'
+        },
+        {
+          location: 'node_modules/from-git',
+          type: 'git', name: 'github.com/someUser/from-git', spec: commit
+        }
+      ])
+      expect(result.skipped).to.deep.equal([
+        { location: 'node_modules/linked', name: 'linked', reason: 'link' },
+        {
+          location: 'node_modules/abc/node_modules/bundled',
+          name: 'bundled', reason: 'bundled'
+        },
+        { location: 'node_modules/local', name: 'local', reason: 'local' }
+      ])
+    })
+
+    it('should get the same queries from the dependencies tree of a v1 lockfile', function() {
+      const result = npmLockfile.parse(lockV1)
+      expect(result.lockfileVersion).to.equal(1)
+      expect(result.entries).to.deep.equal([
+        {
+          location: 'node_modules/abc',
+          type: 'semver', name: 'abc', spec: '1.2.3', integrity: sri
+        },
+        {
+          location: 'node_modules/abc/node_modules/ghi',
+          type: 'semver', name: 'ghi', spec: '0.1.0', optional: true
+        },
+        {
+          location: 'node_modules/from-git',
+          type: 'git', name: 'github.com/someUser/from-git', spec: commit
+        },
+        {
+          location: 'node_modules/remote',
+          type: 'url', name: '', spec: 'https://example.com/downloads/remote.tgz'
+        }
+      ])
+      expect(result.skipped).to.deep.equal([
+        { location: 'node_modules/local', name: 'local', reason: 'local' }
+      ])
+    })
+
+    it('should prefer the packages of a v2 lockfile over its dependencies', function() {
+      const lockV2 = Object.assign({}, lockV3, {
+        lockfileVersion: 2, dependencies: lockV1.dependencies
+      })
+      expect(npmLockfile.parse(lockV2).entries)
+        .to.deep.equal(npmLockfile.parse(lockV3).entries)
+    })
+
+    it('should skip the workspace folders of a project as local', function() {
+      const result = npmLockfile.parse({
+        name: 'project', version: '1.0.0', lockfileVersion: 3, requires: true,
+        packages: {
+          '': { name: 'project', version: '1.0.0', workspaces: [ 'packages/*' ] },
+          'node_modules/foo': { resolved: 'packages/foo', link: true },
+          'packages/foo': {
+            name: 'foo', version: '0.1.0', dependencies: { abc: '^1.2.0' }
+          },
+          'packages/foo/node_modules/abc': {
+            version: '1.2.3',
+            resolved: 'https://registry.npmjs.org/abc/-/abc-1.2.3.tgz',
+            integrity: sri
+          },
+          'tools/other': { name: 'elsewhere', version: '1.0.0' }
+        }
+      })
+      expect(result.entries).to.deep.equal([
+        {
+          location: 'packages/foo/node_modules/abc',
+          type: 'semver', name: 'abc', spec: '1.2.3', integrity: sri
+        }
+      ])
+      expect(result.skipped).to.deep.equal([
+        { location: 'node_modules/foo', name: 'foo', reason: 'link' },
+        { location: 'packages/foo', name: 'foo', reason: 'local' },
+        { location: 'tools/other', name: 'elsewhere', reason: 'local' }
+      ])
+    })
+  })
+
+  describe('read()', function() {
+    it('should resolve to the parsed content of a lockfile', function(done) {
+      const lockPath = path.join(tempDir, 'package-lock.json')
+      writeFileAsync(lockPath, '\uFEFF' + JSON.stringify(lockV3))
+      .then(() => npmLockfile.read(lockPath))
+      .then(result => {
+        expect(result).to.deep.equal(npmLockfile.parse(lockV3))
+        done()
+      })
+      .catch(err => done(err))
+    })
+
+    it('should reject with ELOCKFILE if the file does not contain JSON', function(done) {
+      const lockPath = path.join(tempDir, 'npm-shrinkwrap.json')
+      writeFileAsync(lockPath, 'lockfileVersion: 3')
+      .then(() => npmLockfile.read(lockPath))
+      .then(() => done(didNotRejectError))
+      .catch(err => {
+        expect(err.code).to.equal('ELOCKFILE')
+        expect(err.path).to.equal(lockPath)
+        done()
+      })
+      .catch(err => done(err))
+    })
+  })
+})
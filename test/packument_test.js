@@ -0,0 +1,63 @@
+const crypto = require('crypto')
+
+const expect = require('chai').expect
+
+const packument = require('../packument')
+
+const sha1Hex = crypto.createHash('sha1').update('content').digest('hex')
+const sha1Sri = 'sha1-' + Buffer.from(sha1Hex, 'hex').toString('base64')
+const versions = {
+  '1.0.0': {
+    filename: 'example-1.0.0.tar.gz',
+    integrity: 'sha512-AAAA',
+    dependencies: { other: '^2' },
+    _resolved: 'not for the packument'
+  },
+  '1.1.0': { filename: 'example-1.1.0.tar.gz', integrity: sha1Sri },
+  '2.0.0-beta.1': { filename: 'example-2.0.0-beta.1.tar.gz' },
+  '3.0.0': { _resolved: 'a record without a file' }
+}
+const tags = {
+  beta: { version: '2.0.0-beta.1' },
+  orphan: { version: '9.9.9' }
+}
+
+describe('packument module', function() {
+  describe('tarballPath()', function() {
+    it('should give the registry-style path with the filename URI-encoded', function() {
+      expect(packument.tarballPath('@scope/example', 'a%2Fb.tgz'))
+        .to.equal('@scope/example/-/a%252Fb.tgz')
+    })
+  })
+
+  describe('build()', function() {
+    const doc = packument.build('example', versions, tags, 'http://localhost:1234/')
+
+    it('should include only versions that have a tarball', function() {
+      expect(doc.name).to.equal('example')
+      expect(doc.versions).to.have.all.keys([ '1.0.0', '1.1.0', '2.0.0-beta.1' ])
+    })
+
+    it('should give each version its dist data and recorded dependencies', function() {
+      expect(doc.versions['1.0.0']).to.deep.equal({
+        name: 'example',
+        version: '1.0.0',
+        dependencies: { other: '^2' },
+        dist: {
+          tarball: 'http://localhost:1234/example/-/example-1.0.0.tar.gz',
+          integrity: 'sha512-AAAA'
+        }
+      })
+      expect(doc.versions['1.1.0'].dist.shasum).to.equal(sha1Hex)
+      expect(doc.versions['2.0.0-beta.1'].dist).to.not.have.property('integrity')
+    })
+
+    it('should take dist-tags from the tags, and make latest the highest release', function() {
+      expect(doc['dist-tags']).to.deep.equal({ beta: '2.0.0-beta.1', latest: '1.1.0' })
+    })
+
+    it('should return null when there are no versions with a tarball', function() {
+      expect(packument.build('example', { '3.0.0': {} }, null, 'http://x')).to.be.null
+    })
+  })
+})
@@ -0,0 +1,242 @@
+const path = require('path')
+const promisify = require('util').promisify
+
+const expect = require('chai').expect
+const fs = require('graceful-fs')
+const mkdirAsync = promisify(fs.mkdir)
+const writeFileAsync = promisify(fs.writeFile)
+const rimrafAsync = promisify(require('rimraf'))
+
+const pnpmLockfile = require('../pnpm-lockfile')
+
+const didNotRejectError = new Error("Failed to reject")
+const tempDir = 'test/assets/dir11'
+const commit = '0123456789abcdef0123456789abcdef01234567'
+const sri1 = 'sha512-' + Buffer.alloc(64, 1).toString('base64')
+const sri2 = 'sha512-' + Buffer.alloc(64, 2).toString('base64')
+
+const lockTextV6 = `lockfileVersion: '6.0'
+
+settings:
+  autoInstallPeers: true
+  excludeLinksFromLockfile: false
+
+dependencies:
+  abc:
+    specifier: ^1.2.0
+    version: 1.2.3
+  local:
+    specifier: file:../local
+    version: file:../local
+
+packages:
+
+  /abc@1.2.3:
+    resolution: {integrity: ${sri1}}
+    engines: {node: '>=8'}
+    dependencies:
+      '@scope/def': 2.0.0(react@18.2.0)
+    dev: false
+
+  /@scope/def@2.0.0(react@18.2.0):
+    resolution: {integrity: ${sri2}}
+    peerDependencies:
+      react: '*'
+    cpu: [x64, arm64]
+    dev: true
+    optional: true
+
+  github.com/someUser/from-git/${commit}:
+    resolution: {tarball: https://codeload.github.com/someUser/from-git/tar.gz/${commit}}
+    name: from-git
+    version: 4.0.0
+    dev: false
+
+  '@example.com/downloads/remote.tgz':
+    resolution: {tarball: https://example.com/downloads/remote.tgz}
+    name: remote
+    version: 3.0.0
+    dev: false
+
+  file:../local:
+    resolution: {directory: ../local, type: directory}
+    name: local
+    version: 1.0.0
+    dev: false
+`
+
+const lockTextV5 = `lockfileVersion: 5.4
+
+specifiers:
+  abc: ^1.2.0
+
+dependencies:
+  abc: 1.2.3
+
+packages:
+
+  /abc/1.2.3:
+    resolution: {integrity: ${sri1}}
+    dev: false
+
+  /@scope/def/2.0.0_react@18.2.0:
+    resolution: {integrity: ${sri2}}
+    dev: true
+`
+
+const lockTextV9 = `lockfileVersion: '9.0'
+
+importers:
+
+  .:
+    dependencies:
+      abc:
+        specifier: ^1.2.0
+        version: 1.2.3
+
+packages:
+
+  '@scope/def@2.0.0':
+    resolution: {integrity: ${sri2}}
+    peerDependencies:
+      react: '*'
+
+  abc@1.2.3:
+    resolution: {integrity: ${sri1}}
+
+  other@git+https://gitlab.com/someUser/other.git#${commit}:
+    resolution: {commit: ${commit}, repo: https://gitlab.com/someUser/other.git, type: git}
+    version: 1.0.0
+
+snapshots:
+
+  abc@1.2.3:
+    dependencies:
+      '@scope/def': 2.0.0
+`
+
+const semverEntries = [
+  { type: 'semver', name: 'abc', spec: '1.2.3', integrity: sri1 },
+  { type: 'semver', name: '@scope/def', spec: '2.0.0', integrity: sri2 }
+]
+
+describe('pnpm-lockfile module', function() {
+  before('make clean temp directory', function(done) {
+    rimrafAsync(tempDir).then(() => mkdirAsync(tempDir))
+    .then(() => done())
+    .catch(err => done(err))
+  })
+  after('remove temporary test assets', function(done) {
+    rimrafAsync(tempDir).then(() => done())
+    .catch(err => done(err))
+  })
+
+  describe('parse()', function() {
+    it('should throw ELOCKFILE for content that is not a supported lockfile', function() {
+      const badValues = [
+        undefined, 42, '', 'just a string', "lockfileVersion: '4.0'\n",
+        "lockfileVersion: '6.0'\npackages:\n  /abc@1.2.3:\n    resolution: {integrity: x\n",
+        "lockfileVersion: '6.0'\n  packages: {}\n"
+      ]
+      for (let i = 0; i < badValues.length; ++i)
+        expect(() => pnpmLockfile.parse(badValues[i]))
+          .to.throw().with.property('code', 'ELOCKFILE')
+    })
+
+    it('should make a tracker query for each package of a version 6 lockfile', function() {
+      const result = pnpmLockfile.parse(lockTextV6)
+      expect(result.lockfileVersion).to.equal('6.0')
+      expect(result.entries).to.deep.equal([
+        Object.assign({ location: '/abc@1.2.3' }, semverEntries[0]),
+        Object.assign(
+          { location: '/@scope/def@2.0.0(react@18.2.0)' }, semverEntries[1],
+          { dev: true, optional: true }
+        ),
+        {
+          location: `github.com/someUser/from-git/${commit}`,
+          type: 'git', name: 'github.com/someUser/from-git', spec: commit
+        },
+        {
+          location: '@example.com/downloads/remote.tgz',
+          type: 'url', name: '', spec: 'https://example.com/downloads/remote.tgz'
+        }
+      ])
+      expect(result.skipped).to.deep.equal([
+        { location: 'file:../local', name: 'local', reason: 'local' }
+      ])
+    })
+
+    it('should understand the package keys of a version 5 lockfile', function() {
+      const result = pnpmLockfile.parse(lockTextV5)
+      expect(result.lockfileVersion).to.equal(5.4)
+      expect(result.entries).to.deep.equal([
+        Object.assign({ location: '/abc/1.2.3' }, semverEntries[0]),
+        Object.assign(
+          { location: '/@scope/def/2.0.0_react@18.2.0' }, semverEntries[1],
+          { dev: true }
+        )
+      ])
+    })
+
+    it('should keep an underscore in a package name of a version 5 lockfile', function() {
+      const result = pnpmLockfile.parse([
+        'lockfileVersion: 5.4', '', 'packages:', '',
+        '  /string_decoder/1.3.0:',
+        `    resolution: {integrity: ${sri1}}`,
+        '  /@scope/under_score/2.0.0_react@18.2.0:',
+        `    resolution: {integrity: ${sri2}}`,
+        ''
+      ].join('\n'))
+      expect(result.entries).to.deep.equal([
+        {
+          location: '/string_decoder/1.3.0',
+          type: 'semver', name: 'string_decoder', spec: '1.3.0', integrity: sri1
+        },
+        {
+          location: '/@scope/under_score/2.0.0_react@18.2.0',
+          type: 'semver', name: '@scope/under_score', spec: '2.0.0', integrity: sri2
+        }
+      ])
+      expect(result.skipped).to.be.empty
+    })
+
+    it('should understand the package keys of a version 9 lockfile', function() {
+      const result = pnpmLockfile.parse(lockTextV9)
+      expect(result.entries).to.deep.equal([
+        Object.assign({ location: '@scope/def@2.0.0' }, semverEntries[1]),
+        Object.assign({ location: 'abc@1.2.3' }, semverEntries[0]),
+        {
+          location: `other@git+https://gitlab.com/someUser/other.git#${commit}`,
+          type: 'git', name: 'gitlab.com/someUser/other', spec: commit
+        }
+      ])
+      expect(result.skipped).to.be.empty
+    })
+  })
+
+  describe('read()', function() {
+    it('should resolve to the parsed content of a lockfile', function(done) {
+      const lockPath = path.join(tempDir, 'pnpm-lock.yaml')
+      writeFileAsync(lockPath, lockTextV6)
+      .then(() => pnpmLockfile.read(lockPath))
+      .then(result => {
+        expect(result).to.deep.equal(pnpmLockfile.parse(lockTextV6))
+        done()
+      })
+      .catch(err => done(err))
+    })
+
+    it('should reject with ELOCKFILE if the file is not a pnpm lockfile', function(done) {
+      const lockPath = path.join(tempDir, 'bad.yaml')
+      writeFileAsync(lockPath, '{ "lockfileVersion": 3 }')
+      .then(() => pnpmLockfile.read(lockPath))
+      .then(() => done(didNotRejectError))
+      .catch(err => {
+        expect(err.code).to.equal('ELOCKFILE')
+        expect(err.path).to.equal(lockPath)
+        done()
+      })
+      .catch(err => done(err))
+    })
+  })
+})
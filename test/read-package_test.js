@@ -0,0 +1,98 @@
+const path = require('path')
+const promisify = require('util').promisify
+
+const expect = require('chai').expect
+const fs = require('graceful-fs')
+const mkdirAsync = promisify(fs.mkdir)
+const writeFileAsync = promisify(fs.writeFile)
+const rimrafAsync = promisify(require('rimraf'))
+const tar = require('tar')
+
+const ut = require('./lib/utilities')
+const readPackage = require('../read-package')
+
+const didNotRejectError = new Error("Failed to reject")
+const tempDir = 'test/assets/dir5'
+const pkgData = { name: 'example', version: '1.2.3', description: 'test package' }
+const goodPath = path.join(tempDir, 'good.tgz')
+const truncatedPath = path.join(tempDir, 'truncated.tgz')
+const garbagePath = path.join(tempDir, 'garbage.tgz')
+const noPkgJsonPath = path.join(tempDir, 'no-pkgjson.tgz')
+const otherDirPath = path.join(tempDir, 'other-dir.tgz')
+
+describe('readPackage module', function() {
+  before('make clean temp directory and populate', function(done) {
+    rimrafAsync(tempDir).then(() => mkdirAsync(tempDir))
+    .then(() => ut.makePackageTarball(goodPath, pkgData))
+    .then(() => promisify(fs.readFile)(goodPath))
+    .then(content => writeFileAsync(truncatedPath, content.slice(0, 40)))
+    .then(() => writeFileAsync(garbagePath, 'This is not a tarball'))
+    .then(() => tar.c(
+      { gzip: true, file: noPkgJsonPath }, [ 'test/assets/package' ]
+    ))
+    .then(() => ut.makePackageTarball(otherDirPath, pkgData, 'foo'))
+    .then(() => done())
+    .catch(err => done(err))
+  })
+  after('remove temporary test assets', function(done) {
+    rimrafAsync(tempDir).then(() => done())
+    .catch(err => done(err))
+  })
+
+  it('should resolve to the package.json data of a package tarball', function(done) {
+    readPackage(goodPath).then(pkg => {
+      expect(pkg).to.deep.equal(pkgData)
+      done()
+    })
+    .catch(err => done(err))
+  })
+
+  it('should read the package.json from tarball content in a Buffer', function(done) {
+    promisify(fs.readFile)(goodPath).then(content => readPackage(content))
+    .then(pkg => {
+      expect(pkg).to.deep.equal(pkgData)
+      return readPackage(Buffer.from('This is not a tarball'))
+    })
+    .then(() => done(didNotRejectError))
+    .catch(err => {
+      expect(err.code).to.equal('ETARBALL')
+      done()
+    })
+    .catch(err => done(err))
+  })
+
+  it('should take package.json from any top-level directory, unless npmLayout is set', function(done) {
+    readPackage(otherDirPath).then(pkg => {
+      expect(pkg).to.deep.equal(pkgData)
+      return readPackage(goodPath, { npmLayout: true })
+    })
+    .then(pkg => {
+      expect(pkg).to.deep.equal(pkgData)
+      return readPackage(otherDirPath, { npmLayout: true })
+    })
+    .then(() => done(didNotRejectError))
+    .catch(err => {
+      expect(err.code).to.equal('ENOPKGJSON')
+      done()
+    })
+    .catch(err => done(err))
+  })
+
+  const badCases = [
+    { desc: 'a missing file', filePath: path.join(tempDir, 'NOT_THERE.tgz'), code: 'ENOENT' },
+    { desc: 'a truncated tarball', filePath: truncatedPath, code: 'ETARBALL' },
+    { desc: 'a file that is not a tarball', filePath: garbagePath, code: 'ETARBALL' },
+    { desc: 'a tarball without package.json', filePath: noPkgJsonPath, code: 'ENOPKGJSON' }
+  ]
+  for (const item of badCases) {
+    it(`should reject with ${item.code} for ${item.desc}`, function(done) {
+      readPackage(item.filePath)
+      .then(() => done(didNotRejectError))
+      .catch(err => {
+        expect(err.code).to.equal(item.code)
+        done()
+      })
+      .catch(err => done(err))
+    })
+  }
+})
@@ -9,7 +9,9 @@ const rimraf = require('rimraf')
 const rimrafAsync = promisify(rimraf)
 
 const ut = require('./lib/utilities')
+const integrity = require('../integrity')
 const reconstructMap = require('../reconstruct-map')
+const storageAdapters = require('../storage')
 
 const didNotRejectError = new Error("Failed to reject")
 const emptyArgs = [ undefined, null, '' ]
@@ -132,12 +134,12 @@ describe('reconstructMap module', function() {
 
     expect(semverResults[semverInput.name]).to.have.property(semverInput.version)
     const semverDataFromSemver = semverResults[semverInput.name][semverInput.version]
-    expect(semverDataFromSemver).to.be.an('object').that.has.all.keys(['filename'])
+    expect(semverDataFromSemver).to.be.an('object').that.has.all.keys(['filename', 'reconstructed'])
     expect(semverDataFromSemver.filename).to.equal(ut.tarballNames.semver)
 
     expect(semverResults[tagInput.name]).to.have.property(tagInput.version)
     const semverDataFromTag = semverResults[tagInput.name][tagInput.version]
-    expect(semverDataFromTag).to.be.an('object').that.has.all.keys(['filename'])
+    expect(semverDataFromTag).to.be.an('object').that.has.all.keys(['filename', 'reconstructed'])
     expect(semverDataFromTag.filename).to.equal(ut.tarballNames.tag)
 
     const gitResults = currMap.git
@@ -145,13 +147,137 @@ describe('reconstructMap module', function() {
     expect(gitResults).to.be.an('object').that.has.all.keys([gitInput.repo])
     expect(gitResults[gitInput.repo]).to.be.an('object').that.has.all.keys([gitInput.commit])
     const gitData = gitResults[gitInput.repo][gitInput.commit]
-    expect(gitData).to.be.an('object').that.has.all.keys(['filename'])
+    expect(gitData).to.be.an('object').that.has.all.keys(['filename', 'reconstructed'])
     expect(gitData.filename).to.equal(ut.tarballNames.git)
 
     const urlResults = currMap.url
     const urlInput = npf.parse(ut.tarballNames.url).url
     expect(urlResults).to.have.all.keys(urlInput)
-    expect(urlResults[urlInput]).to.be.an('object').that.has.all.keys(['filename'])
+    expect(urlResults[urlInput]).to.be.an('object').that.has.all.keys(['filename', 'reconstructed'])
     expect(urlResults[urlInput].filename).to.equal(ut.tarballNames.url)
   })
+
+  describe('with readPackages option', function() {
+    const pkgsDir = 'test/assets/dir7'
+    const fullPkg = {
+      name: 'full-pkg', version: '1.0.0', description: 'not to be recorded',
+      dependencies: { 'dep-a': '^1.2.0' },
+      optionalDependencies: { 'dep-b': '~2.0.0' },
+      peerDependencies: { 'dep-c': '>=3' }
+    }
+    const mysteryPkg = { name: '@scope/mystery', version: '2.0.0' }
+    let pkgsMap
+
+    before('populate a directory with package tarballs', function(done) {
+      rimrafAsync(pkgsDir).then(() => mkdirAsync(pkgsDir))
+      .then(() => ut.makePackageTarball(path.join(pkgsDir, 'full-pkg-1.0.0.tgz'), fullPkg))
+      .then(() => ut.makePackageTarball(path.join(pkgsDir, 'mystery.tgz'), mysteryPkg))
+      .then(() => promisify(fs.writeFile)(path.join(pkgsDir, 'broken-1.0.0.tgz'), 'garbage'))
+      .then(() => done())
+      .catch(err => done(err))
+    })
+    after('remove temporary test assets', function(done) {
+      rimraf(pkgsDir, done)
+    })
+
+    it('should reject if options value is not an object', function(done) {
+      reconstructMap(pkgsDir, null, 'readPackages')
+      .then(() => { throw didNotRejectError })
+      .catch(err => {
+        expect(err).to.be.an.instanceOf(TypeError)
+        done()
+      })
+      .catch(err => done(err))
+    })
+
+    it('should resolve to a map of all the packages', function(done) {
+      reconstructMap(pkgsDir, null, { readPackages: true }).then(map => {
+        expect(map).to.have.all.keys(['semver'])
+        expect(map.semver).to.have.all.keys(['full-pkg', '@scope/mystery', 'broken'])
+        pkgsMap = map
+        done()
+      })
+      .catch(err => done(err))
+    })
+
+    it('should fill records with data from the package.json and the file content', function(done) {
+      const record = pkgsMap.semver['full-pkg']['1.0.0']
+      integrity.calculate(path.join(pkgsDir, 'full-pkg-1.0.0.tgz')).then(sri => {
+        expect(record).to.deep.equal({
+          filename: 'full-pkg-1.0.0.tgz',
+          dependencies: fullPkg.dependencies,
+          optionalDependencies: fullPkg.optionalDependencies,
+          peerDependencies: fullPkg.peerDependencies,
+          integrity: sri,
+          reconstructed: true
+        })
+        done()
+      })
+      .catch(err => done(err))
+    })
+
+    it('should use the package.json to identify a tarball with an unparseable name', function() {
+      const record = pkgsMap.semver[mysteryPkg.name][mysteryPkg.version]
+      expect(record).to.be.an('object')
+      expect(record.filename).to.equal('mystery.tgz')
+      expect(record.reconstructed).to.be.true
+    })
+
+    it('should fall back to a minimal record for an unreadable tarball', function() {
+      expect(pkgsMap.semver.broken['1.0.0']).to.deep.equal({
+        filename: 'broken-1.0.0.tgz', reconstructed: true
+      })
+    })
+  })
+
+  describe('with storage option', function() {
+    it('should reject if the storage lacks a required method', function(done) {
+      reconstructMap(tempDir, null, { storage: { list: () => Promise.resolve([]) } })
+      .then(() => { throw didNotRejectError })
+      .catch(err => {
+        expect(err).to.be.an.instanceOf(TypeError)
+        done()
+      })
+      .catch(err => done(err))
+    })
+
+    it('should list and read the tarballs through the storage instead of the directory', function(done) {
+      const pkgData = { name: 'stored-pkg', version: '3.0.0' }
+      const tarballPath = path.join(tempDir, 'stored-pkg-3.0.0.tgz')
+      ut.makePackageTarball(tarballPath, pkgData)
+      .then(() => promisify(fs.readFile)(tarballPath))
+      .then(content => {
+        const storage = storageAdapters.memoryAdapter({ 'stored-pkg-3.0.0.tgz': content })
+        return promisify(fs.unlink)(tarballPath)
+        .then(() => reconstructMap('NOT_A_DIR', null, { readPackages: true, storage: storage }))
+        .then(map => {
+          expect(map).to.have.all.keys(['semver'])
+          const record = map.semver['stored-pkg']['3.0.0']
+          expect(record.reconstructed).to.be.true
+          return integrity.check(content, record.integrity)
+        })
+      })
+      .then(() => done())
+      .catch(err => done(err))
+    })
+  })
+
+  describe('mapFiles()', function() {
+    it('should map parseable filenames to minimal records flagged as reconstructed', function() {
+      const map = reconstructMap.mapFiles(filenames)
+      expect(map).to.have.all.keys(['semver', 'git', 'url'])
+      const semverData = map.semver[ut.dataKeys.semver.name][ut.dataKeys.semver.version]
+      expect(semverData).to.deep.equal({
+        filename: ut.tarballNames.semver, reconstructed: true
+      })
+      const gitData = map.git[ut.dataKeys.git.repo][ut.dataKeys.git.commit]
+      expect(gitData).to.deep.equal({
+        filename: ut.tarballNames.git, reconstructed: true
+      })
+      const urlData = map.url[npf.parse(ut.tarballNames.url).url]
+      expect(urlData).to.deep.equal({
+        filename: ut.tarballNames.url, reconstructed: true
+      })
+    })
+  })
 })
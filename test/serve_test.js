@@ -0,0 +1,216 @@
+const http = require('http')
+const path = require('path')
+const promisify = require('util').promisify
+
+const expect = require('chai').expect
+const fs = require('graceful-fs')
+const mkdirAsync = promisify(fs.mkdir)
+const readFileAsync = promisify(fs.readFile)
+const rimrafAsync = promisify(require('rimraf'))
+
+const ut = require('./lib/utilities')
+const dltFactory = require('../')
+const serve = require('../serve')
+const storageAdapters = require('../storage')
+
+const didNotRejectError = new Error("Failed to reject")
+const tempDir = 'test/assets/dir8'
+const pkgs = [
+  { name: 'served', version: '1.0.0', filename: 'served-1.0.0.tgz' },
+  { name: 'served', version: '1.1.0', filename: 'served-1.1.0.tgz', spec: 'next' },
+  { name: '@scope/served', version: '0.1.0', filename: '%40scope%2Fserved-0.1.0.tgz' }
+]
+
+// Resolves to { status, headers, body (Buffer) }
+function request(port, method, urlPath) {
+  return new Promise((resolve, reject) => {
+    const req = http.request(
+      { host: '127.0.0.1', port: port, method: method, path: urlPath },
+      res => {
+        const chunks = []
+        res.on('data', chunk => chunks.push(chunk))
+        res.on('end', () => resolve({
+          status: res.statusCode, headers: res.headers, body: Buffer.concat(chunks)
+        }))
+      }
+    )
+    req.on('error', reject)
+    req.end()
+  })
+}
+
+describe('serve module', function() {
+  let tracker
+  let server
+  let port
+
+  before('make a tracker directory with packages, and serve it', function(done) {
+    function iteratePkgs(i) {
+      if (i >= pkgs.length) return Promise.resolve(null)
+      const item = pkgs[i]
+      return ut.makePackageTarball(path.join(tempDir, item.filename), {
+        name: item.name, version: item.version
+      })
+      .then(() => tracker.add(item.spec ? 'tag' : 'semver', item))
+      .then(() => iteratePkgs(i+1))
+    }
+
+    rimrafAsync(tempDir).then(() => mkdirAsync(tempDir))
+    .then(() => dltFactory.create(tempDir))
+    .then(result => {
+      tracker = result
+      return iteratePkgs(0)
+    })
+    .then(() => serve(tracker))
+    .then(result => {
+      server = result
+      port = server.address().port
+      done()
+    })
+    .catch(err => done(err))
+  })
+  after('stop the server and remove temporary test assets', function(done) {
+    const closing = server ? new Promise(resolve => server.close(resolve))
+                           : Promise.resolve()
+    closing.then(() => rimrafAsync(tempDir))
+    .then(() => done())
+    .catch(err => done(err))
+  })
+
+  it('should reject when not given a tracker', function(done) {
+    serve({})
+    .then(() => done(didNotRejectError))
+    .catch(err => {
+      expect(err).to.be.an.instanceOf(TypeError)
+      done()
+    })
+    .catch(err => done(err))
+  })
+
+  it('should reject when given an invalid port', function(done) {
+    serve(tracker, { port: 70000 })
+    .then(() => done(didNotRejectError))
+    .catch(err => {
+      expect(err).to.be.an.instanceOf(RangeError)
+      done()
+    })
+    .catch(err => done(err))
+  })
+
+  it('should serve the packument of a tracked package', function(done) {
+    request(port, 'GET', '/served').then(res => {
+      expect(res.status).to.equal(200)
+      expect(res.headers['content-type']).to.equal('application/json')
+      const doc = JSON.parse(res.body.toString())
+      expect(doc.name).to.equal('served')
+      expect(doc['dist-tags']).to.deep.equal({ next: '1.1.0', latest: '1.1.0' })
+      expect(doc.versions).to.have.all.keys([ '1.0.0', '1.1.0' ])
+      const dist = doc.versions['1.0.0'].dist
+      expect(dist.tarball).to.equal(`http://127.0.0.1:${port}/served/-/served-1.0.0.tgz`)
+      expect(dist.integrity).to.equal(tracker.getData('semver', 'served', '1.0.0').integrity)
+      done()
+    })
+    .catch(err => done(err))
+  })
+
+  it('should serve the packument of a scoped package requested the way npm does', function(done) {
+    request(port, 'GET', '/@scope%2fserved').then(res => {
+      expect(res.status).to.equal(200)
+      const doc = JSON.parse(res.body.toString())
+      expect(doc.name).to.equal('@scope/served')
+      expect(doc.versions).to.have.all.keys([ '0.1.0' ])
+      done()
+    })
+    .catch(err => done(err))
+  })
+
+  it('should serve a tarball at the URL given in the packument', function(done) {
+    let tarballUrl
+    request(port, 'GET', '/@scope%2fserved').then(res => {
+      tarballUrl = JSON.parse(res.body.toString()).versions['0.1.0'].dist.tarball
+      return request(port, 'GET', tarballUrl.replace(`http://127.0.0.1:${port}`, ''))
+    })
+    .then(res => {
+      expect(res.status).to.equal(200)
+      return readFileAsync(path.join(tempDir, pkgs[2].filename)).then(content => {
+        expect(res.body.equals(content)).to.be.true
+        done()
+      })
+    })
+    .catch(err => done(err))
+  })
+
+  it('should respond 404 for unknown packages and files', function(done) {
+    const paths = [
+      '/', '/not-served', '/served/-/not-served-1.0.0.tgz',
+      // A tracked file, but not of the named package
+      '/not-served/-/served-1.0.0.tgz',
+      '/served/-/..%2Fdltracker.json'
+    ]
+    function iteratePaths(i) {
+      if (i >= paths.length) return Promise.resolve(null)
+      return request(port, 'GET', paths[i]).then(res => {
+        expect(res.status, paths[i]).to.equal(404)
+        return iteratePaths(i+1)
+      })
+    }
+    iteratePaths(0).then(() => done())
+    .catch(err => done(err))
+  })
+
+  it('should respond 405 to methods other than GET and HEAD', function(done) {
+    request(port, 'PUT', '/served').then(res => {
+      expect(res.status).to.equal(405)
+      return request(port, 'HEAD', '/served')
+    })
+    .then(res => {
+      expect(res.status).to.equal(200)
+      expect(res.body).to.have.length(0)
+      done()
+    })
+    .catch(err => done(err))
+  })
+
+  describe('for a tracker with storage other than the filesystem', function() {
+    let memServer
+    let memPort
+    let content
+
+    before('make a tracker in memory with a package, and serve it', function(done) {
+      readFileAsync(path.join(tempDir, pkgs[0].filename)).then(result => {
+        content = result
+        const storage = storageAdapters.memoryAdapter({ [pkgs[0].filename]: content })
+        return dltFactory.create(path.join(tempDir, 'NOT_A_DIR'), { storage: storage })
+      })
+      .then(memTracker =>
+        memTracker.add('semver', pkgs[0]).then(() => serve(memTracker))
+      )
+      .then(result => {
+        memServer = result
+        memPort = memServer.address().port
+        done()
+      })
+      .catch(err => done(err))
+    })
+    after('stop the server', function(done) {
+      if (!memServer) return done()
+      memServer.close(() => done())
+    })
+
+    it('should serve a tarball from the storage', function(done) {
+      request(memPort, 'GET', '/served/-/served-1.0.0.tgz').then(res => {
+        expect(res.status).to.equal(200)
+        expect(Number(res.headers['content-length'])).to.equal(content.length)
+        expect(res.body.equals(content)).to.be.true
+        return request(memPort, 'HEAD', '/served/-/served-1.0.0.tgz')
+      })
+      .then(res => {
+        expect(res.status).to.equal(200)
+        expect(Number(res.headers['content-length'])).to.equal(content.length)
+        expect(res.body).to.have.length(0)
+        done()
+      })
+      .catch(err => done(err))
+    })
+  })
+})
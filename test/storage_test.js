@@ -0,0 +1,195 @@
+const path = require('path')
+const promisify = require('util').promisify
+
+const expect = require('chai').expect
+const fs = require('graceful-fs')
+const mkdirAsync = promisify(fs.mkdir)
+const readdirAsync = promisify(fs.readdir)
+const readFileAsync = promisify(fs.readFile)
+const unlinkAsync = promisify(fs.unlink)
+const rimrafAsync = promisify(require('rimraf'))
+
+const storage = require('../storage')
+
+const didNotRejectError = new Error("Failed to reject")
+const tempDir = 'test/assets/dir14'
+
+describe('storage module', function() {
+  before('make clean temp directory', function(done) {
+    rimrafAsync(tempDir).then(() => mkdirAsync(tempDir))
+    .then(() => done())
+    .catch(err => done(err))
+  })
+  after('remove temporary test assets', function(done) {
+    rimrafAsync(tempDir).then(() => done())
+    .catch(err => done(err))
+  })
+
+  // What every adapter must do
+  const adapters = [
+    { desc: 'fsAdapter()', make: () => storage.fsAdapter(tempDir) },
+    { desc: 'memoryAdapter()', make: () => storage.memoryAdapter() }
+  ]
+  for (const item of adapters) {
+    describe(item.desc, function() {
+      let adapter
+
+      before('make the adapter', function() {
+        adapter = item.make()
+        for (const method of storage.METHODS)
+          expect(adapter[method]).to.be.a('function')
+      })
+
+      it('should read back what was written, and tell its size', function(done) {
+        adapter.write('first.tgz', 'First content')
+        .then(() => adapter.read('first.tgz', 'utf8'))
+        .then(str => {
+          expect(str).to.equal('First content')
+          return adapter.read('first.tgz')
+        })
+        .then(buf => {
+          expect(Buffer.isBuffer(buf)).to.be.true
+          return adapter.stat('first.tgz')
+        })
+        .then(stats => {
+          expect(stats.size).to.equal(13)
+          expect(stats.isFile).to.be.true
+          expect(stats.mtime).to.be.an.instanceof(Date)
+          done()
+        })
+        .catch(err => done(err))
+      })
+
+      it('should replace the whole content on write', function(done) {
+        adapter.write('first.tgz', Buffer.from('New'))
+        .then(() => adapter.read('first.tgz', 'utf8'))
+        .then(str => {
+          expect(str).to.equal('New')
+          done()
+        })
+        .catch(err => done(err))
+      })
+
+      it('should list and remove items', function(done) {
+        adapter.write('second.tgz', 'Second content')
+        .then(() => adapter.list())
+        .then(names => {
+          expect(names.sort()).to.deep.equal([ 'first.tgz', 'second.tgz' ])
+          return adapter.remove('first.tgz')
+        })
+        .then(() => adapter.list())
+        .then(names => {
+          expect(names).to.deep.equal([ 'second.tgz' ])
+          done()
+        })
+        .catch(err => done(err))
+      })
+
+      it('should reject with ENOENT for a name that is not there', function(done) {
+        adapter.read('NOT_THERE.tgz').then(() => { throw didNotRejectError })
+        .catch(err => {
+          expect(err.code).to.equal('ENOENT')
+          return adapter.stat('NOT_THERE.tgz')
+        })
+        .then(() => { throw didNotRejectError })
+        .catch(err => {
+          expect(err.code).to.equal('ENOENT')
+          return adapter.remove('NOT_THERE.tgz')
+        })
+        .then(() => { throw didNotRejectError })
+        .catch(err => {
+          expect(err.code).to.equal('ENOENT')
+          done()
+        })
+        .catch(err => done(err))
+      })
+    })
+  }
+
+  describe('fsAdapter() in particular', function() {
+    it('should keep the items as files of the directory, with nothing left over', function(done) {
+      const adapter = storage.fsAdapter(tempDir)
+      expect(adapter.localPath('second.tgz')).to.equal(path.join(tempDir, 'second.tgz'))
+      readFileAsync(path.join(tempDir, 'second.tgz'), 'utf8').then(str => {
+        expect(str).to.equal('Second content')
+        return readdirAsync(tempDir)
+      })
+      .then(names => {
+        expect(names).to.deep.equal([ 'second.tgz' ])
+        done()
+      })
+      .catch(err => done(err))
+    })
+
+    it('should lock with a lock file', function(done) {
+      const adapter = storage.fsAdapter(tempDir)
+      adapter.lock('test.lock').then(release => {
+        return readdirAsync(tempDir).then(names => {
+          expect(names).to.include('test.lock')
+          return release()
+        })
+      })
+      .then(() => readdirAsync(tempDir))
+      .then(names => {
+        expect(names).to.not.include('test.lock')
+        done()
+      })
+      .catch(err => done(err))
+    })
+  })
+
+  describe('memoryAdapter() in particular', function() {
+    it('should start with the given files, and keep copies of content', function(done) {
+      const content = Buffer.from('Initial content')
+      const adapter = storage.memoryAdapter({ 'initial.tgz': content })
+      content.write('Changed')
+      adapter.read('initial.tgz').then(buf => {
+        expect(buf.toString()).to.equal('Initial content')
+        buf.write('Changed')
+        return adapter.read('initial.tgz', 'utf8')
+      })
+      .then(str => {
+        expect(str).to.equal('Initial content')
+        done()
+      })
+      .catch(err => done(err))
+    })
+  })
+
+  describe('writeFileAtomic()', function() {
+    it('should write every byte of content larger than one write, and leave no temp file', function(done) {
+      const filePath = path.join(tempDir, 'large.json')
+      const content = Buffer.alloc(8 * 1024 * 1024 + 13)
+      for (let i = 0; i < content.length; ++i) content[i] = i % 251
+      storage.writeFileAtomic(filePath, content)
+      .then(() => readFileAsync(filePath))
+      .then(written => {
+        expect(written.length).to.equal(content.length)
+        expect(written.equals(content)).to.be.true
+        return readdirAsync(tempDir)
+      })
+      .then(names => {
+        expect(names.filter(name => name.endsWith('.tmp'))).to.be.empty
+        return unlinkAsync(filePath)
+      })
+      .then(() => done())
+      .catch(err => done(err))
+    })
+  })
+
+  describe('contentSource()', function() {
+    it('should give the path of a local file, else the content', function(done) {
+      storage.contentSource(storage.fsAdapter(tempDir), 'second.tgz').then(source => {
+        expect(source).to.equal(path.join(tempDir, 'second.tgz'))
+        const adapter = storage.memoryAdapter({ 'mem.tgz': 'In memory' })
+        return storage.contentSource(adapter, 'mem.tgz')
+      })
+      .then(source => {
+        expect(Buffer.isBuffer(source)).to.be.true
+        expect(source.toString()).to.equal('In memory')
+        done()
+      })
+      .catch(err => done(err))
+    })
+  })
+})
@@ -0,0 +1,137 @@
+const path = require('path')
+const promisify = require('util').promisify
+
+const expect = require('chai').expect
+const fs = require('graceful-fs')
+const mkdirAsync = promisify(fs.mkdir)
+const writeFileAsync = promisify(fs.writeFile)
+const rimrafAsync = promisify(require('rimraf'))
+
+const yarnLockfile = require('../yarn-lockfile')
+
+const didNotRejectError = new Error("Failed to reject")
+const tempDir = 'test/assets/dir10'
+const commit = '0123456789abcdef0123456789abcdef01234567'
+const sri = 'sha512-' + Buffer.alloc(64, 1).toString('base64')
+const sha1FromCommit = 'sha1-' + Buffer.from(commit, 'hex').toString('base64')
+
+const lockText = `# THIS IS AN AUTOGENERATED FILE. DO NOT EDIT THIS FILE DIRECTLY.
+# yarn lockfile v1
+
+
+"@scope/def@^2.0.0":
+  version "2.0.0"
+  resolved "https://registry.yarnpkg.com/@scope/def/-/def-2.0.0.tgz#${commit}"
+
+abc@^1.0.0, abc@^1.2.0:
+  version "1.2.3"
+  resolved "https://registry.yarnpkg.com/abc/-/abc-1.2.3.tgz#${commit}"
+  integrity ${sri}
+  dependencies:
+    "@scope/def" "^2.0.0"
+    ghi "~0.1.0"
+
+from-git@github:someUser/from-git:
+  version "4.0.0"
+  resolved "https://codeload.github.com/someUser/from-git/tar.gz/${commit}"
+
+other@git+ssh://git@gitlab.com/someUser/other.git#v1:
+  version "1.0.0"
+  resolved "git+ssh://git@gitlab.com/someUser/other.git#${commit}"
+
+remote@https://example.com/downloads/remote.tgz:
+  version "3.0.0"
+  resolved "https://example.com/downloads/remote.tgz"
+
+local@file:../local:
+  version "1.0.0"
+
+alias@npm:abc@^1.2.0:
+  version "1.2.3"
+  resolved "https://registry.yarnpkg.com/abc/-/abc-1.2.3.tgz"
+`
+
+describe('yarn-lockfile module', function() {
+  before('make clean temp directory', function(done) {
+    rimrafAsync(tempDir).then(() => mkdirAsync(tempDir))
+    .then(() => done())
+    .catch(err => done(err))
+  })
+  after('remove temporary test assets', function(done) {
+    rimrafAsync(tempDir).then(() => done())
+    .catch(err => done(err))
+  })
+
+  describe('parse()', function() {
+    it('should throw ELOCKFILE for content that is not a yarn v1 lockfile', function() {
+      const badValues = [
+        undefined, 42, 'abc@^1.0.0\n  version "1.2.3"\n',
+        '__metadata:\n  version: 6\n'
+      ]
+      for (let i = 0; i < badValues.length; ++i)
+        expect(() => yarnLockfile.parse(badValues[i]))
+          .to.throw().with.property('code', 'ELOCKFILE')
+    })
+
+    it('should make a tracker query for each entry', function() {
+      const result = yarnLockfile.parse(lockText)
+      expect(result.lockfileVersion).to.equal(1)
+      expect(result.entries).to.deep.equal([
+        {
+          location: '@scope/def@^2.0.0',
+          type: 'semver', name: '@scope/def', spec: '2.0.0',
+          integrity: sha1FromCommit
+        },
+        {
+          location: 'abc@^1.0.0, abc@^1.2.0',
+          type: 'semver', name: 'abc', spec: '1.2.3', integrity: sri
+        },
+        {
+          location: 'from-git@github:someUser/from-git',
+          type: 'git', name: 'github.com/someUser/from-git', spec: commit
+        },
+        {
+          location: 'other@git+ssh://git@gitlab.com/someUser/other.git#v1',
+          type: 'git', name: 'gitlab.com/someUser/other', spec: commit
+        },
+        {
+          location: 'remote@https://example.com/downloads/remote.tgz',
+          type: 'url', name: '', spec: 'https://example.com/downloads/remote.tgz'
+        },
+        {
+          location: 'alias@npm:abc@^1.2.0',
+          type: 'semver', name: 'abc', spec: '1.2.3'
+        }
+      ])
+      expect(result.skipped).to.deep.equal([
+        { location: 'local@file:../local', name: 'local', reason: 'local' }
+      ])
+    })
+  })
+
+  describe('read()', function() {
+    it('should resolve to the parsed content of a lockfile', function(done) {
+      const lockPath = path.join(tempDir, 'yarn.lock')
+      writeFileAsync(lockPath, lockText.replace(/\n/g, '\r\n'))
+      .then(() => yarnLockfile.read(lockPath))
+      .then(result => {
+        expect(result).to.deep.equal(yarnLockfile.parse(lockText))
+        done()
+      })
+      .catch(err => done(err))
+    })
+
+    it('should reject with ELOCKFILE if the file is not a yarn v1 lockfile', function(done) {
+      const lockPath = path.join(tempDir, 'bad.lock')
+      writeFileAsync(lockPath, '{ "lockfileVersion": 3 }')
+      .then(() => yarnLockfile.read(lockPath))
+      .then(() => done(didNotRejectError))
+      .catch(err => {
+        expect(err.code).to.equal('ELOCKFILE')
+        expect(err.path).to.equal(lockPath)
+        done()
+      })
+      .catch(err => done(err))
+    })
+  })
+})
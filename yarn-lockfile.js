@@ -0,0 +1,165 @@
+const common = require('./lockfile-common')
+
+module.exports = {
+  read: read,
+  parse: parse
+}
+
+const RE_SHA1_HEX = /^[a-f0-9]{40}$/
+
+// Resolves to the result of parse() on the yarn.lock at the given path.
+// Rejects with code 'ELOCKFILE' if the file content is not usable.
+function read(lockPath) {
+  return common.readLockfile(lockPath, parse)
+}
+
+// Turn the text of a yarn v1 lockfile into a list of tracker queries, one
+// per lockfile entry. The location of an entry is its list of selectors,
+// e.g. 'abc@^1.0.0, abc@^1.2.0'.
+// The result has the same shape as that of npm-lockfile.parse().
+function parse(text) {
+  if (typeof text !== 'string')
+    throw common.lockfileError('Lockfile content must be a string')
+
+  const result = common.newResult(1)
+  const blocks = parseBlocks(text)
+  for (let i = 0; i < blocks.length; ++i) {
+    const selectors = blocks[i].selectors
+    const data = blocks[i].data
+    const location = selectors.join(', ')
+    const selector = splitSelector(selectors[0])
+    if (/^(file|link):/.test(selector.spec)) {
+      common.addSkipped(result, location, selector.name,
+        selector.spec.startsWith('link:') ? 'link' : 'local'
+      )
+      continue
+    }
+    let resolved = data.resolved
+    let item = data
+    if (typeof resolved === 'string' && /^https?:/.test(resolved)) {
+      // The fragment of a registry URL is the sha1 of the tarball
+      const hashIdx = resolved.indexOf('#')
+      if (hashIdx !== -1) {
+        const hash = resolved.slice(hashIdx + 1)
+        resolved = resolved.slice(0, hashIdx)
+        if (!data.integrity && RE_SHA1_HEX.test(hash)) {
+          item = Object.assign({}, data, {
+            integrity: 'sha1-' + Buffer.from(hash, 'hex').toString('base64')
+          })
+        }
+      }
+    }
+    common.addEntry(result, location, selector.name, data.version, resolved, item)
+  }
+  return result
+}
+
+// Selectors look like 'abc@^1.2.0', '@scope/abc@~2', or for an alias,
+// 'abc@npm:other@^1'
+function splitSelector(selector) {
+  const idx = selector.indexOf('@', 1)
+  if (idx === -1) return { name: selector, spec: '' }
+  const spec = selector.slice(idx + 1)
+  if (spec.startsWith('npm:')) return splitSelector(spec.slice(4))
+  return { name: selector.slice(0, idx), spec: spec }
+}
+
+// The yarn v1 lockfile format: unindented lines list the selectors of an
+// entry; lines indented under them are 'field value' pairs, or 'field:'
+// followed by pairs indented further (dependencies).
+function parseBlocks(text) {
+  const blocks = []
+  const lines = text.split(/\r?\n/)
+  let current = null
+  let nested = null
+  for (let i = 0; i < lines.length; ++i) {
+    const line = lines[i]
+    const trimmed = line.trim()
+    if (!trimmed || trimmed.startsWith('#')) continue
+    const indent = line.length - line.trimLeft().length
+
+    if (indent === 0) {
+      if (trimmed === '__metadata:')
+        throw common.lockfileError('Only yarn v1 lockfiles are supported')
+      if (!trimmed.endsWith(':'))
+        throw common.lockfileError(`Unexpected content at line ${i+1}`)
+      current = {
+        selectors: splitList(trimmed.slice(0, -1)).map(unquote),
+        data: {}
+      }
+      nested = null
+      blocks.push(current)
+      continue
+    }
+    if (!current)
+      throw common.lockfileError(`Unexpected content at line ${i+1}`)
+
+    const pair = splitPair(trimmed)
+    if (!pair)
+      throw common.lockfileError(`Unexpected content at line ${i+1}`)
+    if (nested && indent > nested.indent) {
+      nested.obj[pair.key] = pair.value
+      continue
+    }
+    if (pair.value === undefined) {
+      nested = { indent: indent, obj: {} }
+      current.data[pair.key] = nested.obj
+    }
+    else {
+      nested = null
+      current.data[pair.key] = pair.value
+    }
+  }
+  return blocks
+}
+
+// 'key value', '"key" "value"', or 'key:'
+function splitPair(str) {
+  if (str.endsWith(':') && !/\s/.test(str))
+    return { key: unquote(str.slice(0, -1)), value: undefined }
+  const key = readToken(str)
+  if (!key) return null
+  const rest = str.slice(key.length).trim()
+  if (!rest) return null
+  return { key: unquote(key), value: toValue(rest) }
+}
+
+function readToken(str) {
+  if (str[0] !== '"') return str.split(/\s/)[0]
+  for (let i = 1; i < str.length; ++i) {
+    if (str[i] === '\\') ++i
+    else if (str[i] === '"') return str.slice(0, i + 1)
+  }
+  return null
+}
+
+// Split on commas that are not within quotes
+function splitList(str) {
+  const items = []
+  let start = 0
+  let quoted = false
+  for (let i = 0; i < str.length; ++i) {
+    if (str[i] === '\\' && quoted) ++i
+    else if (str[i] === '"') quoted = !quoted
+    else if (str[i] === ',' && !quoted) {
+      items.push(str.slice(start, i).trim())
+      start = i + 1
+    }
+  }
+  items.push(str.slice(start).trim())
+  return items
+}
+
+function unquote(str) {
+  if (str[0] !== '"') return str
+  try { return JSON.parse(str) }
+  catch (err) {
+    throw common.lockfileError(`Malformed quoted string ${str}`)
+  }
+}
+
+function toValue(str) {
+  if (str === 'true') return true
+  if (str === 'false') return false
+  return unquote(str)
+}